@@ -1,13 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { calculateChart, getCurrentPlanets } = require('../services/calculator');
+const { DateTime, IANAZone } = require('luxon');
+const {
+  AmbiguousLocalTimeError,
+  calculateChart,
+  getCurrentPlanets,
+  resolveLocalTime,
+  DST_RESOLUTIONS,
+  TIME_STANDARDS
+} = require('../services/calculator');
+const { AYANAMSAS, DEFAULT_AYANAMSA, ZODIACS, resolveZodiac } = require('../services/zodiac');
+const { calculateVedicChart, DEFAULT_VARGAS, NODE_TYPES, VARGAS } = require('../services/vedic');
+const { calculateDashas, LEVELS, YEAR_LENGTHS } = require('../services/dasha');
+const { ASPECT_PROFILES, ASPECTS, resolveAspectProfile } = require('../services/aspects');
+const { findExactTransits, getRangeLimit, MAX_MOON_RANGE_DAYS, MAX_RANGE_DAYS, STEPS } = require('../services/transit-timing');
+const {
+  calculateForecast,
+  EVENT_TYPES,
+  getForecastRangeLimit,
+  toICalendar
+} = require('../services/forecast');
+const { findRetrogrades, RETROGRADE_BODIES } = require('../services/retrogrades');
+const { findIngresses, HELIOCENTRIC_BODIES, INGRESS_BODIES } = require('../services/ingresses');
+const { calculateLunations, LUNATIONS } = require('../services/lunations');
+const { calculateBirthEclipses } = require('../services/eclipses');
+const { calculateSynastry } = require('../services/synastry');
+const { calculateCompositeChart, calculateDavisonChart } = require('../services/composite');
+const { calculateReturn, RETURN_TYPE_NAMES } = require('../services/returns');
+const { calculateDirections, DEFAULT_SIGNIFICATORS, KEYS, PRIMARY_METHODS, PRIMARY_MODES } = require('../services/directions');
 const { calculatePrenatalVSP, calculateVenusStar, getNextVSP } = require('../services/venus-star-point');
 const { calculatePrenatalMarsPhase, getMarsCycleContext, getNextMarsPhase, getPhaseNames } = require('../services/mars-phase');
 const {
+  ANGLE_METHODS,
   calculateLunarPhase,
   calculateProgressedChart,
-  findPrenatalSolarEclipse,
-  findPrenatalLunarEclipse,
   calculatePlanetaryPhases,
   calculateTransits,
   dateToJulianDay
@@ -20,6 +46,196 @@ const {
   getPlanetInHouseInterpretation
 } = require('../services/ikigai');
 
+/**
+ * Validate an optional dstResolution parameter
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDstResolution(dstResolution) {
+  if (dstResolution !== undefined && !DST_RESOLUTIONS.includes(dstResolution)) {
+    return `dstResolution must be one of: ${DST_RESOLUTIONS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate optional zodiac and ayanamsa parameters
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateZodiac(zodiac, ayanamsa) {
+  try {
+    resolveZodiac({ zodiac, ayanamsa });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate optional aspectProfile and aspects parameters
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAspects(aspectProfile, aspects) {
+  try {
+    resolveAspectProfile({ aspectProfile, aspects });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate an optional transitBodies array
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTransitBodies(transitBodies) {
+  if (transitBodies === undefined) return null;
+  if (!Array.isArray(transitBodies) || transitBodies.length === 0 ||
+      transitBodies.some(name => !Object.keys(STEPS).includes(name))) {
+    return `transitBodies must be a non-empty array of: ${Object.keys(STEPS).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate an optional IANA timezone
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTimezone(timezone, field = 'timezone') {
+  if (timezone !== undefined && !IANAZone.isValidZone(timezone)) {
+    return `${field} must be an IANA timezone like "America/New_York", got ${JSON.stringify(timezone)}`;
+  }
+  return null;
+}
+
+/**
+ * Validate that required fields are given
+ * @param {Object} fields - Field values by name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRequired(fields) {
+  const missing = Object.keys(fields).filter(field => fields[field] === undefined);
+  return missing.length > 0 ? `Missing required fields: ${missing.join(', ')}` : null;
+}
+
+/**
+ * Validate an optional ISO date, local to a valid timezone
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDate(value, field, timezone) {
+  if (value === undefined) return null;
+  if (typeof value !== 'string') return `${field} must be an ISO date string`;
+  const parsed = DateTime.fromISO(value, { zone: timezone });
+  return parsed.isValid ? null : `${field} is not an ISO date (e.g., "2025-06-01"): ${parsed.invalidReason}`;
+}
+
+/**
+ * Validate an optional date range and its timezone, before a service resolves it
+ * @param {Object} range - { [startField]: start, [endField]: end }, a missing start is today as in the services
+ * @param {string} timezone - IANA timezone of the dates
+ * @param {number} maxDays - Longest range allowed
+ * @param {string} limitNote - Why the range is limited to maxDays, e.g. 'when the Moon is included'
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDateRange(range, timezone, maxDays, limitNote) {
+  const [[startField, start], [endField, end]] = Object.entries(range);
+  const dateError = validateTimezone(timezone) ||
+    validateDate(start, startField, timezone) || validateDate(end, endField, timezone);
+  if (dateError || end === undefined) return dateError;
+
+  const startTime = start === undefined
+    ? DateTime.now().setZone(timezone).startOf('day')
+    : DateTime.fromISO(start, { zone: timezone });
+  const days = (DateTime.fromISO(end, { zone: timezone }).toMillis() - startTime.toMillis()) / 86400000;
+  if (!(days > 0)) {
+    return `${endField} must be after ${startField}${start === undefined ? ' (default today)' : ''}`;
+  }
+  if (days > maxDays) {
+    return `${endField} can be at most ${maxDays} days after ${startField}${limitNote ? ` ${limitNote}` : ''}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a nested birth data object, as used to compare charts
+ * @param {Object} person - { year, month, day, hour, minute, latitude, longitude, timezone, timeStandard?, dstResolution? }
+ * @param {string} label - Name of the field, for error messages
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBirthData(person, label) {
+  if (!person || typeof person !== 'object' || Array.isArray(person)) {
+    return `${label} must be an object with year, month, day, hour, minute, latitude, longitude and timezone`;
+  }
+
+  const { timeStandard = 'zone' } = person;
+  const required = {};
+  for (const field of ['year', 'month', 'day', 'hour', 'minute', 'latitude', 'longitude']) {
+    required[`${label}.${field}`] = person[field];
+  }
+  if (timeStandard === 'zone') required[`${label}.timezone`] = person.timezone || undefined;
+  const missingError = validateRequired(required);
+  if (missingError) return missingError;
+
+  if (!TIME_STANDARDS.includes(timeStandard)) {
+    return `${label}.timeStandard must be one of: ${TIME_STANDARDS.join(', ')}`;
+  }
+  if (person.month < 1 || person.month > 12) return `${label}.month must be 1-12`;
+  if (person.day < 1 || person.day > 31) return `${label}.day must be 1-31`;
+  if (person.hour < 0 || person.hour > 23) return `${label}.hour must be 0-23`;
+  if (person.minute < 0 || person.minute > 59) return `${label}.minute must be 0-59`;
+  if (person.latitude < -90 || person.latitude > 90) return `${label}.latitude must be -90 to 90`;
+  if (person.longitude < -180 || person.longitude > 180) return `${label}.longitude must be -180 to 180`;
+
+  const timezoneError = validateTimezone(person.timezone, `${label}.timezone`);
+  if (timezoneError) return timezoneError;
+
+  const dstError = validateDstResolution(person.dstResolution);
+  return dstError ? `${label}.${dstError}` : null;
+}
+
+/**
+ * Validate the person1 and person2 birth data of a two-person request
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePeople(person1, person2) {
+  return validateRequired({ person1, person2 }) ||
+    validateBirthData(person1, 'person1') || validateBirthData(person2, 'person2');
+}
+
+/**
+ * UTC instant of a nested birth data object that passed validateBirthData
+ * @param {Object} person - Birth data
+ * @param {string} label - Name of the field, for a DST gap or overlap
+ * @returns {DateTime} Birth instant
+ */
+function getBirthInstant(person, label) {
+  try {
+    const utc = resolveLocalTime(
+      parseInt(person.year), parseInt(person.month), parseInt(person.day),
+      parseInt(person.hour), parseInt(person.minute),
+      parseFloat(person.longitude), person.timezone, person.timeStandard, person.dstResolution
+    );
+    return DateTime.fromISO(utc.utcTime);
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      error.field = label;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Respond with 409 and both candidate UTC instants when a birth time falls in a DST gap or overlap
+ */
+function sendAmbiguousLocalTime(res, error) {
+  return res.status(409).json({
+    success: false,
+    error: error.message,
+    kind: error.kind,
+    options: error.options,
+    hint: `Resend with ${error.field ? `${error.field}.` : ''}dstResolution set to one of: ${DST_RESOLUTIONS.join(', ')}`
+  });
+}
+
 /**
  * POST /api/v1/chart - Calculate natal chart
  *
@@ -30,6 +246,12 @@ const {
  *
  * Optional:
  * - houseSystem (default 'P' for Placidus)
+ * - timeStandard ('zone' default, 'LMT' Local Mean Time or 'LAT' Local Apparent Time)
+ *   timezone is not required for LMT and LAT
+ * - dstResolution ('earlier' or 'later') for birth times in a DST gap or overlap,
+ *   which otherwise return 409 with both candidate UTC instants
+ * - zodiac ('tropical' default or 'sidereal') and ayanamsa (default 'lahiri', see GET /ayanamsas)
+ * - aspectProfile (default 'standard', see GET /aspect-profiles) or aspects (custom orb table)
  */
 router.post('/chart', (req, res) => {
   try {
@@ -42,7 +264,13 @@ router.post('/chart', (req, res) => {
       latitude,
       longitude,
       timezone,
-      houseSystem = 'R'  // Default to Regiomontanus for natal charts
+      houseSystem = 'R',  // Default to Regiomontanus for natal charts
+      timeStandard = 'zone',
+      dstResolution,
+      zodiac,
+      ayanamsa,
+      aspectProfile,
+      aspects
     } = req.body;
 
     // Validate required fields
@@ -54,7 +282,7 @@ router.post('/chart', (req, res) => {
     if (minute === undefined) missing.push('minute');
     if (latitude === undefined) missing.push('latitude');
     if (longitude === undefined) missing.push('longitude');
-    if (!timezone) missing.push('timezone');
+    if (!timezone && timeStandard === 'zone') missing.push('timezone');
 
     if (missing.length > 0) {
       return res.status(400).json({
@@ -64,6 +292,33 @@ router.post('/chart', (req, res) => {
       });
     }
 
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+
+    if (!TIME_STANDARDS.includes(timeStandard)) {
+      return res.status(400).json({
+        success: false,
+        error: `timeStandard must be one of: ${TIME_STANDARDS.join(', ')}`
+      });
+    }
+
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
     // Validate ranges
     if (month < 1 || month > 12) {
       return res.status(400).json({ success: false, error: 'month must be 1-12' });
@@ -93,147 +348,414 @@ router.post('/chart', (req, res) => {
       parseFloat(latitude),
       parseFloat(longitude),
       timezone,
-      houseSystem
+      houseSystem,
+      { timeStandard, dstResolution, zodiac, ayanamsa, aspectProfile, aspects }
     );
 
     res.json({ success: true, data: chart });
   } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
     console.error('Chart calculation error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
-      hint: 'Check that timezone is a valid IANA timezone (e.g., "America/New_York")'
+      hint: 'Check that the birth date and time are valid'
     });
   }
 });
 
 /**
- * POST /api/v1/vsp - Get Venus Star Point for a birth date
+ * POST /api/v1/chart/vedic - Calculate Vedic (Jyotish) chart
  *
- * Required: year, month, day
- * Optional: hour, minute (for edge cases on VSP dates)
+ * Required body params:
+ * - year, month, day, hour, minute (local time)
+ * - latitude, longitude (birth location)
+ * - timezone (IANA timezone, e.g., 'Asia/Kolkata')
+ *
+ * Optional:
+ * - ayanamsa (default 'lahiri', see GET /ayanamsas)
+ * - node ('mean' default or 'true') for Rahu and Ketu
+ * - vargas (array of divisional charts, default ['D1', 'D9', 'D10'], or 'all')
+ * - timeStandard ('zone' default, 'LMT' or 'LAT') and dstResolution, as for /chart
  */
-router.post('/vsp', (req, res) => {
+router.post('/chart/vedic', (req, res) => {
   try {
-    const { year, month, day, hour = 12, minute = 0 } = req.body;
+    const {
+      year,
+      month,
+      day,
+      hour,
+      minute,
+      latitude,
+      longitude,
+      timezone,
+      ayanamsa,
+      node = 'mean',
+      vargas = DEFAULT_VARGAS,
+      timeStandard = 'zone',
+      dstResolution
+    } = req.body;
 
-    if (!year || !month || !day) {
+    const missing = [];
+    if (year === undefined) missing.push('year');
+    if (month === undefined) missing.push('month');
+    if (day === undefined) missing.push('day');
+    if (hour === undefined) missing.push('hour');
+    if (minute === undefined) missing.push('minute');
+    if (latitude === undefined) missing.push('latitude');
+    if (longitude === undefined) missing.push('longitude');
+    if (!timezone && timeStandard === 'zone') missing.push('timezone');
+
+    if (missing.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: `Missing required fields: ${missing.join(', ')}`,
+        hint: 'timezone should be an IANA timezone like "Asia/Kolkata", "America/New_York"'
       });
     }
 
-    const vsp = calculatePrenatalVSP(
-      parseInt(year),
-      parseInt(month),
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
-    );
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
 
-    if (!vsp.available && vsp.available !== undefined) {
-      return res.status(400).json({ success: false, error: vsp.error });
+    if (!TIME_STANDARDS.includes(timeStandard)) {
+      return res.status(400).json({
+        success: false,
+        error: `timeStandard must be one of: ${TIME_STANDARDS.join(', ')}`
+      });
     }
 
-    res.json({ success: true, data: vsp });
-  } catch (error) {
-    console.error('VSP calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
 
-/**
- * POST /api/v1/venus-star - Get full 5-point Venus Star for a birth date
- *
- * The Venus Star includes:
- * - Venus Star Point (top): Immediate prenatal VSP
- * - Left Arm: Second VSP before birth
- * - Right Arm: Third VSP before birth
- * - Left Leg: First VSP after birth
- * - Right Leg: Second VSP after birth
- *
- * Required: year, month, day
- */
-router.post('/venus-star', (req, res) => {
-  try {
-    const { year, month, day, hour = 12, minute = 0 } = req.body;
+    const zodiacError = validateZodiac('sidereal', ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
 
-    if (!year || !month || !day) {
+    if (!Object.keys(NODE_TYPES).includes(node)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: `node must be one of: ${Object.keys(NODE_TYPES).join(', ')}`
       });
     }
 
-    const venusStar = calculateVenusStar(
+    const vargaList = vargas === 'all' ? Object.keys(VARGAS) : vargas;
+    if (!Array.isArray(vargaList) || vargaList.length === 0 || vargaList.some(varga => !Object.keys(VARGAS).includes(varga))) {
+      return res.status(400).json({
+        success: false,
+        error: `vargas must be 'all' or an array of: ${Object.keys(VARGAS).join(', ')}`
+      });
+    }
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ success: false, error: 'month must be 1-12' });
+    }
+    if (day < 1 || day > 31) {
+      return res.status(400).json({ success: false, error: 'day must be 1-31' });
+    }
+    if (hour < 0 || hour > 23) {
+      return res.status(400).json({ success: false, error: 'hour must be 0-23' });
+    }
+    if (minute < 0 || minute > 59) {
+      return res.status(400).json({ success: false, error: 'minute must be 0-59' });
+    }
+    if (latitude < -90 || latitude > 90) {
+      return res.status(400).json({ success: false, error: 'latitude must be -90 to 90' });
+    }
+    if (longitude < -180 || longitude > 180) {
+      return res.status(400).json({ success: false, error: 'longitude must be -180 to 180' });
+    }
+
+    const chart = calculateVedicChart(
       parseInt(year),
       parseInt(month),
       parseInt(day),
       parseInt(hour),
-      parseInt(minute)
+      parseInt(minute),
+      parseFloat(latitude),
+      parseFloat(longitude),
+      timezone,
+      { ayanamsa, node, vargas: vargaList, timeStandard, dstResolution }
     );
 
-    if (!venusStar.available) {
-      return res.status(400).json({ success: false, error: venusStar.error });
-    }
-
-    res.json({ success: true, data: venusStar });
+    res.json({ success: true, data: chart });
   } catch (error) {
-    console.error('Venus Star calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * GET /api/v1/vsp/next - Get the next upcoming Venus Star Point
- */
-router.get('/vsp/next', (req, res) => {
-  try {
-    const nextVSP = getNextVSP();
-    if (!nextVSP) {
-      return res.status(404).json({ success: false, error: 'No upcoming VSP found in data' });
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
     }
-    res.json({ success: true, data: nextVSP });
-  } catch (error) {
-    console.error('Next VSP error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Vedic chart calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that the birth date and time are valid'
+    });
   }
 });
 
 /**
- * POST /api/v1/mars-phase - Get Mars Phase for a birth date
+ * POST /api/v1/dashas - Vimshottari dasha timeline
  *
- * Required: year, month, day
+ * Required body params:
+ * - year, month, day, hour, minute (local time)
+ * - latitude, longitude (birth location)
+ * - timezone (IANA timezone, also used for the period dates)
+ *
+ * Optional:
+ * - targetDate (ISO date for the running periods, default now; without offset it is local to timezone)
+ * - levels (1 mahadashas, 2 antardashas, 3 pratyantardashas - default)
+ * - yearLength ('julian' default, 'tropical', 'sidereal' or 'savana')
+ * - ayanamsa (default 'lahiri', see GET /ayanamsas)
+ * - timeStandard ('zone' default, 'LMT' or 'LAT') and dstResolution, as for /chart
  */
-router.post('/mars-phase', (req, res) => {
+router.post('/dashas', (req, res) => {
   try {
-    const { year, month, day, hour = 12, minute = 0 } = req.body;
+    const {
+      year,
+      month,
+      day,
+      hour,
+      minute,
+      latitude,
+      longitude,
+      timezone,
+      targetDate,
+      levels = LEVELS.length,
+      yearLength = 'julian',
+      ayanamsa,
+      timeStandard = 'zone',
+      dstResolution
+    } = req.body;
 
-    if (!year || !month || !day) {
+    const missing = [];
+    if (year === undefined) missing.push('year');
+    if (month === undefined) missing.push('month');
+    if (day === undefined) missing.push('day');
+    if (hour === undefined) missing.push('hour');
+    if (minute === undefined) missing.push('minute');
+    if (latitude === undefined) missing.push('latitude');
+    if (longitude === undefined) missing.push('longitude');
+    if (!timezone && timeStandard === 'zone') missing.push('timezone');
+
+    if (missing.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: `Missing required fields: ${missing.join(', ')}`,
+        hint: 'timezone should be an IANA timezone like "Asia/Kolkata", "America/New_York"'
       });
     }
 
-    const marsPhase = calculatePrenatalMarsPhase(
-      parseInt(year),
-      parseInt(month),
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
-    );
+    if (!TIME_STANDARDS.includes(timeStandard)) {
+      return res.status(400).json({
+        success: false,
+        error: `timeStandard must be one of: ${TIME_STANDARDS.join(', ')}`
+      });
+    }
 
-    if (!marsPhase.available && marsPhase.available !== undefined) {
-      return res.status(400).json({ success: false, error: marsPhase.error });
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
     }
 
-    res.json({ success: true, data: marsPhase });
-  } catch (error) {
-    console.error('Mars Phase calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
+    const zodiacError = validateZodiac('sidereal', ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    if (!Object.keys(YEAR_LENGTHS).includes(yearLength)) {
+      return res.status(400).json({
+        success: false,
+        error: `yearLength must be one of: ${Object.keys(YEAR_LENGTHS).join(', ')}`
+      });
+    }
+
+    const levelCount = parseInt(levels);
+    if (!(levelCount >= 1 && levelCount <= LEVELS.length)) {
+      return res.status(400).json({ success: false, error: `levels must be 1-${LEVELS.length}` });
+    }
+
+    const dateError = validateTimezone(timezone) || validateDate(targetDate, 'targetDate', timezone || 'UTC');
+    if (dateError) {
+      return res.status(400).json({ success: false, error: dateError });
+    }
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ success: false, error: 'month must be 1-12' });
+    }
+    if (day < 1 || day > 31) {
+      return res.status(400).json({ success: false, error: 'day must be 1-31' });
+    }
+    if (hour < 0 || hour > 23) {
+      return res.status(400).json({ success: false, error: 'hour must be 0-23' });
+    }
+    if (minute < 0 || minute > 59) {
+      return res.status(400).json({ success: false, error: 'minute must be 0-59' });
+    }
+    if (latitude < -90 || latitude > 90) {
+      return res.status(400).json({ success: false, error: 'latitude must be -90 to 90' });
+    }
+    if (longitude < -180 || longitude > 180) {
+      return res.status(400).json({ success: false, error: 'longitude must be -180 to 180' });
+    }
+
+    const dashas = calculateDashas(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute),
+      parseFloat(latitude),
+      parseFloat(longitude),
+      timezone || 'UTC',
+      { ayanamsa, targetDate, levels: levelCount, yearLength, timeStandard, dstResolution }
+    );
+
+    res.json({ success: true, data: dashas });
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Dasha calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that the birth date and time are valid'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/vsp - Get Venus Star Point for a birth date
+ *
+ * Required: year, month, day
+ * Optional: hour, minute (for edge cases on VSP dates)
+ */
+router.post('/vsp', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0 } = req.body;
+
+    if (!year || !month || !day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: year, month, day'
+      });
+    }
+
+    const vsp = calculatePrenatalVSP(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute)
+    );
+
+    if (!vsp.available && vsp.available !== undefined) {
+      return res.status(400).json({ success: false, error: vsp.error });
+    }
+
+    res.json({ success: true, data: vsp });
+  } catch (error) {
+    console.error('VSP calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/venus-star - Get full 5-point Venus Star for a birth date
+ *
+ * The Venus Star includes:
+ * - Venus Star Point (top): Immediate prenatal VSP
+ * - Left Arm: Second VSP before birth
+ * - Right Arm: Third VSP before birth
+ * - Left Leg: First VSP after birth
+ * - Right Leg: Second VSP after birth
+ *
+ * Required: year, month, day
+ */
+router.post('/venus-star', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0 } = req.body;
+
+    if (!year || !month || !day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: year, month, day'
+      });
+    }
+
+    const venusStar = calculateVenusStar(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute)
+    );
+
+    if (!venusStar.available) {
+      return res.status(400).json({ success: false, error: venusStar.error });
+    }
+
+    res.json({ success: true, data: venusStar });
+  } catch (error) {
+    console.error('Venus Star calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/vsp/next - Get the next upcoming Venus Star Point
+ */
+router.get('/vsp/next', (req, res) => {
+  try {
+    const nextVSP = getNextVSP();
+    if (!nextVSP) {
+      return res.status(404).json({ success: false, error: 'No upcoming VSP found in data' });
+    }
+    res.json({ success: true, data: nextVSP });
+  } catch (error) {
+    console.error('Next VSP error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/mars-phase - Get Mars Phase for a birth date
+ *
+ * Required: year, month, day
+ */
+router.post('/mars-phase', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0 } = req.body;
+
+    if (!year || !month || !day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: year, month, day'
+      });
+    }
+
+    const marsPhase = calculatePrenatalMarsPhase(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute)
+    );
+
+    if (!marsPhase.available && marsPhase.available !== undefined) {
+      return res.status(400).json({ success: false, error: marsPhase.error });
+    }
+
+    res.json({ success: true, data: marsPhase });
+  } catch (error) {
+    console.error('Mars Phase calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
@@ -300,6 +822,7 @@ router.get('/mars-phase/phases', (req, res) => {
  * POST /api/v1/chart/full - Get complete chart with VSP, Mars Phase, and all data
  *
  * Required: year, month, day, hour, minute, latitude, longitude, timezone
+ * Optional: houseSystem, dstResolution as for /chart, aspectProfile or aspects (custom orb table)
  */
 router.post('/chart/full', (req, res) => {
   try {
@@ -312,7 +835,10 @@ router.post('/chart/full', (req, res) => {
       latitude,
       longitude,
       timezone,
-      houseSystem = 'R'  // Default to Regiomontanus
+      houseSystem = 'R',  // Default to Regiomontanus
+      dstResolution,
+      aspectProfile,
+      aspects
     } = req.body;
 
     // Validate required fields
@@ -334,6 +860,21 @@ router.post('/chart/full', (req, res) => {
       });
     }
 
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
     // Calculate natal chart
     const chart = calculateChart(
       parseInt(year),
@@ -344,7 +885,8 @@ router.post('/chart/full', (req, res) => {
       parseFloat(latitude),
       parseFloat(longitude),
       timezone,
-      houseSystem
+      houseSystem,
+      { dstResolution, aspectProfile, aspects }
     );
 
     // Calculate Venus Star Point
@@ -395,11 +937,14 @@ router.post('/chart/full', (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
     console.error('Full chart calculation error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
-      hint: 'Check that timezone is a valid IANA timezone'
+      hint: 'Check that the birth date and time are valid'
     });
   }
 });
@@ -496,229 +1041,1027 @@ router.get('/house-systems', (req, res) => {
     { code: 'T', name: 'Topocentric (Polich/Page)', description: 'Modern scientific approach' }
   ];
 
-  res.json({ success: true, data: houseSystems });
+  res.json({ success: true, data: houseSystems });
+});
+
+/**
+ * GET /api/v1/ayanamsas - List supported ayanamsas for sidereal charts
+ */
+router.get('/ayanamsas', (req, res) => {
+  res.json({
+    success: true,
+    data: AYANAMSAS,
+    zodiacs: ZODIACS,
+    default: DEFAULT_AYANAMSA,
+    note: 'Pass zodiac: "sidereal" and ayanamsa as key, constant, name or id'
+  });
+});
+
+/**
+ * GET /api/v1/aspect-profiles - List orb profiles and supported aspects
+ */
+router.get('/aspect-profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: ASPECT_PROFILES,
+    aspects: ASPECTS,
+    note: 'Pass aspectProfile by name, or aspects as an array of aspect names or { orbs, luminaryBonus, planetOrbs } to customize the profile'
+  });
+});
+
+/**
+ * POST /api/v1/lunar-phase - Calculate lunar phase for a date
+ *
+ * Required: year, month, day
+ * Optional: hour, minute
+ */
+router.post('/lunar-phase', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0 } = req.body;
+
+    if (!year || !month || !day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: year, month, day'
+      });
+    }
+
+    // Get Sun and Moon positions for the date
+    const jd = dateToJulianDay(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute)
+    );
+
+    const sweph = require('sweph');
+    const sunResult = sweph.swe_calc_ut(jd, sweph.SE_SUN, sweph.SEFLG_SWIEPH);
+    const moonResult = sweph.swe_calc_ut(jd, sweph.SE_MOON, sweph.SEFLG_SWIEPH);
+
+    const lunarPhase = calculateLunarPhase(sunResult.longitude, moonResult.longitude);
+
+    res.json({
+      success: true,
+      data: {
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        sunLongitude: sunResult.longitude,
+        moonLongitude: moonResult.longitude,
+        ...lunarPhase
+      }
+    });
+  } catch (error) {
+    console.error('Lunar phase calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/progressions - Calculate secondary progressions
+ *
+ * Required: birthYear, birthMonth, birthDay, targetYear, targetMonth, targetDay
+ * Optional: birthHour, birthMinute (local time), without them the chart is progressed from 12:00 on the
+ *           birth date and flagged with birthTimeKnown false, a warning and no houses
+ *           timezone (IANA timezone of the birth and target date, default 'UTC'), required with a birth time
+ *           latitude, longitude (birth place, for the progressed houses, left out without them)
+ *           timeStandard ('zone' default, 'LMT' or 'LAT') and dstResolution, as for /chart
+ *           houseSystem (default 'R')
+ *           angleMethod: how the Midheaven progresses - 'solar_arc' (default), 'naibod' or 'mean_quotidian'
+ *           aspectProfile (default 'progressions') or aspects (custom orb table) for progressed to natal aspects
+ * The target date is progressed to local noon.
+ */
+router.post('/progressions', (req, res) => {
+  try {
+    const {
+      birthYear, birthMonth, birthDay, birthHour, birthMinute,
+      targetYear, targetMonth, targetDay,
+      latitude, longitude, timezone,
+      timeStandard = 'zone',
+      dstResolution,
+      houseSystem = 'R',
+      angleMethod = 'solar_arc',
+      aspectProfile, aspects
+    } = req.body;
+
+    const birthTimeKnown = birthHour !== undefined;
+    const hasLocation = latitude !== undefined && longitude !== undefined;
+
+    const missing = [];
+    if (birthYear === undefined) missing.push('birthYear');
+    if (birthMonth === undefined) missing.push('birthMonth');
+    if (birthDay === undefined) missing.push('birthDay');
+    if (!birthTimeKnown && birthMinute !== undefined) missing.push('birthHour');
+    if (birthTimeKnown && !timezone && timeStandard === 'zone') missing.push('timezone');
+    if (timeStandard !== 'zone' && longitude === undefined) missing.push('longitude');
+    if (targetYear === undefined) missing.push('targetYear');
+    if (targetMonth === undefined) missing.push('targetMonth');
+    if (targetDay === undefined) missing.push('targetDay');
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required fields: ${missing.join(', ')}`,
+        hint: 'timezone should be an IANA timezone like "Asia/Kolkata", "America/New_York"'
+      });
+    }
+
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+
+    if (!TIME_STANDARDS.includes(timeStandard)) {
+      return res.status(400).json({
+        success: false,
+        error: `timeStandard must be one of: ${TIME_STANDARDS.join(', ')}`
+      });
+    }
+
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
+
+    if (!ANGLE_METHODS.includes(angleMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: `angleMethod must be one of: ${ANGLE_METHODS.join(', ')}`
+      });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const utc = resolveLocalTime(
+      parseInt(birthYear), parseInt(birthMonth), parseInt(birthDay),
+      birthTimeKnown ? parseInt(birthHour) : 12, birthMinute === undefined ? 0 : parseInt(birthMinute),
+      parseFloat(longitude), timezone || 'UTC', timeStandard, dstResolution
+    );
+    const birthJd = dateToJulianDay(utc.year, utc.month, utc.day, utc.hour, utc.minute, utc.second);
+
+    const warnings = [...utc.warnings];
+    if (!birthTimeKnown) {
+      warnings.push('Birth time unknown, progressed from 12:00 on the birth date: the progressed Moon may be off ' +
+        'by up to 8° and houses are left out');
+    } else if (!hasLocation) {
+      warnings.push('Birth place unknown, houses are left out');
+    }
+
+    const target = DateTime.fromObject(
+      { year: parseInt(targetYear), month: parseInt(targetMonth), day: parseInt(targetDay), hour: 12 },
+      { zone: timezone || 'UTC' }
+    );
+    if (!target.isValid) {
+      return res.status(400).json({ success: false, error: `Invalid target date: ${target.invalidReason}` });
+    }
+
+    const withHouses = birthTimeKnown && hasLocation;
+    const progressions = calculateProgressedChart(
+      birthJd,
+      target.toJSDate(),
+      withHouses ? parseFloat(latitude) : null,
+      withHouses ? parseFloat(longitude) : null,
+      { houseSystem, angleMethod, aspectProfile, aspects, timezone: timezone || 'UTC' }
+    );
+
+    res.json({ success: true, data: { ...progressions, birthTimeKnown, warnings } });
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Progressions calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that the birth date and time are valid'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/prenatal-eclipses - Find the solar and lunar eclipses before and after birth
+ *
+ * Required: year, month, day
+ * Optional: hour, minute (UT, default 12:00), latitude and longitude for local visibility at the birth place
+ * Returns: type, magnitude, saros series, phases and position of each eclipse, and the central path of central solar eclipses
+ */
+router.post('/prenatal-eclipses', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0, latitude, longitude } = req.body;
+
+    const missing = ['year', 'month', 'day'].filter(field => req.body[field] === undefined);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    const date = {
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hour: parseInt(hour),
+      minute: parseInt(minute)
+    };
+    const notInteger = Object.keys(date).find(field => !Number.isInteger(date[field]));
+    if (notInteger) {
+      return res.status(400).json({ success: false, error: `${notInteger} must be an integer` });
+    }
+    if (date.month < 1 || date.month > 12) {
+      return res.status(400).json({ success: false, error: 'month must be 1-12' });
+    }
+    if (date.day < 1 || date.day > 31) {
+      return res.status(400).json({ success: false, error: 'day must be 1-31' });
+    }
+    if (date.hour < 0 || date.hour > 23) {
+      return res.status(400).json({ success: false, error: 'hour must be 0-23' });
+    }
+    if (date.minute < 0 || date.minute > 59) {
+      return res.status(400).json({ success: false, error: 'minute must be 0-59' });
+    }
+
+    const hasLocation = latitude !== undefined && longitude !== undefined;
+    if (hasLocation && !(parseFloat(latitude) >= -90 && parseFloat(latitude) <= 90)) {
+      return res.status(400).json({ success: false, error: 'latitude must be -90 to 90' });
+    }
+    if (hasLocation && !(parseFloat(longitude) >= -180 && parseFloat(longitude) <= 180)) {
+      return res.status(400).json({ success: false, error: 'longitude must be -180 to 180' });
+    }
+
+    const birthJd = dateToJulianDay(date.year, date.month, date.day, date.hour, date.minute);
+    const eclipses = calculateBirthEclipses(
+      birthJd,
+      hasLocation ? parseFloat(latitude) : undefined,
+      hasLocation ? parseFloat(longitude) : undefined
+    );
+
+    res.json({
+      success: true,
+      data: {
+        birthDate: `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`,
+        prenatalSolarEclipse: eclipses.prenatal.solar,
+        prenatalLunarEclipse: eclipses.prenatal.lunar,
+        postnatalSolarEclipse: eclipses.postnatal.solar,
+        postnatalLunarEclipse: eclipses.postnatal.lunar
+      }
+    });
+  } catch (error) {
+    console.error('Prenatal eclipses calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/planetary-phases - Calculate planetary phase relationships
+ *
+ * Required: year, month, day
+ * Optional: hour, minute
+ */
+router.post('/planetary-phases', (req, res) => {
+  try {
+    const { year, month, day, hour = 12, minute = 0 } = req.body;
+
+    if (!year || !month || !day) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: year, month, day'
+      });
+    }
+
+    // Get all planetary positions for the date
+    const jd = dateToJulianDay(
+      parseInt(year),
+      parseInt(month),
+      parseInt(day),
+      parseInt(hour),
+      parseInt(minute)
+    );
+
+    const sweph = require('sweph');
+    const planets = {};
+    const planetIds = {
+      sun: sweph.SE_SUN,
+      moon: sweph.SE_MOON,
+      mercury: sweph.SE_MERCURY,
+      venus: sweph.SE_VENUS,
+      mars: sweph.SE_MARS,
+      jupiter: sweph.SE_JUPITER,
+      saturn: sweph.SE_SATURN
+    };
+
+    for (const [name, id] of Object.entries(planetIds)) {
+      const result = sweph.swe_calc_ut(jd, id, sweph.SEFLG_SWIEPH);
+      planets[name] = { longitude: result.longitude };
+    }
+
+    const phases = calculatePlanetaryPhases(planets);
+
+    res.json({
+      success: true,
+      data: {
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        phases
+      }
+    });
+  } catch (error) {
+    console.error('Planetary phases calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/transits - Calculate current transits to natal chart
+ *
+ * Required: natalPlanets object with planet longitudes
+ * Optional: transitDate (defaults to now), zodiac ('tropical' or 'sidereal') and ayanamsa,
+ *           natal longitudes must be in the same zodiac,
+ *           aspectProfile (default 'transits') or aspects (custom orb table); parallels need natal declinations
+ */
+router.post('/transits', (req, res) => {
+  try {
+    const { natalPlanets, transitYear, transitMonth, transitDay, zodiac, ayanamsa, aspectProfile, aspects } = req.body;
+
+    if (!natalPlanets) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: natalPlanets (object with planet positions)'
+      });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    let transitDate = new Date();
+    if (transitYear && transitMonth && transitDay) {
+      transitDate = new Date(Date.UTC(parseInt(transitYear), parseInt(transitMonth) - 1, parseInt(transitDay)));
+    }
+
+    const transits = calculateTransits(natalPlanets, transitDate, { zodiac, ayanamsa, aspectProfile, aspects });
+
+    res.json({ success: true, data: transits });
+  } catch (error) {
+    console.error('Transits calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/transits/exact - Find exact transit hits to natal positions over a date range
+ *
+ * Required: natalPlanets object with planet longitudes, startDate, endDate (ISO dates, at most ten years apart,
+ *           a year with the Moon, shorter for profiles with more than the five major aspects)
+ * Optional: timezone for the dates and local times (default 'UTC'),
+ *           transitBodies (default all but the Moon), zodiac ('tropical' or 'sidereal') and ayanamsa,
+ *           aspectProfile (default 'transits') or aspects (custom orb table); parallels need natal declinations
+ * Returns: every exact hit with UT and local times, pass number within its orb window, orb entry and exit
+ */
+router.post('/transits/exact', (req, res) => {
+  try {
+    const {
+      natalPlanets,
+      startDate,
+      endDate,
+      timezone = 'UTC',
+      transitBodies,
+      zodiac,
+      ayanamsa,
+      aspectProfile,
+      aspects
+    } = req.body;
+
+    const missingError = validateRequired({ natalPlanets, startDate, endDate });
+    if (missingError) {
+      return res.status(400).json({ success: false, error: missingError });
+    }
+
+    const bodiesError = validateTransitBodies(transitBodies);
+    if (bodiesError) {
+      return res.status(400).json({ success: false, error: bodiesError });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const { maxDays, limitNote } = getRangeLimit(
+      resolveAspectProfile({ aspectProfile, aspects }, 'transits'),
+      Boolean(transitBodies && transitBodies.includes('moon'))
+    );
+    const rangeError = validateDateRange({ startDate, endDate }, timezone, maxDays, limitNote);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const transits = findExactTransits(natalPlanets, startDate, endDate, {
+      timezone, transitBodies, zodiac, ayanamsa, aspectProfile, aspects
+    });
+
+    res.json({ success: true, data: transits });
+  } catch (error) {
+    console.error('Exact transits search error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/v1/forecast - Transit calendar between two dates
+ *
+ * Required: natalPlanets object with planet longitudes, startDate, endDate (ISO dates, at most a year apart,
+ *           a quarter with the Moon)
+ * Optional: timezone for the dates and local times (default 'UTC'), natalHouses (12 cusp longitudes or chart houses)
+ *           for house ingresses, transitBodies (default all but the Moon), include (event types, default all),
+ *           format ('json' or 'ics'), zodiac ('tropical' or 'sidereal') and ayanamsa,
+ *           aspectProfile (default 'transits') or aspects (custom orb table)
+ * Returns: chronological transits (orb entry, exact, orb exit), sign and house ingresses, stations and lunations
+ */
+router.post('/forecast', (req, res) => {
+  try {
+    const {
+      natalPlanets,
+      natalHouses,
+      startDate,
+      endDate,
+      timezone = 'UTC',
+      transitBodies,
+      include,
+      format = 'json',
+      zodiac,
+      ayanamsa,
+      aspectProfile,
+      aspects
+    } = req.body;
+
+    const missingError = validateRequired({ natalPlanets, startDate, endDate });
+    if (missingError) {
+      return res.status(400).json({ success: false, error: missingError });
+    }
+
+    if (!['json', 'ics'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or ics' });
+    }
+
+    if (include !== undefined && (!Array.isArray(include) || include.some(type => !EVENT_TYPES.includes(type)))) {
+      return res.status(400).json({
+        success: false,
+        error: `include must be an array of: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    // House cusps as longitudes, or as the houses of a chart response
+    const cusps = Array.isArray(natalHouses)
+      ? natalHouses.map(house => (typeof house === 'object' && house !== null ? house.cusp : house))
+      : natalHouses;
+    if (cusps !== undefined && (!Array.isArray(cusps) || cusps.length !== 12 || cusps.some(cusp => typeof cusp !== 'number'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'natalHouses must be 12 house cusp longitudes, or the houses of a chart'
+      });
+    }
+
+    const bodiesError = validateTransitBodies(transitBodies);
+    if (bodiesError) {
+      return res.status(400).json({ success: false, error: bodiesError });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const { maxDays, limitNote } = getForecastRangeLimit({ transitBodies, include, aspectProfile, aspects });
+    const rangeError = validateDateRange({ startDate, endDate }, timezone, maxDays, limitNote);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const forecast = calculateForecast(natalPlanets, startDate, endDate, {
+      timezone, natalHouses: cusps, transitBodies, include, zodiac, ayanamsa, aspectProfile, aspects
+    });
+
+    if (format === 'ics') {
+      return res
+        .type('text/calendar')
+        .set('Content-Disposition', 'attachment; filename="forecast.ics"')
+        .send(toICalendar(forecast));
+    }
+
+    res.json({ success: true, data: forecast });
+  } catch (error) {
+    console.error('Forecast calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/v1/retrogrades - Stations and retrograde periods with shadows
+ *
+ * Query: from, to (ISO dates, default today and one year later), planet (default all),
+ *        timezone for the dates and local times (default 'UTC'), zodiac ('tropical' or 'sidereal') and ayanamsa
+ * Returns: periods overlapping the range with shadow start, station retrograde, station direct, shadow end and span
+ */
+router.get('/retrogrades', (req, res) => {
+  try {
+    const { from, to, planet, timezone = 'UTC', zodiac, ayanamsa } = req.query;
+
+    if (planet !== undefined && !RETROGRADE_BODIES.includes(planet)) {
+      return res.status(400).json({
+        success: false,
+        error: `planet must be one of: ${RETROGRADE_BODIES.join(', ')}`
+      });
+    }
+
+    const rangeError = validateDateRange({ from, to }, timezone, MAX_RANGE_DAYS);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const retrogrades = findRetrogrades({ from, to, planet, timezone, zodiac, ayanamsa });
+
+    res.json({ success: true, data: retrogrades });
+  } catch (error) {
+    console.error('Retrogrades calculation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * POST /api/v1/lunar-phase - Calculate lunar phase for a date
+ * GET /api/v1/ingresses - Exact sign, house and longitude ingresses
  *
- * Required: year, month, day
- * Optional: hour, minute
+ * Query: from, to (ISO dates, default today and one year later), planet (default all but the Moon),
+ *        longitude (cross this longitude instead of sign boundaries), houses (12 comma-separated natal cusps),
+ *        heliocentric ('true' for heliocentric planets), timezone for the dates and local times (default 'UTC'),
+ *        zodiac ('tropical' or 'sidereal') and ayanamsa
+ * Returns: ingresses sorted by time, with the sign or house entered and left
  */
-router.post('/lunar-phase', (req, res) => {
+router.get('/ingresses', (req, res) => {
   try {
-    const { year, month, day, hour = 12, minute = 0 } = req.body;
+    const { from, to, planet, longitude, houses, heliocentric, timezone = 'UTC', zodiac, ayanamsa } = req.query;
 
-    if (!year || !month || !day) {
+    if (heliocentric !== undefined && !['true', 'false'].includes(heliocentric)) {
+      return res.status(400).json({ success: false, error: 'heliocentric must be true or false' });
+    }
+    const helio = heliocentric === 'true';
+
+    const bodies = helio ? HELIOCENTRIC_BODIES : INGRESS_BODIES;
+    if (planet !== undefined && !bodies.includes(planet)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: `planet must be one of: ${bodies.join(', ')}`
       });
     }
 
-    // Get Sun and Moon positions for the date
-    const jd = dateToJulianDay(
-      parseInt(year),
-      parseInt(month),
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
-    );
+    const crossing = longitude === undefined ? undefined : parseFloat(longitude);
+    if (crossing !== undefined && !(crossing >= 0 && crossing < 360)) {
+      return res.status(400).json({ success: false, error: 'longitude must be 0 to 360' });
+    }
 
-    const sweph = require('sweph');
-    const sunResult = sweph.swe_calc_ut(jd, sweph.SE_SUN, sweph.SEFLG_SWIEPH);
-    const moonResult = sweph.swe_calc_ut(jd, sweph.SE_MOON, sweph.SEFLG_SWIEPH);
+    const natalHouses = houses === undefined ? undefined : String(houses).split(',').map(parseFloat);
+    if (natalHouses !== undefined && (natalHouses.length !== 12 || natalHouses.some(isNaN))) {
+      return res.status(400).json({ success: false, error: 'houses must be 12 comma-separated house cusp longitudes' });
+    }
+    if (natalHouses !== undefined && helio) {
+      return res.status(400).json({ success: false, error: 'houses cannot be used with heliocentric' });
+    }
 
-    const lunarPhase = calculateLunarPhase(sunResult.longitude, moonResult.longitude);
+    const rangeError = validateDateRange(
+      { from, to }, timezone,
+      planet === 'moon' ? MAX_MOON_RANGE_DAYS : MAX_RANGE_DAYS, planet === 'moon' ? 'for the Moon' : undefined
+    );
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
-        sunLongitude: sunResult.longitude,
-        moonLongitude: moonResult.longitude,
-        ...lunarPhase
-      }
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const ingresses = findIngresses({
+      from, to, planet, longitude: crossing, natalHouses, heliocentric: helio, timezone, zodiac, ayanamsa
     });
+
+    res.json({ success: true, data: ingresses });
   } catch (error) {
-    console.error('Lunar phase calculation error:', error);
+    console.error('Ingresses calculation error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * POST /api/v1/progressions - Calculate secondary progressions
+ * GET /api/v1/lunations - New, First Quarter, Full and Last Quarter Moons with exact times
  *
- * Required: birthYear, birthMonth, birthDay, targetYear, targetMonth, targetDay
- * Optional: birthHour, birthMinute, latitude, longitude
+ * Query: from, to (ISO dates, default today and one year later), phases (comma-separated, default all),
+ *        timezone for the dates and local times (default 'UTC'), zodiac ('tropical' or 'sidereal') and ayanamsa
+ * Returns: lunations with zodiac degree, Moon distance, supermoon/micromoon flags and eclipse if any
  */
-router.post('/progressions', (req, res) => {
+router.get('/lunations', (req, res) => {
   try {
-    const {
-      birthYear, birthMonth, birthDay, birthHour = 12, birthMinute = 0,
-      targetYear, targetMonth, targetDay,
-      latitude = 0, longitude = 0
-    } = req.body;
+    const { from, to, phases, timezone = 'UTC', zodiac, ayanamsa } = req.query;
 
-    if (!birthYear || !birthMonth || !birthDay || !targetYear || !targetMonth || !targetDay) {
+    const phaseKeys = phases === undefined ? undefined : String(phases).split(',');
+    if (phaseKeys !== undefined && phaseKeys.some(key => !LUNATIONS.some(lunation => lunation.key === key))) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: birthYear, birthMonth, birthDay, targetYear, targetMonth, targetDay'
+        error: `phases must be comma-separated: ${LUNATIONS.map(lunation => lunation.key).join(', ')}`
       });
     }
 
-    const birthJd = dateToJulianDay(
-      parseInt(birthYear),
-      parseInt(birthMonth),
-      parseInt(birthDay),
-      parseInt(birthHour),
-      parseInt(birthMinute)
-    );
+    const rangeError = validateDateRange({ from, to }, timezone, MAX_RANGE_DAYS);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
 
-    const targetDate = new Date(parseInt(targetYear), parseInt(targetMonth) - 1, parseInt(targetDay));
+const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
 
-    const progressions = calculateProgressedChart(
-      birthJd,
-      targetDate,
-      parseFloat(latitude),
-      parseFloat(longitude)
-    );
+    const lunations = calculateLunations({ from, to, phases: phaseKeys, timezone, zodiac, ayanamsa });
 
-    res.json({ success: true, data: progressions });
+    res.json({ success: true, data: lunations });
   } catch (error) {
-    console.error('Progressions calculation error:', error);
+    console.error('Lunations calculation error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * POST /api/v1/prenatal-eclipses - Find prenatal solar and lunar eclipses
+ * POST /api/v1/synastry - Compare the birth charts of two people
  *
- * Required: year, month, day
- * Optional: latitude, longitude
+ * Required: person1, person2 - birth data objects with year, month, day, hour, minute, latitude, longitude
+ *           and timezone, optional timeStandard, dstResolution and name
+ * Optional: houseSystem (default 'R'), zodiac and ayanamsa for both charts,
+ *           aspectProfile (default 'synastry') or aspects (custom orb table) for the cross-aspects
+ * Returns: both charts, cross-aspects between planets and angles, house overlays and compatibility scores by theme
  */
-router.post('/prenatal-eclipses', (req, res) => {
+router.post('/synastry', (req, res) => {
   try {
-    const { year, month, day, hour = 12, minute = 0, latitude = 0, longitude = 0 } = req.body;
+    const { person1, person2, houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = req.body;
 
-    if (!year || !month || !day) {
+    const peopleError = validatePeople(person1, person2);
+    if (peopleError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: peopleError,
+        hint: 'person1 and person2 take the same birth data as POST /api/v1/chart'
       });
     }
 
-    const birthJd = dateToJulianDay(
-      parseInt(year),
-      parseInt(month),
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
-    );
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
 
-    const solarEclipse = findPrenatalSolarEclipse(birthJd, parseFloat(latitude), parseFloat(longitude));
-    const lunarEclipse = findPrenatalLunarEclipse(birthJd);
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        birthDate: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
-        prenatalSolarEclipse: solarEclipse,
-        prenatalLunarEclipse: lunarEclipse
-      }
+    const synastry = calculateSynastry(person1, person2, { houseSystem, zodiac, ayanamsa, aspectProfile, aspects });
+
+    res.json({ success: true, data: synastry });
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Synastry calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that each timezone is a valid IANA timezone (e.g., "America/New_York")'
     });
+  }
+});
+
+/**
+ * POST /api/v1/composite - Calculate the midpoint composite chart of two people
+ *
+ * Required: person1, person2 - birth data objects as for /synastry
+ * Optional: houseSystem (default 'R'), zodiac and ayanamsa, aspectProfile (default 'standard') or aspects (custom orb table)
+ * Returns: chart of the midpoints of each pair of planets, houses from the composite Midheaven at the midpoint latitude,
+ *          in the same shape as /chart
+ */
+router.post('/composite', (req, res) => {
+  try {
+    const { person1, person2, houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = req.body;
+
+    const peopleError = validatePeople(person1, person2);
+    if (peopleError) {
+      return res.status(400).json({
+        success: false,
+        error: peopleError,
+        hint: 'person1 and person2 take the same birth data as POST /api/v1/chart'
+      });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const chart = calculateCompositeChart(person1, person2, { houseSystem, zodiac, ayanamsa, aspectProfile, aspects });
+
+    res.json({ success: true, data: chart });
   } catch (error) {
-    console.error('Prenatal eclipses calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Composite chart calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that each timezone is a valid IANA timezone (e.g., "America/New_York")'
+    });
   }
 });
 
 /**
- * POST /api/v1/planetary-phases - Calculate planetary phase relationships
+ * POST /api/v1/davison - Calculate the Davison chart of two people
  *
- * Required: year, month, day
- * Optional: hour, minute
+ * Required: person1, person2 - birth data objects as for /synastry
+ * Optional: houseSystem (default 'R'), zodiac and ayanamsa, aspectProfile (default 'standard') or aspects (custom orb table)
+ * Returns: chart for the midpoint in time (to the minute, UTC) and place of the births, in the same shape as /chart
  */
-router.post('/planetary-phases', (req, res) => {
+router.post('/davison', (req, res) => {
   try {
-    const { year, month, day, hour = 12, minute = 0 } = req.body;
+    const { person1, person2, houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = req.body;
 
-    if (!year || !month || !day) {
+    const peopleError = validatePeople(person1, person2);
+    if (peopleError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: year, month, day'
+        error: peopleError,
+        hint: 'person1 and person2 take the same birth data as POST /api/v1/chart'
       });
     }
 
-    // Get all planetary positions for the date
-    const jd = dateToJulianDay(
-      parseInt(year),
-      parseInt(month),
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
-    );
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
 
-    const sweph = require('sweph');
-    const planets = {};
-    const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mercury: sweph.SE_MERCURY,
-      venus: sweph.SE_VENUS,
-      mars: sweph.SE_MARS,
-      jupiter: sweph.SE_JUPITER,
-      saturn: sweph.SE_SATURN
-    };
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
 
-    for (const [name, id] of Object.entries(planetIds)) {
-      const result = sweph.swe_calc_ut(jd, id, sweph.SEFLG_SWIEPH);
-      planets[name] = { longitude: result.longitude };
+    const chart = calculateDavisonChart(person1, person2, { houseSystem, zodiac, ayanamsa, aspectProfile, aspects });
+
+    res.json({ success: true, data: chart });
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
     }
+    console.error('Davison chart calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that each timezone is a valid IANA timezone (e.g., "America/New_York")'
+    });
+  }
+});
 
-    const phases = calculatePlanetaryPhases(planets);
+/**
+ * POST /api/v1/returns/:type - Calculate a solar, lunar or planetary return chart
+ *
+ * :type is 'solar', 'lunar' or one of mercury, venus, mars, jupiter, saturn
+ * Required: birth - birth data object as for /synastry
+ * Optional: year (solar return around the birthday that year, other returns from 1 January),
+ *           date (ISO date, first return on or after it, default now),
+ *           location { latitude, longitude, timezone } to relocate the chart (default the birth place),
+ *           its timezone is required as the local times are those of the new place,
+ *           houseSystem (default 'R'), zodiac and ayanamsa, aspectProfile or aspects for the return chart
+ * Returns: exact return time, every pass of a retrograde loop, and the return chart in the same shape as /chart
+ */
+router.post('/returns/:type', (req, res) => {
+  try {
+    const { type } = req.params;
+    const { birth, year, date, location, houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = req.body;
 
-    res.json({
-      success: true,
-      data: {
-        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
-        phases
+    if (!RETURN_TYPE_NAMES.includes(type)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown return type: ${type}. Use one of: ${RETURN_TYPE_NAMES.join(', ')}`
+      });
+    }
+
+    if (birth === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: birth',
+        hint: 'birth takes the same birth data as POST /api/v1/chart'
+      });
+    }
+
+    const birthError = validateBirthData(birth, 'birth');
+    if (birthError) {
+      return res.status(400).json({ success: false, error: birthError });
+    }
+
+    if (year !== undefined && date !== undefined) {
+      return res.status(400).json({ success: false, error: 'Use either year or date, not both' });
+    }
+    if (year !== undefined && !Number.isInteger(year)) {
+      return res.status(400).json({ success: false, error: 'year must be an integer' });
+    }
+
+    if (location !== undefined) {
+      if (!location || typeof location !== 'object' ||
+          typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+        return res.status(400).json({ success: false, error: 'location must be an object with numeric latitude and longitude' });
       }
+      if (location.latitude < -90 || location.latitude > 90) {
+        return res.status(400).json({ success: false, error: 'location.latitude must be -90 to 90' });
+      }
+      if (location.longitude < -180 || location.longitude > 180) {
+        return res.status(400).json({ success: false, error: 'location.longitude must be -180 to 180' });
+      }
+      const timezoneError = validateRequired({ 'location.timezone': location.timezone }) ||
+        validateTimezone(location.timezone, 'location.timezone');
+      if (timezoneError) {
+        return res.status(400).json({ success: false, error: timezoneError });
+      }
+    }
+
+    // date is local to the timezone of the return chart
+    const dateError = validateDate(date, 'date', (location || birth).timezone || 'UTC');
+    if (dateError) {
+      return res.status(400).json({ success: false, error: dateError });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const result = calculateReturn(birth, {
+      type,
+      year,
+      date,
+      location: location && { latitude: location.latitude, longitude: location.longitude, timezone: location.timezone },
+      houseSystem,
+      zodiac,
+      ayanamsa,
+      aspectProfile,
+      aspects
     });
+
+    res.json({ success: true, data: result });
   } catch (error) {
-    console.error('Planetary phases calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Return calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: 'Check that timezones are valid IANA timezones and that date is an ISO date'
+    });
   }
 });
 
 /**
- * POST /api/v1/transits - Calculate current transits to natal chart
+ * POST /api/v1/directions - Solar arc and primary directions, and the dates they perfect
  *
- * Required: natalPlanets object with planet longitudes
- * Optional: transitDate (defaults to now)
+ * Required: birth - birth data object as for /synastry
+ * Optional: date (ISO date of the solar arc positions, default now),
+ *           from, to (ISO range of perfecting directions, default five years from today, at most ten years),
+ *           key of primary directions: 'naibod' (default), 'ptolemy' or 'cardan',
+ *           method: 'placidus' semi-arcs (default) or 'regiomontanus',
+ *           modes: any of 'zodiacal', 'mundane' (default both),
+ *           significators: natal points receiving primary directions (default ascendant, midheaven, sun, moon),
+ *           aspectProfile (default 'progressions') or aspects (custom orb table)
+ * Dates are local to the birth timezone.
+ * Returns: solar arc positions and aspects to natal at the date, and solar arc and primary directions in the range
  */
-router.post('/transits', (req, res) => {
+router.post('/directions', (req, res) => {
   try {
-    const { natalPlanets, transitYear, transitMonth, transitDay } = req.body;
+    const {
+      birth,
+      date,
+      from,
+      to,
+      key = 'naibod',
+      method = 'placidus',
+      modes = PRIMARY_MODES,
+      significators = DEFAULT_SIGNIFICATORS,
+      aspectProfile,
+      aspects
+    } = req.body;
 
-    if (!natalPlanets) {
+    if (birth === undefined) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required field: natalPlanets (object with planet positions)'
+        error: 'Missing required fields: birth',
+        hint: 'birth takes the same birth data as POST /api/v1/chart'
       });
     }
 
-    let transitDate = new Date();
-    if (transitYear && transitMonth && transitDay) {
-      transitDate = new Date(parseInt(transitYear), parseInt(transitMonth) - 1, parseInt(transitDay));
+    const birthError = validateBirthData(birth, 'birth');
+    if (birthError) {
+      return res.status(400).json({ success: false, error: birthError });
     }
 
-    const transits = calculateTransits(natalPlanets, transitDate);
+    const timezone = birth.timezone || 'UTC';
+    const dateError = validateDate(date, 'date', timezone) || validateDateRange({ from, to }, timezone, MAX_RANGE_DAYS);
+    if (dateError) {
+      return res.status(400).json({ success: false, error: dateError });
+    }
 
-    res.json({ success: true, data: transits });
+    // Directions are measured from the birth, so dates before it have none
+    const birthInstant = getBirthInstant(birth, 'birth');
+    const beforeBirth = Object.entries({ from, date })
+      .find(([, value]) => value !== undefined && DateTime.fromISO(value, { zone: timezone }) <= birthInstant);
+    if (beforeBirth) {
+      return res.status(400).json({ success: false, error: `${beforeBirth[0]} must be after the birth` });
+    }
+
+    if (!Object.keys(KEYS).includes(key)) {
+      return res.status(400).json({ success: false, error: `key must be one of: ${Object.keys(KEYS).join(', ')}` });
+    }
+
+    if (!Object.keys(PRIMARY_METHODS).includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: `method must be one of: ${Object.keys(PRIMARY_METHODS).join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !PRIMARY_MODES.includes(mode))) {
+      return res.status(400).json({
+        success: false,
+        error: `modes must be a non-empty array of: ${PRIMARY_MODES.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(significators) || significators.some(name => typeof name !== 'string')) {
+      return res.status(400).json({ success: false, error: 'significators must be an array of natal point names' });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
+    const directions = calculateDirections(birth, {
+      date,
+      from,
+      to,
+      key,
+      method,
+      modes,
+      significators,
+      aspectProfile,
+      aspects
+    });
+
+    res.json({ success: true, data: directions });
   } catch (error) {
-    console.error('Transits calculation error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
+    console.error('Directions calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      hint: `Check that timezone is a valid IANA timezone, date, from and to ISO dates after the birth and the range at most ${MAX_RANGE_DAYS} days`
+    });
   }
 });
 
@@ -726,14 +2069,22 @@ router.post('/transits', (req, res) => {
  * POST /api/v1/chart/comprehensive - Get all calculations in one call
  *
  * Required: year, month, day, hour, minute, latitude, longitude, timezone
- * Returns: chart, VSP, venusStar, marsPhase, lunarPhase, prenatalEclipses, planetaryPhases
+ * Optional: houseSystem, dstResolution ('earlier' or 'later', required when the birth time falls in a DST gap or overlap),
+ *           zodiac ('tropical' or 'sidereal') and ayanamsa, aspectProfile or aspects (custom orb table)
+ *           for the chart and transit aspects
+ * Returns: chart, VSP, venusStar, marsPhase, lunarPhase, prenatalEclipses, postnatalEclipses, planetaryPhases
  */
 router.post('/chart/comprehensive', (req, res) => {
   try {
     const {
       year, month, day, hour, minute,
       latitude, longitude, timezone,
-      houseSystem = 'R'  // Default to Regiomontanus
+      houseSystem = 'R',  // Default to Regiomontanus
+      dstResolution,
+      zodiac,
+      ayanamsa,
+      aspectProfile,
+      aspects
     } = req.body;
 
     // Validate required fields
@@ -754,12 +2105,33 @@ router.post('/chart/comprehensive', (req, res) => {
       });
     }
 
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
+
+    const zodiacError = validateZodiac(zodiac, ayanamsa);
+    if (zodiacError) {
+      return res.status(400).json({ success: false, error: zodiacError });
+    }
+
+    const aspectsError = validateAspects(aspectProfile, aspects);
+    if (aspectsError) {
+      return res.status(400).json({ success: false, error: aspectsError });
+    }
+
     // Calculate natal chart
     const chart = calculateChart(
       parseInt(year), parseInt(month), parseInt(day),
       parseInt(hour), parseInt(minute),
       parseFloat(latitude), parseFloat(longitude),
-      timezone, houseSystem
+      timezone, houseSystem,
+      { dstResolution, zodiac, ayanamsa, aspectProfile, aspects }
     );
 
     // Calculate Venus Star Point
@@ -780,11 +2152,8 @@ router.post('/chart/comprehensive', (req, res) => {
       parseInt(hour), parseInt(minute)
     );
 
-    // Get Julian Day for advanced calculations
-    const birthJd = dateToJulianDay(
-      parseInt(year), parseInt(month), parseInt(day),
-      parseInt(hour), parseInt(minute)
-    );
+    // Get Julian Day for advanced calculations (UT of the resolved birth instant)
+    const birthJd = chart.input.julianDay.ut;
 
     // Calculate lunar phase from chart data
     const lunarPhase = calculateLunarPhase(
@@ -792,9 +2161,8 @@ router.post('/chart/comprehensive', (req, res) => {
       chart.planets?.moon?.longitude || 0
     );
 
-    // Calculate prenatal eclipses
-    const solarEclipse = findPrenatalSolarEclipse(birthJd, parseFloat(latitude), parseFloat(longitude));
-    const lunarEclipse = findPrenatalLunarEclipse(birthJd);
+    // Calculate prenatal and postnatal eclipses, with their visibility at the birth place
+    const eclipses = calculateBirthEclipses(birthJd, parseFloat(latitude), parseFloat(longitude));
 
     // Calculate planetary phases
     const planetaryPhases = calculatePlanetaryPhases(chart.planets || {});
@@ -804,11 +2172,12 @@ router.post('/chart/comprehensive', (req, res) => {
       birthJd,
       new Date(),
       parseFloat(latitude),
-      parseFloat(longitude)
+      parseFloat(longitude),
+      { houseSystem, timezone }
     );
 
     // Calculate current transits
-    const transits = calculateTransits(chart.planets || {}, new Date());
+    const transits = calculateTransits(chart.planets || {}, new Date(), { zodiac, ayanamsa, aspectProfile, aspects });
 
     res.json({
       success: true,
@@ -818,21 +2187,22 @@ router.post('/chart/comprehensive', (req, res) => {
         venusStar,
         marsPhase,
         lunarPhase,
-        prenatalEclipses: {
-          solar: solarEclipse,
-          lunar: lunarEclipse
-        },
+        prenatalEclipses: eclipses.prenatal,
+        postnatalEclipses: eclipses.postnatal,
         planetaryPhases,
         progressions,
         currentTransits: transits
       }
     });
   } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
     console.error('Comprehensive chart calculation error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
-      hint: 'Check that timezone is a valid IANA timezone'
+      hint: 'Check that the birth date and time are valid'
     });
   }
 });
@@ -841,6 +2211,7 @@ router.post('/chart/comprehensive', (req, res) => {
  * POST /api/v1/ikigai - Full Ikigai analysis from birth data
  *
  * Required: year, month, day, hour, minute, latitude, longitude, timezone
+ * Optional: houseSystem, dstResolution as for /chart
  * Returns: Complete Ikigai framework analysis
  */
 router.post('/ikigai', (req, res) => {
@@ -848,7 +2219,8 @@ router.post('/ikigai', (req, res) => {
     const {
       year, month, day, hour, minute,
       latitude, longitude, timezone,
-      houseSystem = 'R'  // Default to Regiomontanus
+      houseSystem = 'R',  // Default to Regiomontanus
+      dstResolution
     } = req.body;
 
     // Validate required fields
@@ -869,12 +2241,22 @@ router.post('/ikigai', (req, res) => {
       });
     }
 
+    const timezoneError = validateTimezone(timezone);
+    if (timezoneError) {
+      return res.status(400).json({ success: false, error: timezoneError });
+    }
+
+    const dstError = validateDstResolution(dstResolution);
+    if (dstError) {
+      return res.status(400).json({ success: false, error: dstError });
+    }
+
     // Calculate natal chart first
     const chart = calculateChart(
       parseInt(year), parseInt(month), parseInt(day),
       parseInt(hour), parseInt(minute),
       parseFloat(latitude), parseFloat(longitude),
-      timezone, houseSystem
+      timezone, houseSystem, { dstResolution }
     );
 
     // Run Ikigai analysis
@@ -896,6 +2278,9 @@ router.post('/ikigai', (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      return sendAmbiguousLocalTime(res, error);
+    }
     console.error('Ikigai analysis error:', error);
     res.status(500).json({
       success: false,
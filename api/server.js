@@ -2,11 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const astrologyRoutes = require('./routes/astrology');
+const { checkEphemeris } = require('./services/calculator');
 const { requireApiKey, createRateLimiter, requestLogger } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Startup self-check: report which ephemeris files are present and actually used
+const ephemerisStatus = checkEphemeris();
+console.log(`Ephemeris path: ${ephemerisStatus.path}`);
+console.log(`Ephemeris files: ${ephemerisStatus.files.length ? ephemerisStatus.files.join(', ') : 'none'}`);
+if (ephemerisStatus.fallback) {
+  const missing = Object.entries(ephemerisStatus.loaded)
+    .filter(([, entry]) => entry.ephemerisUsed !== 'SWIEPH')
+    .map(([type]) => type);
+  console.warn(`Warning: Swiss Ephemeris files missing for ${missing.join(', ')}, falling back to Moshier (lower precision, no asteroids)`);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -33,7 +45,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    ephemeris: ephemerisStatus
   });
 });
 
@@ -49,6 +62,10 @@ app.get('/', (req, res) => {
         'POST /api/v1/chart/full': 'Chart with VSP, Mars Phase',
         'POST /api/v1/chart/comprehensive': 'All calculations in one call'
       },
+      vedic: {
+        'POST /api/v1/chart/vedic': 'Sidereal chart with nakshatras and divisional charts',
+        'POST /api/v1/dashas': 'Vimshottari dasha timeline and running periods'
+      },
       venusStarPoint: {
         'POST /api/v1/vsp': 'Get Venus Star Point for birth date',
         'POST /api/v1/venus-star': 'Get full 5-point Venus Star',
@@ -63,14 +80,26 @@ app.get('/', (req, res) => {
       advanced: {
         'POST /api/v1/lunar-phase': 'Calculate lunar phase',
         'POST /api/v1/progressions': 'Secondary progressions',
-        'POST /api/v1/prenatal-eclipses': 'Prenatal solar/lunar eclipses',
+        'POST /api/v1/prenatal-eclipses': 'Prenatal and postnatal solar/lunar eclipses with saros, central path and local visibility',
         'POST /api/v1/planetary-phases': 'Planetary phase relationships',
-        'POST /api/v1/transits': 'Current transits to natal chart'
+        'POST /api/v1/transits': 'Current transits to natal chart',
+        'POST /api/v1/transits/exact': 'Exact transit hits, orb entry and exit over a date range',
+        'POST /api/v1/forecast': 'Transit calendar of transits, ingresses, stations and lunations (JSON or .ics)',
+        'GET /api/v1/retrogrades': 'Stations, retrograde periods and shadows (?from=&to=&planet=)',
+        'GET /api/v1/ingresses': 'Exact sign, natal house or longitude ingresses (?planet=&from=&to=&houses=)',
+        'GET /api/v1/lunations': 'New, quarter and Full Moons with eclipses and supermoons (?from=&to=&timezone=)',
+        'POST /api/v1/synastry': 'Cross-aspects, house overlays and compatibility by theme for two birth charts',
+        'POST /api/v1/composite': 'Midpoint composite chart of two people',
+        'POST /api/v1/davison': 'Davison chart for the time and place midpoint of two births',
+        'POST /api/v1/returns/:type': 'Solar, lunar or planetary return chart, optionally relocated (type: solar, lunar, mercury...saturn)',
+        'POST /api/v1/directions': 'Solar arc and primary directions (Placidus or Regiomontanus, zodiacal and mundane) with Ptolemy, Naibod or Cardan key'
       },
       reference: {
         'GET /api/v1/planets': 'Current planetary positions',
         'GET /api/v1/timezones': 'List common timezones',
-        'GET /api/v1/house-systems': 'Supported house systems'
+        'GET /api/v1/house-systems': 'Supported house systems',
+        'GET /api/v1/ayanamsas': 'Supported ayanamsas for sidereal charts',
+        'GET /api/v1/aspect-profiles': 'Aspect orb profiles and supported aspects'
       },
       system: {
         'GET /health': 'Health check'
@@ -3,18 +3,17 @@
  *
  * Provides additional calculations beyond basic natal charts:
  * - Lunar Phase (natal and progressed)
- * - Secondary Progressions
- * - Prenatal Eclipses (solar and lunar)
+ * - Secondary Progressions with progressed angles and houses (solar arc, Naibod or mean quotidian MC)
  * - Planetary Phases (Mars-Sun, Saturn-Jupiter)
  * - Current Transits to natal positions
  */
 
 const sweph = require('sweph');
-const path = require('path');
 
-// Set ephemeris path
-const ephePath = path.join(__dirname, '../../ephe');
-sweph.set_ephe_path(ephePath);
+// Ephemeris path is set once by the calculator service
+const { getZodiacSign: getSignPosition, utcToLocal } = require('./calculator');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+const { findAspects, resolveAspectProfile } = require('./aspects');
 
 // Planet constants - use sweph.constants like calculator.js does
 const PLANETS = {
@@ -36,6 +35,18 @@ const SEFLG_SWIEPH = sweph.constants.SEFLG_SWIEPH;
 const SEFLG_SPEED = sweph.constants.SEFLG_SPEED;
 const SE_GREG_CAL = sweph.constants.SE_GREG_CAL;
 
+// Ways of progressing the Midheaven, the other house cusps follow from it at the birth place
+const ANGLE_METHODS = ['solar_arc', 'naibod', 'mean_quotidian'];
+
+// Naibod rate: the Sun's mean daily motion, added to the ARMC for each year of life
+const NAIBOD_RATE = 0.98564733;
+
+// Degrees the ARMC advances in a mean solar day
+const SIDEREAL_RATE = 360.98564736629;
+
+// One ephemeris day after birth for each year of life
+const DAYS_PER_YEAR = 365.25;
+
 const LUNAR_PHASES = [
   { name: 'New Moon', start: 0, end: 45 },
   { name: 'Crescent', start: 45, end: 90 },
@@ -65,17 +76,18 @@ function normalizeAngle(angle) {
  * @param {number} day
  * @param {number} hour
  * @param {number} minute
+ * @param {number} second
  * @returns {number}
  */
-function dateToJulianDay(year, month, day, hour = 12, minute = 0) {
+function dateToJulianDay(year, month, day, hour = 12, minute = 0, second = 0) {
   // Use sweph.utc_to_jd like calculator.js does
-  const result = sweph.utc_to_jd(year, month, day, hour, minute, 0, SE_GREG_CAL);
+  const result = sweph.utc_to_jd(year, month, day, hour, minute, second, SE_GREG_CAL);
   if (result.flag !== sweph.constants.OK) {
     // Fallback to simple calculation
     const a = Math.floor((14 - month) / 12);
     const y = year + 4800 - a;
     const m = month + 12 * a - 3;
-    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045 + (hour + minute / 60 - 12) / 24;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045 + (hour + minute / 60 + second / 3600 - 12) / 24;
   }
   return result.data[1]; // jd_ut
 }
@@ -142,39 +154,98 @@ function getPhaseDescription(phaseName) {
   return descriptions[phaseName] || '';
 }
 
+/**
+ * Progressed angles and house cusps at the birth place
+ * The Midheaven is progressed as an ARMC, the houses are cast for the moment near the progressed date
+ * when the birth place has that ARMC
+ * @param {number} birthJd - Birth Julian Day (UT)
+ * @param {number} progressedJd - Progressed Julian Day (UT)
+ * @param {number} latitude - Birth latitude
+ * @param {number} longitude - Birth longitude
+ * @param {string} houseSystem - House system code
+ * @param {string} method - One of ANGLE_METHODS
+ * @returns {object} - { armc, houses, points } as returned by houses_ex2, points[0] the ascendant and points[1] the MC
+ */
+function calculateProgressedHouses(birthJd, progressedJd, latitude, longitude, houseSystem, method) {
+  const housesAt = jd => {
+    const result = sweph.houses_ex2(jd, SEFLG_SWIEPH, latitude, longitude, houseSystem);
+    if (result.flag === sweph.constants.ERR) {
+      throw new Error(result.error || 'Failed to calculate houses');
+    }
+    return result.data;
+  };
+
+  const natal = housesAt(birthJd);
+  const days = progressedJd - birthJd;
+  let armc;
+  if (method === 'naibod') {
+    armc = natal.points[2] + days * NAIBOD_RATE;
+  } else if (method === 'mean_quotidian') {
+    armc = natal.points[2] + days * SIDEREAL_RATE;
+  } else {
+    // Solar arc: the MC moves as far as the progressed Sun, converted to right ascension
+    const sunAt = jd => {
+      const result = sweph.calc_ut(jd, PLANETS.SUN, SEFLG_SWIEPH);
+      if (result.flag < 0) {
+        throw new Error(result.error || 'Failed to calculate the Sun');
+      }
+      return result.data[0];
+    };
+    const nutation = sweph.calc_ut(progressedJd, sweph.constants.SE_ECL_NUT, 0);
+    if (nutation.flag < 0) {
+      throw new Error(nutation.error || 'Failed to calculate obliquity');
+    }
+    const obliquity = nutation.data[0] * Math.PI / 180;
+    const mc = (natal.points[1] + sunAt(progressedJd) - sunAt(birthJd)) * Math.PI / 180;
+    armc = Math.atan2(Math.sin(mc) * Math.cos(obliquity), Math.cos(mc)) * 180 / Math.PI;
+  }
+  armc = normalizeAngle(armc);
+
+  const base = housesAt(progressedJd);
+  const offset = ((armc - base.points[2]) % 360 + 540) % 360 - 180;
+  return { armc, ...housesAt(progressedJd + offset / SIDEREAL_RATE) };
+}
+
 /**
  * Calculate Secondary Progressions
  * Based on "a day for a year" - each day after birth = one year of life
  *
- * @param {number} birthJd - Birth Julian Day
- * @param {Date} targetDate - Date to calculate progressions for
- * @param {number} latitude - Birth latitude (for houses)
- * @param {number} longitude - Birth longitude (for houses)
+ * @param {number} birthJd - Birth Julian Day (UT of the birth instant)
+ * @param {Date} targetDate - Instant to calculate progressions for
+ * @param {number|null} latitude - Birth latitude (for houses), null to leave out houses and angles
+ * @param {number|null} longitude - Birth longitude (for houses), null to leave out houses and angles
+ * @param {object} options - { houseSystem (default 'R'), angleMethod (default 'solar_arc'), aspectProfile, aspects }
+ *   for the progressed houses and progressed to natal aspects (default profile 'progressions'),
+ *   timezone (default 'UTC') the target date is given in
  * @returns {object} - Progressed chart data
  */
-function calculateProgressedChart(birthJd, targetDate, latitude = 0, longitude = 0) {
-  // Calculate years elapsed since birth
-  const targetJd = dateToJulianDay(
-    targetDate.getFullYear(),
-    targetDate.getMonth() + 1,
-    targetDate.getDate(),
-    12, 0
-  );
+function calculateProgressedChart(birthJd, targetDate, latitude = 0, longitude = 0, options = {}) {
+  const { houseSystem = 'R', angleMethod = 'solar_arc', timezone = 'UTC' } = options;
+  if (!ANGLE_METHODS.includes(angleMethod)) {
+    throw new Error(`Invalid angleMethod: ${angleMethod}. Use one of: ${ANGLE_METHODS.join(', ')}`);
+  }
+  const profile = resolveAspectProfile(options, 'progressions');
 
-  const yearsElapsed = (targetJd - birthJd) / 365.25;
+  // Calculate years elapsed since birth
+  const targetJd = sweph.jdFromDate(targetDate).ut;
+  const yearsElapsed = (targetJd - birthJd) / DAYS_PER_YEAR;
 
   // Progressed JD = birth JD + (years elapsed as days)
   const progressedJd = birthJd + yearsElapsed;
 
   // Calculate planetary positions for progressed date
   const progressedPlanets = {};
+  const progressedMotion = {};
+  const natalPlanets = {};
   const flag = SEFLG_SWIEPH | SEFLG_SPEED;
+  const equatorialFlag = flag | sweph.constants.SEFLG_EQUATORIAL;
 
   for (const [name, id] of Object.entries(PLANETS)) {
-    const result = sweph.calc(progressedJd, id, flag);
+    const key = name.toLowerCase();
+    const result = sweph.calc_ut(progressedJd, id, flag);
     if (result.flag >= 0 && result.data) {
       const [lng, lat, dist, lngSpeed] = result.data;
-      progressedPlanets[name.toLowerCase()] = {
+      progressedPlanets[key] = {
         longitude: lng,
         longitudeDMS: degreesToDMS(lng),
         sign: getZodiacSign(lng),
@@ -182,254 +253,94 @@ function calculateProgressedChart(birthJd, targetDate, latitude = 0, longitude =
         speed: lngSpeed,
         isRetrograde: lngSpeed < 0
       };
+
+      // One ephemeris day is one year, so progressed bodies move at 1/365.25 of their speed
+      const equatorial = sweph.calc_ut(progressedJd, id, equatorialFlag);
+      progressedMotion[key] = {
+        longitude: lng,
+        speed: lngSpeed / DAYS_PER_YEAR,
+        declination: equatorial.flag >= 0 ? equatorial.data[1] : null,
+        declinationSpeed: equatorial.flag >= 0 ? equatorial.data[4] / DAYS_PER_YEAR : null
+      };
+    }
+
+    const natal = sweph.calc_ut(birthJd, id, SEFLG_SWIEPH);
+    const natalEquatorial = sweph.calc_ut(birthJd, id, SEFLG_SWIEPH | sweph.constants.SEFLG_EQUATORIAL);
+    if (natal.flag >= 0) {
+      natalPlanets[key] = {
+        longitude: natal.data[0],
+        declination: natalEquatorial.flag >= 0 ? natalEquatorial.data[1] : null
+      };
     }
   }
 
+  // Progressed houses, and the motion of the angles from their position a day later
+  let progressedHouses = null;
+  if (latitude !== null && longitude !== null) {
+    const houses = calculateProgressedHouses(birthJd, progressedJd, latitude, longitude, houseSystem, angleMethod);
+    const nextHouses = calculateProgressedHouses(birthJd, progressedJd + 1 / DAYS_PER_YEAR, latitude, longitude, houseSystem, angleMethod);
+    const natalHouses = sweph.houses_ex2(birthJd, SEFLG_SWIEPH, latitude, longitude, houseSystem);
+    if (natalHouses.flag === sweph.constants.ERR) {
+      throw new Error(natalHouses.error || 'Failed to calculate houses');
+    }
+
+    const [ascendant, mc, , vertex] = houses.points;
+    const angleMotion = index => ({
+      longitude: houses.points[index],
+      speed: ((nextHouses.points[index] - houses.points[index]) % 360 + 540) % 360 - 180
+    });
+    progressedMotion.ascendant = angleMotion(0);
+    progressedMotion.midheaven = angleMotion(1);
+    natalPlanets.ascendant = { longitude: natalHouses.data.points[0] };
+    natalPlanets.midheaven = { longitude: natalHouses.data.points[1] };
+
+    progressedHouses = {
+      houseSystem,
+      angleMethod,
+      armc: houses.armc,
+      ascendant,
+      mc,
+      vertex,
+      cusps: houses.houses.map((cusp, i) => ({ house: i + 1, cusp, ...getSignPosition(cusp) }))
+    };
+  }
+
+  // Progressed to natal aspects, natal positions are fixed
+  const aspectsToNatal = findAspects(progressedMotion, fixedPositions(natalPlanets), profile)
+    .map(found => ({
+      progressed: found.body1,
+      natal: found.body2,
+      aspect: found.aspect,
+      symbol: found.symbol,
+      type: found.type,
+      orb: found.orb.toFixed(2),
+      maxOrb: found.maxOrb,
+      applying: found.applying,
+      daysUntilExact: found.daysUntilExact,
+      daysSinceExact: found.daysSinceExact
+    }))
+    .sort((a, b) => parseFloat(a.orb) - parseFloat(b.orb));
+
   // Calculate progressed lunar phase
   const progressedLunarPhase = calculateLunarPhase(
     progressedPlanets.sun?.longitude || 0,
     progressedPlanets.moon?.longitude || 0
   );
 
-  // Calculate houses if coordinates provided
-  let progressedHouses = null;
-  if (latitude !== 0 || longitude !== 0) {
-    const houseResult = sweph.houses(progressedJd, latitude, longitude, 'P');
-    if (houseResult) {
-      progressedHouses = {
-        ascendant: houseResult.ascendant,
-        mc: houseResult.mc,
-        cusps: houseResult.cusps
-      };
-    }
-  }
-
   return {
     birthJd,
     progressedJd,
+    progressedDate: sweph.dateFromJd(progressedJd).toISOString(),
     yearsProgressed: yearsElapsed.toFixed(2),
-    targetDate: targetDate.toISOString().split('T')[0],
+    targetDate: utcToLocal(targetJd, timezone).localTime.split('T')[0],
     planets: progressedPlanets,
     lunarPhase: progressedLunarPhase,
-    houses: progressedHouses
+    houses: progressedHouses,
+    aspectProfile: profile.name,
+    aspectsToNatal
   };
 }
 
-/**
- * Find the prenatal Solar Eclipse before a birth date
- * @param {number} birthJd - Birth Julian Day
- * @param {number} latitude - Birth latitude
- * @param {number} longitude - Birth longitude
- * @returns {object} - Prenatal solar eclipse data
- */
-function findPrenatalSolarEclipse(birthJd, latitude = 0, longitude = 0) {
-  // Search backwards for solar eclipse
-  // sweph.sol_eclipse_when_glob finds eclipses
-  // We need to search before birthJd
-
-  let searchJd = birthJd;
-  let eclipse = null;
-
-  // Search up to 2 years back (solar eclipses happen ~2-5 times per year)
-  const maxSearchDays = 730;
-  let searchAttempts = 0;
-  const maxAttempts = 10;
-
-  while (!eclipse && searchAttempts < maxAttempts) {
-    try {
-      // Search for previous solar eclipse
-      const result = sweph.sol_eclipse_when_glob(
-        searchJd,
-        SEFLG_SWIEPH,
-        SE_ECL_ALLTYPES_SOLAR,
-        true // backward search
-      );
-
-      if (result && result.tret && result.tret[0] < birthJd) {
-        const eclipseJd = result.tret[0];
-        const eclipseDate = sweph.revjul(eclipseJd, SE_GREG_CAL);
-
-        // Get Sun position at eclipse time
-        const sunPos = sweph.calc(eclipseJd, PLANETS.SUN, SEFLG_SWIEPH);
-        const sunLng = sunPos.data ? sunPos.data[0] : 0;
-
-        // Determine eclipse type
-        let eclipseType = 'Solar Eclipse';
-        if (result.attr) {
-          if (result.attr[0] > 0.99) eclipseType = 'Total Solar Eclipse';
-          else if (result.attr[0] > 0.9) eclipseType = 'Annular Solar Eclipse';
-          else eclipseType = 'Partial Solar Eclipse';
-        }
-
-        eclipse = {
-          type: eclipseType,
-          date: `${eclipseDate.year}-${String(eclipseDate.month).padStart(2, '0')}-${String(Math.floor(eclipseDate.day)).padStart(2, '0')}`,
-          julianDay: eclipseJd,
-          daysBeforeBirth: Math.floor(birthJd - eclipseJd),
-          position: {
-            longitude: sunLng,
-            sign: getZodiacSign(sunLng),
-            degree: (sunLng % 30).toFixed(2)
-          },
-          significance: 'Prenatal solar eclipses indicate karmic life themes and soul purpose'
-        };
-        break;
-      }
-
-      searchJd -= 180; // Go back 6 months
-      searchAttempts++;
-    } catch (err) {
-      // If eclipse calculation fails, try manual search
-      searchJd -= 180;
-      searchAttempts++;
-    }
-  }
-
-  if (!eclipse) {
-    // Fallback: calculate approximate eclipse using New Moon search
-    eclipse = findApproximatePrenatalEclipse(birthJd, 'solar');
-  }
-
-  return eclipse || { error: 'Could not find prenatal solar eclipse', available: false };
-}
-
-/**
- * Find the prenatal Lunar Eclipse before a birth date
- * @param {number} birthJd - Birth Julian Day
- * @returns {object} - Prenatal lunar eclipse data
- */
-function findPrenatalLunarEclipse(birthJd) {
-  let searchJd = birthJd;
-  let eclipse = null;
-  let searchAttempts = 0;
-  const maxAttempts = 10;
-
-  while (!eclipse && searchAttempts < maxAttempts) {
-    try {
-      // Search for previous lunar eclipse
-      const result = sweph.lun_eclipse_when(
-        searchJd,
-        SEFLG_SWIEPH,
-        SE_ECL_ALLTYPES_LUNAR,
-        true // backward search
-      );
-
-      if (result && result.tret && result.tret[0] < birthJd) {
-        const eclipseJd = result.tret[0];
-        const eclipseDate = sweph.revjul(eclipseJd, SE_GREG_CAL);
-
-        // Get Moon position at eclipse time
-        const moonPos = sweph.calc(eclipseJd, PLANETS.MOON, SEFLG_SWIEPH);
-        const moonLng = moonPos.data ? moonPos.data[0] : 0;
-
-        // Determine eclipse type
-        let eclipseType = 'Lunar Eclipse';
-        if (result.attr) {
-          if (result.attr[0] > 1.0) eclipseType = 'Total Lunar Eclipse';
-          else if (result.attr[0] > 0) eclipseType = 'Partial Lunar Eclipse';
-          else eclipseType = 'Penumbral Lunar Eclipse';
-        }
-
-        eclipse = {
-          type: eclipseType,
-          date: `${eclipseDate.year}-${String(eclipseDate.month).padStart(2, '0')}-${String(Math.floor(eclipseDate.day)).padStart(2, '0')}`,
-          julianDay: eclipseJd,
-          daysBeforeBirth: Math.floor(birthJd - eclipseJd),
-          position: {
-            longitude: moonLng,
-            sign: getZodiacSign(moonLng),
-            degree: (moonLng % 30).toFixed(2)
-          },
-          significance: 'Prenatal lunar eclipses indicate emotional patterns and subconscious themes'
-        };
-        break;
-      }
-
-      searchJd -= 180;
-      searchAttempts++;
-    } catch (err) {
-      searchJd -= 180;
-      searchAttempts++;
-    }
-  }
-
-  if (!eclipse) {
-    eclipse = findApproximatePrenatalEclipse(birthJd, 'lunar');
-  }
-
-  return eclipse || { error: 'Could not find prenatal lunar eclipse', available: false };
-}
-
-/**
- * Fallback: Find approximate prenatal eclipse by searching for Sun-Moon alignments
- * @param {number} birthJd
- * @param {string} type - 'solar' or 'lunar'
- * @returns {object|null}
- */
-function findApproximatePrenatalEclipse(birthJd, type) {
-  // Search backwards in ~14 day increments (half lunar cycle)
-  let searchJd = birthJd - 1;
-  const maxDays = 400;
-
-  while (birthJd - searchJd < maxDays) {
-    const sunPos = sweph.calc(searchJd, PLANETS.SUN, SEFLG_SWIEPH);
-    const moonPos = sweph.calc(searchJd, PLANETS.MOON, SEFLG_SWIEPH);
-    const nodePos = sweph.calc(searchJd, PLANETS.NORTH_NODE, SEFLG_SWIEPH);
-
-    const sunLng = sunPos.data ? sunPos.data[0] : 0;
-    const moonLng = moonPos.data ? moonPos.data[0] : 0;
-    const nodeLng = nodePos.data ? nodePos.data[0] : 0;
-
-    // Check proximity to nodes (eclipses happen near nodes)
-    const sunNodeDist = Math.min(
-      Math.abs(normalizeAngle(sunLng - nodeLng)),
-      Math.abs(normalizeAngle(sunLng - (nodeLng + 180)))
-    );
-
-    if (type === 'solar') {
-      // Solar eclipse = New Moon near node
-      const sunMoonDist = Math.abs(normalizeAngle(sunLng - moonLng));
-      if (sunMoonDist < 5 && sunNodeDist < 18) {
-        const date = sweph.revjul(searchJd, SE_GREG_CAL);
-        return {
-          type: 'Solar Eclipse (approximate)',
-          date: `${date.year}-${String(date.month).padStart(2, '0')}-${String(Math.floor(date.day)).padStart(2, '0')}`,
-          julianDay: searchJd,
-          daysBeforeBirth: Math.floor(birthJd - searchJd),
-          position: {
-            longitude: sunLng,
-            sign: getZodiacSign(sunLng),
-            degree: (sunLng % 30).toFixed(2)
-          },
-          significance: 'Prenatal solar eclipses indicate karmic life themes'
-        };
-      }
-    } else {
-      // Lunar eclipse = Full Moon near node
-      const sunMoonDist = Math.abs(normalizeAngle(sunLng - moonLng));
-      if (Math.abs(sunMoonDist - 180) < 5 && sunNodeDist < 18) {
-        const date = sweph.revjul(searchJd, SE_GREG_CAL);
-        return {
-          type: 'Lunar Eclipse (approximate)',
-          date: `${date.year}-${String(date.month).padStart(2, '0')}-${String(Math.floor(date.day)).padStart(2, '0')}`,
-          julianDay: searchJd,
-          daysBeforeBirth: Math.floor(birthJd - searchJd),
-          position: {
-            longitude: moonLng,
-            sign: getZodiacSign(moonLng),
-            degree: (moonLng % 30).toFixed(2)
-          },
-          significance: 'Prenatal lunar eclipses indicate emotional patterns'
-        };
-      }
-    }
-
-    searchJd -= 1; // Search day by day
-  }
-
-  return null;
-}
-
 /**
  * Calculate planetary phases (synodic cycles)
  * Useful for Mars-Sun phase, Saturn-Jupiter phase, etc.
@@ -555,77 +466,62 @@ function getVenusMarsDescription(angle) {
  * Calculate current transits to natal positions
  * @param {object} natalChart - Natal chart with planet positions
  * @param {Date} transitDate - Date to calculate transits for (default: now)
+ * @param {object} options - { zodiac: 'tropical' | 'sidereal', ayanamsa }, natal positions must use the same zodiac,
+ *   and { aspectProfile, aspects } for the orbs (default profile 'transits')
  * @returns {object} - Transit data
  */
-function calculateTransits(natalChart, transitDate = new Date()) {
-  const transitJd = dateToJulianDay(
-    transitDate.getFullYear(),
-    transitDate.getMonth() + 1,
-    transitDate.getDate(),
-    transitDate.getHours(),
-    transitDate.getMinutes()
-  );
+function calculateTransits(natalChart, transitDate = new Date(), options = {}) {
+  const transitJd = sweph.jdFromDate(transitDate).ut;
+  const zodiac = resolveZodiac(options);
+  const profile = resolveAspectProfile(options, 'transits');
 
   // Get current planetary positions
   const transitPlanets = {};
-  const flag = SEFLG_SWIEPH | SEFLG_SPEED;
+  const flag = SEFLG_SWIEPH | SEFLG_SPEED | zodiac.flags;
 
   for (const [name, id] of Object.entries(PLANETS)) {
-    const result = sweph.calc(transitJd, id, flag);
+    const result = zodiac.context.calc(transitJd, id, flag);
     if (result.flag >= 0 && result.data) {
       const [lng, lat, dist, lngSpeed] = result.data;
+      const equatorial = zodiac.context.calc(transitJd, id, SEFLG_SWIEPH | SEFLG_SPEED | sweph.constants.SEFLG_EQUATORIAL);
       transitPlanets[name.toLowerCase()] = {
         longitude: lng,
+        speed: lngSpeed,
+        declination: equatorial.flag >= 0 ? equatorial.data[1] : null,
+        declinationSpeed: equatorial.flag >= 0 ? equatorial.data[4] : null,
         sign: getZodiacSign(lng),
         isRetrograde: lngSpeed < 0
       };
     }
   }
 
-  // Find aspects between transit and natal planets
-  const aspects = [];
-  const aspectTypes = [
-    { name: 'Conjunction', angle: 0, orb: 8 },
-    { name: 'Opposition', angle: 180, orb: 8 },
-    { name: 'Trine', angle: 120, orb: 6 },
-    { name: 'Square', angle: 90, orb: 6 },
-    { name: 'Sextile', angle: 60, orb: 4 }
-  ];
-
-  const natalPlanets = natalChart.planets || natalChart;
-
-  for (const [transitName, transitPos] of Object.entries(transitPlanets)) {
-    for (const [natalName, natalPos] of Object.entries(natalPlanets)) {
-      if (!natalPos || !natalPos.longitude) continue;
-
-      const diff = Math.abs(normalizeAngle(transitPos.longitude - natalPos.longitude));
-
-      for (const aspect of aspectTypes) {
-        const orbDiff = Math.abs(diff - aspect.angle);
-        const orbDiff2 = Math.abs((360 - diff) - aspect.angle);
-        const actualOrb = Math.min(orbDiff, orbDiff2);
-
-        if (actualOrb <= aspect.orb) {
-          aspects.push({
-            transit: transitName,
-            natal: natalName,
-            aspect: aspect.name,
-            orb: actualOrb.toFixed(2),
-            exact: actualOrb < 1,
-            applying: isApplying(transitPos, natalPos, aspect.angle),
-            transitRetrograde: transitPos.isRetrograde,
-            significance: getTransitSignificance(transitName, natalName, aspect.name)
-          });
-        }
-      }
-    }
-  }
+  // Find aspects between transit and natal planets, natal positions are fixed
+  const natalPlanets = fixedPositions(natalChart.planets || natalChart);
+  const aspects = findAspects(transitPlanets, natalPlanets, profile).map(found => {
+    const aspectName = found.aspect.charAt(0).toUpperCase() + found.aspect.slice(1);
+    return {
+      transit: found.body1,
+      natal: found.body2,
+      aspect: aspectName,
+      type: found.type,
+      orb: found.orb.toFixed(2),
+      maxOrb: found.maxOrb,
+      exact: found.orb < 1,
+      applying: found.applying,
+      daysUntilExact: found.daysUntilExact,
+      daysSinceExact: found.daysSinceExact,
+      transitRetrograde: transitPlanets[found.body1].isRetrograde,
+      significance: getTransitSignificance(found.body1, found.body2, aspectName)
+    };
+  });
 
   // Sort by orb (tightest aspects first)
   aspects.sort((a, b) => parseFloat(a.orb) - parseFloat(b.orb));
 
   return {
     date: transitDate.toISOString().split('T')[0],
+    zodiac: describeZodiac(zodiac, transitJd),
+    aspectProfile: profile.name,
     transitPlanets,
     aspectsToNatal: aspects.slice(0, 20), // Top 20 closest aspects
     summary: generateTransitSummary(aspects)
@@ -633,22 +529,22 @@ function calculateTransits(natalChart, transitDate = new Date()) {
 }
 
 /**
- * Determine if aspect is applying or separating
- * @param {object} transitPos
- * @param {object} natalPos
- * @param {number} aspectAngle
- * @returns {boolean}
+ * Copy positions with zero speeds, for natal positions that aspects are made to
+ * @param {object} planets - Map of planet name to { longitude, declination? }
+ * @returns {object} - Map of planet name to { longitude, declination, speed: 0, declinationSpeed: 0 }
  */
-function isApplying(transitPos, natalPos, aspectAngle) {
-  // Simplified: if transit is moving toward exact aspect, it's applying
-  const currentDiff = normalizeAngle(transitPos.longitude - natalPos.longitude);
-  const isRetro = transitPos.isRetrograde;
-
-  // This is a simplification - proper applying/separating needs speed comparison
-  if (aspectAngle === 0) {
-    return isRetro ? currentDiff > 0 && currentDiff < 180 : currentDiff < 180;
+function fixedPositions(planets) {
+  const fixed = {};
+  for (const [name, position] of Object.entries(planets)) {
+    if (!position || typeof position.longitude !== 'number') continue;
+    fixed[name] = {
+      longitude: position.longitude,
+      declination: position.declination,
+      speed: 0,
+      declinationSpeed: 0
+    };
   }
-  return true; // Default to applying for simplicity
+  return fixed;
 }
 
 /**
@@ -745,10 +641,11 @@ function degreesToDMS(decimal) {
 }
 
 module.exports = {
+  ANGLE_METHODS,
+  DAYS_PER_YEAR,
+  NAIBOD_RATE,
   calculateLunarPhase,
   calculateProgressedChart,
-  findPrenatalSolarEclipse,
-  findPrenatalLunarEclipse,
   calculatePlanetaryPhases,
   calculateTransits,
   dateToJulianDay,
@@ -0,0 +1,315 @@
+/**
+ * Aspect Engine
+ *
+ * Finds aspects between two sets of bodies (or within one set) using an orb profile:
+ * - Named profiles, or a custom table of per-aspect orbs
+ * - Per-body orb limits and a bonus for major aspects of the Sun and Moon
+ * - Major, minor and harmonic aspects (quintiles, septiles, noviles)
+ * - Declination parallels and contraparallels
+ * - Applying or separating, and days until or since exactness, from the speeds of both bodies
+ */
+
+// Every supported aspect with its default orb, used when a custom table lists aspects without orbs
+const ASPECTS = {
+  conjunction: { angle: 0, orb: 8, symbol: '☌', type: 'major' },
+  opposition: { angle: 180, orb: 8, symbol: '☍', type: 'major' },
+  trine: { angle: 120, orb: 8, symbol: '△', type: 'major' },
+  square: { angle: 90, orb: 8, symbol: '□', type: 'major' },
+  sextile: { angle: 60, orb: 6, symbol: '⚹', type: 'major' },
+  quincunx: { angle: 150, orb: 3, symbol: '⚻', type: 'minor' },
+  semisextile: { angle: 30, orb: 2, symbol: '⚺', type: 'minor' },
+  semisquare: { angle: 45, orb: 2, symbol: '∠', type: 'minor' },
+  sesquiquadrate: { angle: 135, orb: 2, symbol: '⚼', type: 'minor' },
+  quintile: { angle: 72, orb: 2, symbol: 'Q', type: 'harmonic' },
+  biquintile: { angle: 144, orb: 2, symbol: 'bQ', type: 'harmonic' },
+  septile: { angle: 360 / 7, orb: 1.5, symbol: 'S', type: 'harmonic' },
+  biseptile: { angle: 720 / 7, orb: 1.5, symbol: 'bS', type: 'harmonic' },
+  triseptile: { angle: 1080 / 7, orb: 1.5, symbol: 'tS', type: 'harmonic' },
+  novile: { angle: 40, orb: 1, symbol: 'N', type: 'harmonic' },
+  binovile: { angle: 80, orb: 1, symbol: 'bN', type: 'harmonic' },
+  quadnovile: { angle: 160, orb: 1, symbol: 'qN', type: 'harmonic' },
+  // Declination aspects: equal declinations on the same side (parallel) or opposite sides (contraparallel) of the equator
+  parallel: { angle: 0, orb: 1, symbol: '∥', type: 'declination' },
+  contraparallel: { angle: 0, orb: 1, symbol: '⋕', type: 'declination' }
+};
+
+const STANDARD_ORBS = {
+  conjunction: 8,
+  sextile: 6,
+  square: 8,
+  trine: 8,
+  opposition: 8,
+  quincunx: 3,
+  semisextile: 2,
+  semisquare: 2,
+  sesquiquadrate: 2
+};
+
+const HARMONIC_ORBS = {
+  ...STANDARD_ORBS,
+  quintile: 2,
+  biquintile: 2,
+  septile: 1.5,
+  biseptile: 1.5,
+  triseptile: 1.5,
+  novile: 1,
+  binovile: 1,
+  quadnovile: 1
+};
+
+/**
+ * Named orb profiles
+ * - orbs: orb in degrees of every aspect that is looked for
+ * - luminaryBonus: degrees added to the orb of major aspects involving the Sun or Moon
+ * - planetOrbs: maximum orb of any aspect involving a body
+ */
+const ASPECT_PROFILES = {
+  standard: {
+    description: 'Major and minor aspects, default for charts',
+    orbs: STANDARD_ORBS,
+    luminaryBonus: 0,
+    planetOrbs: {}
+  },
+  transits: {
+    description: 'Major aspects with tighter trines, squares and sextiles, default for transits',
+    orbs: { conjunction: 8, opposition: 8, trine: 6, square: 6, sextile: 4 },
+    luminaryBonus: 0,
+    planetOrbs: {}
+  },
+  progressions: {
+    description: 'Major aspects within 1°, default for progressed to natal aspects',
+    orbs: { conjunction: 1, opposition: 1, trine: 1, square: 1, sextile: 1 },
+    luminaryBonus: 0,
+    planetOrbs: {}
+  },
+  synastry: {
+    description: 'Major aspects and the quincunx between two charts, wider orbs for the Sun and Moon, default for synastry',
+    orbs: { conjunction: 7, opposition: 7, trine: 6, square: 6, sextile: 4, quincunx: 2 },
+    luminaryBonus: 1,
+    planetOrbs: {}
+  },
+  major: {
+    description: 'Ptolemaic aspects only, with wider orbs for the Sun and Moon',
+    orbs: { conjunction: 8, opposition: 8, trine: 7, square: 7, sextile: 5 },
+    luminaryBonus: 2,
+    planetOrbs: {}
+  },
+  harmonic: {
+    description: 'Standard aspects plus quintiles, septiles and noviles',
+    orbs: HARMONIC_ORBS,
+    luminaryBonus: 0,
+    planetOrbs: {}
+  },
+  full: {
+    description: 'Every aspect including declination parallels, wider orbs for the Sun and Moon and tighter orbs for points',
+    orbs: { ...HARMONIC_ORBS, parallel: 1, contraparallel: 1 },
+    luminaryBonus: 2,
+    planetOrbs: { chiron: 3, northNode: 3, southNode: 3 }
+  }
+};
+
+const LUMINARIES = ['sun', 'moon'];
+
+// Body names are compared without case and underscores, so 'north_node' matches 'northNode'
+const bodyKey = name => String(name).toLowerCase().replace(/_/g, '');
+
+/**
+ * Resolve request options into an orb profile
+ * A custom table in `aspects` replaces the orbs of the base profile (aspectProfile, or defaultProfile):
+ * - an array of aspect names, using the base profile's orbs or the default orb of each aspect
+ * - an object { orbs, luminaryBonus, planetOrbs }, where each given field overrides the base profile
+ * @param {Object} options
+ * @param {string} options.aspectProfile - Name of a profile in ASPECT_PROFILES
+ * @param {Array|Object} options.aspects - Custom aspect table
+ * @param {string} defaultProfile - Profile used when aspectProfile is not given
+ * @returns {Object} { name, orbs, luminaryBonus, planetOrbs }
+ */
+function resolveAspectProfile({ aspectProfile, aspects } = {}, defaultProfile = 'standard') {
+  const name = aspectProfile === undefined ? defaultProfile : aspectProfile;
+  if (!Object.keys(ASPECT_PROFILES).includes(name)) {
+    throw new Error(`Unknown aspectProfile: ${name}. Use one of: ${Object.keys(ASPECT_PROFILES).join(', ')}`);
+  }
+  const base = ASPECT_PROFILES[name];
+
+  if (aspects === undefined) {
+    return { name, orbs: base.orbs, luminaryBonus: base.luminaryBonus, planetOrbs: base.planetOrbs };
+  }
+
+  const custom = Array.isArray(aspects) ? { orbs: aspects } : aspects;
+  if (!custom || typeof custom !== 'object') {
+    throw new Error('aspects must be an array of aspect names or an object with orbs, luminaryBonus and planetOrbs');
+  }
+
+  let orbs = base.orbs;
+  if (custom.orbs !== undefined) {
+    const entries = Array.isArray(custom.orbs)
+      ? custom.orbs.map(aspect => [aspect, base.orbs[aspect] !== undefined ? base.orbs[aspect] : ASPECTS[aspect]?.orb])
+      : Object.entries(custom.orbs || {});
+    for (const [aspect, orb] of entries) {
+      if (!Object.keys(ASPECTS).includes(aspect)) {
+        throw new Error(`Unknown aspect: ${aspect}. Use any of: ${Object.keys(ASPECTS).join(', ')}`);
+      }
+      if (typeof orb !== 'number' || !(orb >= 0)) {
+        throw new Error(`Orb of ${aspect} must be a non-negative number`);
+      }
+    }
+    orbs = Object.fromEntries(entries);
+  }
+
+  const luminaryBonus = custom.luminaryBonus === undefined ? base.luminaryBonus : custom.luminaryBonus;
+  if (typeof luminaryBonus !== 'number' || !Number.isFinite(luminaryBonus)) {
+    throw new Error('luminaryBonus must be a number');
+  }
+
+  const planetOrbs = custom.planetOrbs === undefined ? base.planetOrbs : custom.planetOrbs;
+  if (!planetOrbs || typeof planetOrbs !== 'object' || Array.isArray(planetOrbs) ||
+    Object.values(planetOrbs).some(orb => typeof orb !== 'number' || !(orb >= 0))) {
+    throw new Error('planetOrbs must map body names to non-negative orbs');
+  }
+
+  return { name: aspectProfile === undefined ? 'custom' : `${name} (custom)`, orbs, luminaryBonus, planetOrbs };
+}
+
+/**
+ * Orb allowed for an aspect between two bodies
+ * @param {Object} profile - Result of resolveAspectProfile
+ * @param {string} aspect - Aspect name
+ * @param {string} body1
+ * @param {string} body2
+ * @returns {number} Orb in degrees
+ */
+function getOrb(profile, aspect, body1, body2) {
+  const keys = [bodyKey(body1), bodyKey(body2)];
+  let orb = profile.orbs[aspect];
+
+  if (ASPECTS[aspect].type === 'major' && keys.some(key => LUMINARIES.includes(key))) {
+    orb += profile.luminaryBonus;
+  }
+
+  for (const [body, limit] of Object.entries(profile.planetOrbs)) {
+    if (keys.includes(bodyKey(body))) {
+      orb = Math.min(orb, limit);
+    }
+  }
+
+  return Math.max(orb, 0);
+}
+
+/**
+ * Separation of two bodies for an aspect: angular distance in longitude (0-180),
+ * or distance in declination for parallels and contraparallels
+ * @returns {number|null} null when the aspect cannot apply, e.g. declinations on the wrong sides of the equator
+ */
+function getSeparation(aspect, position1, position2) {
+  if (ASPECTS[aspect].type !== 'declination') {
+    const diff = Math.abs(position1.longitude - position2.longitude) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
+
+  const { declination: dec1 } = position1;
+  const { declination: dec2 } = position2;
+  if (typeof dec1 !== 'number' || typeof dec2 !== 'number') return null;
+
+  const sameSide = Math.sign(dec1) === Math.sign(dec2) || dec1 === 0 || dec2 === 0;
+  if (aspect === 'parallel') return sameSide ? Math.abs(dec1 - dec2) : null;
+  return sameSide ? null : Math.abs(dec1 + dec2);
+}
+
+/**
+ * Whether an aspect is applying or separating, from the speeds of both bodies
+ * The orb is assumed to change linearly, so the days until or since exactness are estimates
+ * that are most accurate close to exactness
+ * @param {string} aspect - Aspect name
+ * @param {Object} position1 - { longitude, speed, declination?, declinationSpeed? }, speeds in degrees per day
+ * @param {Object} position2 - Same as position1, speeds of 0 for fixed positions such as natal planets
+ * @returns {Object} { applying, daysUntilExact, daysSinceExact }, applying is null when speeds are
+ *   missing or the orb does not change
+ */
+function getAspectMotion(aspect, position1, position2) {
+  const unknown = { applying: null, daysUntilExact: null, daysSinceExact: null };
+  const { angle, type } = ASPECTS[aspect];
+
+  // Signed distance between the bodies and its rate of change
+  let delta;
+  let deltaSpeed;
+  if (type !== 'declination') {
+    if (typeof position1.speed !== 'number' || typeof position2.speed !== 'number') return unknown;
+    delta = ((position1.longitude - position2.longitude) % 360 + 540) % 360 - 180;
+    deltaSpeed = position1.speed - position2.speed;
+  } else {
+    if (typeof position1.declinationSpeed !== 'number' || typeof position2.declinationSpeed !== 'number') return unknown;
+    const sign = aspect === 'parallel' ? -1 : 1;
+    delta = position1.declination + sign * position2.declination;
+    deltaSpeed = position1.declinationSpeed + sign * position2.declinationSpeed;
+  }
+
+  // The separation is |delta|, the orb is |separation - angle|
+  const separation = Math.abs(delta);
+  const separationSpeed = delta === 0 ? Math.abs(deltaSpeed) : Math.sign(delta) * deltaSpeed;
+  const offset = separation - angle;
+  const orbSpeed = offset === 0 ? Math.abs(separationSpeed) : Math.sign(offset) * separationSpeed;
+  if (orbSpeed === 0) return unknown;
+
+  const days = Math.abs(offset) / Math.abs(orbSpeed);
+  return orbSpeed < 0
+    ? { applying: true, daysUntilExact: days, daysSinceExact: null }
+    : { applying: false, daysUntilExact: null, daysSinceExact: days };
+}
+
+/**
+ * Find every aspect within orb between two sets of bodies
+ * Every aspect within orb is reported, so a pair can have more than one aspect
+ * @param {Object} bodies1 - Map of body name to { longitude, speed?, declination?, declinationSpeed? }
+ * @param {Object|null} bodies2 - Second map, or null for aspects between the bodies of bodies1
+ * @param {Object} profile - Result of resolveAspectProfile
+ * @returns {Array<Object>} [{ body1, body2, aspect, symbol, type, angle, separation, orb, maxOrb,
+ *   applying, daysUntilExact, daysSinceExact }]
+ */
+function findAspects(bodies1, bodies2, profile) {
+  const entries1 = Object.entries(bodies1).filter(([, position]) => position && typeof position.longitude === 'number');
+  const entries2 = bodies2
+    ? Object.entries(bodies2).filter(([, position]) => position && typeof position.longitude === 'number')
+    : entries1;
+
+  const found = [];
+  entries1.forEach(([name1, position1], i) => {
+    // Within one set, each pair is compared once
+    const others = bodies2 ? entries2 : entries2.slice(i + 1);
+
+    for (const [name2, position2] of others) {
+      for (const aspect of Object.keys(profile.orbs)) {
+        const separation = getSeparation(aspect, position1, position2);
+        if (separation === null) continue;
+
+        const { angle, symbol, type } = ASPECTS[aspect];
+        const orb = Math.abs(separation - angle);
+        const maxOrb = getOrb(profile, aspect, name1, name2);
+        if (orb <= maxOrb) {
+          found.push({
+            body1: name1,
+            body2: name2,
+            aspect,
+            symbol,
+            type,
+            angle,
+            separation,
+            orb,
+            maxOrb,
+            ...getAspectMotion(aspect, position1, position2)
+          });
+        }
+      }
+    }
+  });
+
+  return found;
+}
+
+module.exports = {
+  ASPECT_PROFILES,
+  ASPECTS,
+  findAspects,
+  getAspectMotion,
+  getOrb,
+  resolveAspectProfile
+};
@@ -1,6 +1,9 @@
 const sweph = require('sweph');
+const fs = require('fs');
 const path = require('path');
 const { DateTime } = require('luxon');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+const { findAspects, resolveAspectProfile } = require('./aspects');
 
 // Initialize ephemeris path
 const ephePath = process.env.EPHE_PATH || path.join(__dirname, '../ephemeris');
@@ -22,6 +25,35 @@ const PLANETS = {
   chiron: sweph.constants.SE_CHIRON
 };
 
+// Bodies calculated directly (South Node is derived from North Node)
+const CALCULATED_PLANETS = Object.keys(PLANETS).filter(name => name !== 'southNode');
+
+// Known limits of the IANA zone rules for historical dates
+const timezoneHistory = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../data/timezone-history.json'), 'utf8')
+);
+
+// How a local time that falls in a DST gap or overlap is resolved
+const DST_RESOLUTIONS = ['earlier', 'later'];
+
+/**
+ * Thrown when a local time falls in a DST gap (does not exist) or overlap (occurs twice)
+ * and no dstResolution was given. options holds both candidate UTC instants.
+ */
+class AmbiguousLocalTimeError extends Error {
+  constructor(kind, options) {
+    super(kind === 'gap'
+      ? 'Local time does not exist in this timezone (DST gap)'
+      : 'Local time is ambiguous in this timezone (DST overlap)');
+    this.name = 'AmbiguousLocalTimeError';
+    this.kind = kind;
+    this.options = options;
+  }
+}
+
+// How local birth times are interpreted: civil time of an IANA zone, Local Mean Time or Local Apparent Time
+const TIME_STANDARDS = ['zone', 'LMT', 'LAT'];
+
 const ZODIAC_SIGNS = [
   'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
   'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
@@ -44,43 +76,405 @@ function getZodiacSign(longitude) {
   };
 }
 
+/**
+ * Get the ephemeris that actually produced a result from its returned flag
+ * The Swiss Ephemeris silently falls back to Moshier when .se1 files are missing
+ * @param {number} flag - Flag returned by sweph.calc
+ * @returns {string} 'JPL', 'SWIEPH' or 'MOSEPH'
+ */
+function getEphemerisUsed(flag) {
+  if (flag & sweph.constants.SEFLG_JPLEPH) return 'JPL';
+  if (flag & sweph.constants.SEFLG_SWIEPH) return 'SWIEPH';
+  return 'MOSEPH';
+}
+
+/**
+ * Check which ephemeris files are available and which ephemeris is actually used
+ * Calculates one body per file type so that the library loads its files, then reads them back
+ * with get_current_file_data
+ * @returns {Object} Ephemeris path, .se1 files present, loaded file data and ephemeris used per file type
+ */
+function checkEphemeris() {
+  let files = [];
+  try {
+    files = fs.readdirSync(ephePath).filter(file => file.endsWith('.se1')).sort();
+  } catch (error) {
+    // Missing directory, reported as no files
+  }
+
+  const jd_et = sweph.julday(new Date().getUTCFullYear(), 1, 1, 0, sweph.constants.SE_GREG_CAL);
+  const checks = [
+    { type: 'planets', ifno: 0, body: sweph.constants.SE_SUN },
+    { type: 'moon', ifno: 1, body: sweph.constants.SE_MOON },
+    { type: 'asteroids', ifno: 2, body: sweph.constants.SE_CHIRON }
+  ];
+
+  const loaded = {};
+  for (const { type, ifno, body } of checks) {
+    const result = sweph.calc(jd_et, body, sweph.constants.SEFLG_SWIEPH);
+    const file = sweph.get_current_file_data(ifno);
+    const found = result.flag >= 0 && file.end > file.start;
+    loaded[type] = {
+      ephemerisUsed: result.flag < 0 ? null : getEphemerisUsed(result.flag),
+      file: found ? path.basename(file.path) : null,
+      start: found ? file.start : null,
+      end: found ? file.end : null,
+      warning: result.error || null
+    };
+  }
+
+  return {
+    path: ephePath,
+    files,
+    loaded,
+    fallback: Object.values(loaded).some(entry => entry.ephemerisUsed !== 'SWIEPH')
+  };
+}
+
+/**
+ * Calculate every body in CALCULATED_PLANETS with a single native call
+ * @param {number} jd_et - Julian Day in ephemeris time
+ * @param {number} flags - Calculation flags
+ * @param {Object} context - Calculation context, e.g. with a sidereal mode (default: global settings)
+ * @returns {Object} Map of planet name to { flag, error, data } as returned by sweph.calc
+ */
+function calculatePlanetPositions(jd_et, flags, context = sweph) {
+  const batch = context.calc_batch([jd_et], CALCULATED_PLANETS.map(name => PLANETS[name]), flags);
+
+  const positions = {};
+  CALCULATED_PLANETS.forEach((name, i) => {
+    positions[name] = {
+      flag: batch.flags[i],
+      error: batch.errors[i],
+      data: Array.from(batch.data.subarray(i * 6, i * 6 + 6))
+    };
+  });
+  return positions;
+}
+
+// Wall clock formats per timezone, reused since creating one is slow
+const zoneFormats = new Map();
+
+/**
+ * Express date components as milliseconds as if they were UTC, including years before 100
+ * @returns {number|null} Milliseconds, null if the components are not a valid date and time
+ */
+function wallClockMillis({ year, month, day, hour, minute, second = 0 }) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  date.setUTCHours(hour, minute, 0, 0);
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day ||
+      date.getUTCHours() !== hour || date.getUTCMinutes() !== minute || !(second >= 0 && second < 60)) {
+    return null;
+  }
+  return date.getTime() + second * 1000;
+}
+
+/**
+ * UTC offset of a timezone at an instant, from the wall clock time Intl shows for it
+ * @param {string} timezone - IANA timezone
+ * @param {number} millis - Instant
+ * @returns {number} Offset in minutes, fractional for Local Mean Time offsets
+ */
+function getZoneOffset(timezone, millis) {
+  let format = zoneFormats.get(timezone);
+  if (!format) {
+    try {
+      format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        era: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+    zoneFormats.set(timezone, format);
+  }
+
+  const parts = {};
+  for (const { type, value } of format.formatToParts(new Date(millis))) {
+    parts[type] = value;
+  }
+  const year = parts.era === 'BC' ? 1 - Number(parts.year) : Number(parts.year);
+  const wall = wallClockMillis({
+    year,
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  });
+  return (wall - (millis - ((millis % 1000) + 1000) % 1000)) / 60000;
+}
+
+/**
+ * Find the UTC offsets a local wall clock time can have in a timezone
+ * Returns one candidate normally, two in a DST overlap and none in a DST gap
+ * @param {number} localMillis - Wall clock time expressed as if it were UTC
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} Valid candidates and the offsets around the time
+ */
+function getLocalTimeCandidates(localMillis, timezone) {
+  const DAY = 86400000;
+  const offsets = [...new Set([getZoneOffset(timezone, localMillis - DAY), getZoneOffset(timezone, localMillis + DAY)])];
+  const candidates = offsets
+    .map(offset => ({ offset, instant: localMillis - offset * 60000 }))
+    .filter(candidate => getZoneOffset(timezone, candidate.instant) === candidate.offset);
+  return { offsets, candidates };
+}
+
 /**
  * Convert local time to UTC using timezone
+ * Local times in a DST gap or overlap throw an AmbiguousLocalTimeError unless dstResolution is given
  * @param {number} year
  * @param {number} month
  * @param {number} day
  * @param {number} hour
  * @param {number} minute
  * @param {string} timezone - IANA timezone (e.g., 'America/New_York')
+ * @param {string} dstResolution - 'earlier' or 'later' UTC instant when the local time is ambiguous or does not exist
+ * @param {number} second
  * @returns {Object} UTC date components
  */
-function localToUTC(year, month, day, hour, minute, timezone) {
-  // Create DateTime in the local timezone
-  const localDt = DateTime.fromObject(
-    { year, month, day, hour, minute, second: 0 },
-    { zone: timezone }
-  );
+function localToUTC(year, month, day, hour, minute, timezone, dstResolution, second = 0) {
+  const local = { year, month, day, hour, minute, second };
+  const localMillis = wallClockMillis(local);
+  if (localMillis === null) {
+    throw new Error(`Invalid date/time: ${formatDateTime(local)}`);
+  }
 
-  if (!localDt.isValid) {
-    throw new Error(`Invalid date/time or timezone: ${localDt.invalidReason}`);
+  if (dstResolution !== undefined && !DST_RESOLUTIONS.includes(dstResolution)) {
+    throw new Error(`Invalid dstResolution: ${dstResolution}. Use one of: ${DST_RESOLUTIONS.join(', ')}`);
+  }
+
+  // The offsets valid for the wall clock time: one, or none in a DST gap and two in an overlap
+  const { offsets, candidates } = getLocalTimeCandidates(localMillis, timezone);
+
+  let instant;
+  let dst = null;
+  if (candidates.length === 1) {
+    instant = candidates[0].instant;
+  } else {
+    const kind = candidates.length === 0 ? 'gap' : 'overlap';
+    const instants = (kind === 'gap' ? offsets.map(offset => localMillis - offset * 60000) : candidates.map(c => c.instant))
+      .sort((a, b) => a - b);
+
+    if (!dstResolution) {
+      throw new AmbiguousLocalTimeError(kind, instants.map((option, i) => {
+        const optionOffset = (localMillis - option) / 3600000;
+        return {
+          dstResolution: DST_RESOLUTIONS[i],
+          utcOffset: optionOffset,
+          localTime: `${formatDateTime(local)}${formatOffset(optionOffset)}`,
+          utcTime: new Date(option).toISOString()
+        };
+      }));
+    }
+
+    instant = instants[DST_RESOLUTIONS.indexOf(dstResolution)];
+    dst = { kind, resolution: dstResolution };
   }
 
   // Convert to UTC
-  const utcDt = localDt.toUTC();
+  const utcDate = new Date(instant);
+  const utcOffset = (localMillis - instant) / 3600000;
 
   return {
-    year: utcDt.year,
-    month: utcDt.month,
-    day: utcDt.day,
-    hour: utcDt.hour,
-    minute: utcDt.minute,
-    second: utcDt.second,
+    year: utcDate.getUTCFullYear(),
+    month: utcDate.getUTCMonth() + 1,
+    day: utcDate.getUTCDate(),
+    hour: utcDate.getUTCHours(),
+    minute: utcDate.getUTCMinutes(),
+    second: utcDate.getUTCSeconds() + utcDate.getUTCMilliseconds() / 1000,
+    utcOffset, // offset in hours
+    localTime: `${formatDateTime(local)}${formatOffset(utcOffset)}`,
+    utcTime: utcDate.toISOString(),
+    dst
+  };
+}
+
+/**
+ * Convert a Julian Day in universal time to local time in a timezone, the inverse of localToUTC
+ * @param {number} jd_ut - Julian Day in universal time
+ * @param {string} timezone - IANA timezone (e.g., 'America/New_York')
+ * @returns {Object} Local date components, same shape as localToUTC
+ */
+function utcToLocal(jd_ut, timezone = 'UTC') {
+  const utcDt = DateTime.fromJSDate(sweph.dateFromJd(jd_ut), { zone: 'utc' });
+  const localDt = utcDt.setZone(timezone);
+
+  if (!localDt.isValid) {
+    throw new Error(`Invalid timezone: ${localDt.invalidReason}`);
+  }
+
+  return {
+    year: localDt.year,
+    month: localDt.month,
+    day: localDt.day,
+    hour: localDt.hour,
+    minute: localDt.minute,
+    second: localDt.second,
     utcOffset: localDt.offset / 60, // offset in hours
     localTime: localDt.toISO(),
     utcTime: utcDt.toISO()
   };
 }
 
+/**
+ * Format an offset in hours as +HH:MM
+ */
+function formatOffset(hours) {
+  const minutes = Math.round(Math.abs(hours) * 60);
+  const pad = value => String(value).padStart(2, '0');
+  return `${hours < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Format date components as an ISO-like string without offset
+ */
+function formatDateTime({ year, month, day, hour, minute, second = 0 }) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const sec = Math.floor(second + 1e-6);
+  return `${year < 0 ? '-' : ''}${pad(Math.abs(year), 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(sec)}`;
+}
+
+/**
+ * Convert Local Mean Time to UTC
+ * LMT is UT shifted by the longitude of the birth place (4 minutes per degree)
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} longitude - Birth longitude (east positive)
+ * @param {number} second
+ * @returns {Object} UTC date components, same shape as localToUTC
+ */
+function localMeanTimeToUTC(year, month, day, hour, minute, longitude, second = 0) {
+  const utcOffset = longitude / 15;
+  const utc = sweph.utc_time_zone(year, month, day, hour, minute, second, utcOffset);
+
+  return {
+    year: utc.year,
+    month: utc.month,
+    day: utc.day,
+    hour: utc.hour,
+    minute: utc.minute,
+    second: utc.second,
+    utcOffset,
+    localTime: `${formatDateTime({ year, month, day, hour, minute, second })} LMT`,
+    utcTime: `${formatDateTime(utc)}Z`
+  };
+}
+
+/**
+ * Convert Local Apparent (sundial) Time to UTC
+ * LAT differs from LMT by the equation of time, which is removed with lat_to_lmt
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} longitude - Birth longitude (east positive)
+ * @param {number} second
+ * @returns {Object} UTC date components, same shape as localToUTC
+ */
+function localApparentTimeToUTC(year, month, day, hour, minute, longitude, second = 0) {
+  const jdLat = sweph.julday(year, month, day, hour + minute / 60 + second / 3600, sweph.constants.SE_GREG_CAL);
+  const lmtResult = sweph.lat_to_lmt(jdLat, longitude);
+
+  if (lmtResult.flag !== sweph.constants.OK) {
+    throw new Error(lmtResult.error || 'Failed to convert Local Apparent Time');
+  }
+
+  const lmt = sweph.revjul(lmtResult.data, sweph.constants.SE_GREG_CAL);
+  const lmtHour = Math.floor(lmt.hour);
+  const lmtMinute = Math.floor((lmt.hour - lmtHour) * 60);
+  const lmtSecond = ((lmt.hour - lmtHour) * 60 - lmtMinute) * 60;
+
+  const utc = localMeanTimeToUTC(lmt.year, lmt.month, lmt.day, lmtHour, lmtMinute, longitude, lmtSecond);
+
+  return {
+    ...utc,
+    utcOffset: (jdLat - lmtResult.data) * 24 + utc.utcOffset,
+    localTime: `${formatDateTime({ year, month, day, hour, minute })} LAT`,
+    equationOfTime: (jdLat - lmtResult.data) * 1440 // minutes
+  };
+}
+
+/**
+ * Check whether the IANA rules of a zone are known to be unreliable for a year
+ * @param {string} timezone - IANA timezone
+ * @param {number} year - Local year
+ * @returns {Array<string>} Warnings, empty if the zone rules are reliable
+ */
+function getTimezoneWarnings(timezone, year) {
+  const warnings = [];
+  const { zones, prefixes } = timezoneHistory.standardTimeAdoption;
+
+  let adoption = zones[timezone];
+  if (adoption === undefined) {
+    const prefix = Object.keys(prefixes).find(p => timezone.startsWith(p));
+    adoption = prefix ? prefixes[prefix] : undefined;
+  }
+
+  if (adoption !== undefined && year < adoption) {
+    warnings.push(
+      `Standard time was not in use in ${timezone} before ${adoption}. ` +
+      'The zone offset is the Local Mean Time of the zone\'s reference city, not of the birth place; consider timeStandard \'LMT\''
+    );
+  }
+
+  if (year < 1970 && timezoneHistory.mergedBefore1970.zones.includes(timezone)) {
+    warnings.push(
+      `The IANA time zone database merges the history of ${timezone} before 1970 with another zone, ` +
+      `so its offset for ${year} may be wrong`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Convert a local birth time to UTC according to the requested time standard
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} longitude - Birth longitude (used for LMT and LAT)
+ * @param {string} timezone - IANA timezone (used for 'zone')
+ * @param {string} timeStandard - 'zone', 'LMT' or 'LAT'
+ * @param {string} dstResolution - 'earlier' or 'later', required when a zone time falls in a DST gap or overlap
+ * @param {number} second
+ * @returns {Object} UTC date components and warnings
+ */
+function resolveLocalTime(year, month, day, hour, minute, longitude, timezone, timeStandard = 'zone', dstResolution, second = 0) {
+  if (!TIME_STANDARDS.includes(timeStandard)) {
+    throw new Error(`Invalid timeStandard: ${timeStandard}. Use one of: ${TIME_STANDARDS.join(', ')}`);
+  }
+  if (timeStandard === 'LMT') {
+    return { ...localMeanTimeToUTC(year, month, day, hour, minute, longitude, second), warnings: [] };
+  }
+  if (timeStandard === 'LAT') {
+    return { ...localApparentTimeToUTC(year, month, day, hour, minute, longitude, second), warnings: [] };
+  }
+  const utc = localToUTC(year, month, day, hour, minute, timezone, dstResolution, second);
+  const warnings = getTimezoneWarnings(timezone, year);
+  if (utc.dst) {
+    warnings.push(utc.dst.kind === 'gap'
+      ? `Local time does not exist in ${timezone} (DST gap), resolved to the ${utc.dst.resolution} UTC instant`
+      : `Local time occurs twice in ${timezone} (DST overlap), resolved to the ${utc.dst.resolution} UTC instant`);
+  }
+  return { ...utc, warnings };
+}
+
 /**
  * Calculate a complete astrological chart
  * @param {number} year - Local year
@@ -92,11 +486,23 @@ function localToUTC(year, month, day, hour, minute, timezone) {
  * @param {number} longitude - Birth longitude
  * @param {string} timezone - IANA timezone (e.g., 'America/New_York')
  * @param {string} houseSystem - House system code (default 'P' for Placidus)
+ * @param {Object} options
+ * @param {string} options.timeStandard - 'zone' (default), 'LMT' or 'LAT'
+ * @param {string} options.dstResolution - 'earlier' or 'later' for local times in a DST gap or overlap
+ * @param {number} options.second - Local second (default 0), for charts of exact moments such as returns
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal charts (default 'lahiri')
+ * @param {string} options.aspectProfile - Orb profile (default 'standard'), see ASPECT_PROFILES
+ * @param {Array|Object} options.aspects - Custom aspect table, see resolveAspectProfile
  * @returns {Object} Complete chart data
  */
-function calculateChart(year, month, day, hour, minute, latitude, longitude, timezone = 'UTC', houseSystem = 'P') {
+function calculateChart(year, month, day, hour, minute, latitude, longitude, timezone = 'UTC', houseSystem = 'P', options = {}) {
+  const { timeStandard = 'zone', dstResolution, second = 0, zodiac, ayanamsa, aspectProfile, aspects: customAspects } = options;
+  const resolvedZodiac = resolveZodiac({ zodiac, ayanamsa });
+  const profile = resolveAspectProfile({ aspectProfile, aspects: customAspects });
+
   // Convert local time to UTC
-  const utc = localToUTC(year, month, day, hour, minute, timezone);
+  const utc = resolveLocalTime(year, month, day, hour, minute, longitude, timezone, timeStandard, dstResolution, second);
 
   // Convert UTC to Julian Day
   const jdResult = sweph.utc_to_jd(
@@ -110,15 +516,16 @@ function calculateChart(year, month, day, hour, minute, latitude, longitude, tim
   }
 
   const [jd_et, jd_ut] = jdResult.data;
-  const flags = sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED;
+  const flags = sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED | resolvedZodiac.flags;
 
-  // Calculate all planets
+  // Calculate all planets, and their declinations for parallels
+  const positions = calculatePlanetPositions(jd_et, flags, resolvedZodiac.context);
+  const equatorial = calculatePlanetPositions(
+    jd_et,
+    sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED | sweph.constants.SEFLG_EQUATORIAL
+  );
   const planets = {};
-  for (const [name, id] of Object.entries(PLANETS)) {
-    // Skip southNode - we calculate it from northNode
-    if (name === 'southNode') continue;
-
-    const result = sweph.calc(jd_et, id, flags);
+  for (const [name, result] of Object.entries(positions)) {
     if (result.flag < 0) {
       console.warn(`Warning: Could not calculate ${name}: ${result.error}`);
       continue;
@@ -129,9 +536,12 @@ function calculateChart(year, month, day, hour, minute, latitude, longitude, tim
     planets[name] = {
       longitude: lng,
       latitude: lat,
+      declination: equatorial[name].data[1],
+      declinationSpeed: equatorial[name].data[4],
       distance: dist,
       speed: lngSpeed,
       retrograde: lngSpeed < 0,
+      ephemerisUsed: getEphemerisUsed(result.flag),
       ...getZodiacSign(lng)
     };
   }
@@ -142,37 +552,34 @@ function calculateChart(year, month, day, hour, minute, latitude, longitude, tim
     planets.southNode = {
       longitude: southNodeLng,
       latitude: -planets.northNode.latitude,
+      declination: -planets.northNode.declination,
+      declinationSpeed: -planets.northNode.declinationSpeed,
       distance: planets.northNode.distance,
       speed: planets.northNode.speed,
       retrograde: planets.northNode.retrograde,
+      ephemerisUsed: planets.northNode.ephemerisUsed,
       ...getZodiacSign(southNodeLng)
     };
   }
 
   // Calculate houses
-  const housesResult = sweph.houses_ex2(
-    jd_ut,
-    sweph.constants.SEFLG_SWIEPH,
-    latitude,
-    longitude,
-    houseSystem
-  );
-
-  if (housesResult.flag < 0) {
-    throw new Error(housesResult.error || 'Failed to calculate houses');
+  let housesResult;
+  try {
+    housesResult = resolvedZodiac.ephemeris.houses(
+      jd_ut, latitude, longitude, houseSystem,
+      sweph.constants.SEFLG_SWIEPH | resolvedZodiac.flags
+    );
+  } catch (error) {
+    throw new Error(error.message || 'Failed to calculate houses');
   }
 
-  const houses = housesResult.data.houses.slice(0, 12).map((cusp, i) => ({
+  const houses = housesResult.cusps.slice(0, 12).map((cusp, i) => ({
     house: i + 1,
     cusp: cusp,
     ...getZodiacSign(cusp)
   }));
 
-  // Get angles from points array
-  // points[0] = Ascendant, points[1] = MC, points[2] = ARMC, points[3] = Vertex
-  const points = housesResult.data.points;
-  const ascendant = points[0];
-  const mc = points[1];
+  const { ascendant, mc, vertex } = housesResult;
   const descendant = (ascendant + 180) % 360;
   const ic = (mc + 180) % 360;
 
@@ -181,17 +588,18 @@ function calculateChart(year, month, day, hour, minute, latitude, longitude, tim
     midheaven: { longitude: mc, ...getZodiacSign(mc) },
     descendant: { longitude: descendant, ...getZodiacSign(descendant) },
     ic: { longitude: ic, ...getZodiacSign(ic) },
-    vertex: points[3] ? { longitude: points[3], ...getZodiacSign(points[3]) } : null
+    vertex: vertex ? { longitude: vertex, ...getZodiacSign(vertex) } : null
   };
 
   // Calculate aspects
-  const aspects = calculateAspects(planets);
+  const aspects = calculateAspects(planets, profile);
 
   return {
     input: {
       localTime: {
         year, month, day, hour, minute,
-        timezone,
+        timezone: timeStandard === 'zone' ? timezone : timeStandard,
+        timeStandard,
         iso: utc.localTime
       },
       utcTime: {
@@ -204,66 +612,39 @@ function calculateChart(year, month, day, hour, minute, latitude, longitude, tim
       },
       location: { latitude, longitude },
       houseSystem: getHouseSystemName(houseSystem),
+      zodiac: describeZodiac(resolvedZodiac, jd_ut),
+      aspectProfile: profile.name,
       julianDay: { et: jd_et, ut: jd_ut }
     },
     planets,
     houses,
     angles,
-    aspects
+    aspects,
+    warnings: utc.warnings
   };
 }
 
 /**
  * Calculate aspects between planets
+ * @param {Object} planets - Chart planets
+ * @param {Object} profile - Orb profile from resolveAspectProfile
+ * @returns {Array<Object>} Aspects in planet order, a pair can have more than one aspect
  */
-function calculateAspects(planets) {
-  const ASPECTS = [
-    { name: 'conjunction', angle: 0, orb: 8, symbol: '☌' },
-    { name: 'sextile', angle: 60, orb: 6, symbol: '⚹' },
-    { name: 'square', angle: 90, orb: 8, symbol: '□' },
-    { name: 'trine', angle: 120, orb: 8, symbol: '△' },
-    { name: 'opposition', angle: 180, orb: 8, symbol: '☍' },
-    { name: 'quincunx', angle: 150, orb: 3, symbol: '⚻' },
-    { name: 'semisextile', angle: 30, orb: 2, symbol: '⚺' },
-    { name: 'semisquare', angle: 45, orb: 2, symbol: '∠' },
-    { name: 'sesquiquadrate', angle: 135, orb: 2, symbol: '⚼' }
-  ];
-
-  const aspects = [];
-  const planetNames = Object.keys(planets);
-
-  for (let i = 0; i < planetNames.length; i++) {
-    for (let j = i + 1; j < planetNames.length; j++) {
-      const p1Name = planetNames[i];
-      const p2Name = planetNames[j];
-      const p1 = planets[p1Name];
-      const p2 = planets[p2Name];
-
-      if (!p1 || !p2) continue;
-
-      let diff = Math.abs(p1.longitude - p2.longitude);
-      if (diff > 180) diff = 360 - diff;
-
-      for (const aspect of ASPECTS) {
-        const orbUsed = Math.abs(diff - aspect.angle);
-        if (orbUsed <= aspect.orb) {
-          aspects.push({
-            planet1: p1Name,
-            planet2: p2Name,
-            aspect: aspect.name,
-            symbol: aspect.symbol,
-            exactAngle: aspect.angle,
-            actualAngle: diff.toFixed(2),
-            orb: orbUsed.toFixed(2),
-            applying: Math.abs(p1.speed) > Math.abs(p2.speed) ? p1.speed > p2.speed : p2.speed > p1.speed
-          });
-          break;
-        }
-      }
-    }
-  }
-
-  return aspects;
+function calculateAspects(planets, profile) {
+  return findAspects(planets, null, profile).map(found => ({
+    planet1: found.body1,
+    planet2: found.body2,
+    aspect: found.aspect,
+    symbol: found.symbol,
+    type: found.type,
+    exactAngle: found.angle,
+    actualAngle: found.separation.toFixed(2),
+    orb: found.orb.toFixed(2),
+    maxOrb: found.maxOrb,
+    applying: found.applying,
+    daysUntilExact: found.daysUntilExact,
+    daysSinceExact: found.daysSinceExact
+  }));
 }
 
 /**
@@ -294,26 +675,13 @@ function getHouseSystemName(code) {
  * Get current planetary positions (geocentric, no houses)
  */
 function getCurrentPlanets() {
-  const now = DateTime.utc();
-
-  const jdResult = sweph.utc_to_jd(
-    now.year, now.month, now.day,
-    now.hour, now.minute, now.second,
-    sweph.constants.SE_GREG_CAL
-  );
-
-  if (jdResult.flag !== sweph.constants.OK) {
-    throw new Error(jdResult.error || 'Failed to calculate Julian Day');
-  }
-
-  const [jd_et] = jdResult.data;
+  const now = new Date();
+  const { et: jd_et } = sweph.jdFromDate(now);
   const flags = sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED;
 
+  const positions = calculatePlanetPositions(jd_et, flags);
   const planets = {};
-  for (const [name, id] of Object.entries(PLANETS)) {
-    if (name === 'southNode') continue;
-
-    const result = sweph.calc(jd_et, id, flags);
+  for (const [name, result] of Object.entries(positions)) {
     if (result.flag < 0) continue;
 
     const [lng, lat, dist, lngSpeed] = result.data;
@@ -321,6 +689,7 @@ function getCurrentPlanets() {
       longitude: lng,
       speed: lngSpeed,
       retrograde: lngSpeed < 0,
+      ephemerisUsed: getEphemerisUsed(result.flag),
       ...getZodiacSign(lng)
     };
   }
@@ -332,21 +701,33 @@ function getCurrentPlanets() {
       longitude: southNodeLng,
       speed: planets.northNode.speed,
       retrograde: planets.northNode.retrograde,
+      ephemerisUsed: planets.northNode.ephemerisUsed,
       ...getZodiacSign(southNodeLng)
     };
   }
 
   return {
-    timestamp: now.toISO(),
+    timestamp: now.toISOString(),
     julianDay: jd_et,
     planets
   };
 }
 
 module.exports = {
+  AmbiguousLocalTimeError,
+  calculateAspects,
   calculateChart,
+  checkEphemeris,
+  DST_RESOLUTIONS,
+  getEphemerisUsed,
   getCurrentPlanets,
+  getTimezoneWarnings,
   getZodiacSign,
+  localApparentTimeToUTC,
+  localMeanTimeToUTC,
   localToUTC,
+  resolveLocalTime,
+  TIME_STANDARDS,
+  utcToLocal,
   ZODIAC_SIGNS
 };
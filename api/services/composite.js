@@ -0,0 +1,217 @@
+/**
+ * Relationship Charts Service
+ *
+ * Charts of a relationship between two people:
+ * - Composite: midpoints of each pair of planets, houses from the midpoint Midheaven at the midpoint latitude
+ * - Davison: a real chart for the midpoint in time and space of the two births
+ * Both return the same shape as a birth chart.
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { calculateAspects, calculateChart, getZodiacSign, utcToLocal } = require('./calculator');
+const { resolveAspectProfile } = require('./aspects');
+const { calculatePersonChart } = require('./synastry');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+/**
+ * Midpoint of two longitudes on the shorter arc between them
+ */
+function midpoint(a, b) {
+  const diff = ((b - a) % 360 + 540) % 360 - 180;
+  return ((a + diff / 2) % 360 + 360) % 360;
+}
+
+/**
+ * Geographic midpoint of two birth places: mean latitude, and mean longitude on the shorter arc
+ */
+function midpointLocation(chart1, chart2) {
+  const location1 = chart1.input.location;
+  const location2 = chart2.input.location;
+  const longitude = midpoint(location1.longitude, location2.longitude);
+  return {
+    latitude: (location1.latitude + location2.latitude) / 2,
+    longitude: longitude >= 180 ? longitude - 360 : longitude
+  };
+}
+
+/**
+ * Calculate both birth charts of a relationship in the same zodiac and house system
+ */
+function calculateBirthCharts(person1, person2, houseSystem, zodiac, ayanamsa) {
+  return [
+    calculatePersonChart(person1, 'person1', houseSystem, { zodiac, ayanamsa }),
+    calculatePersonChart(person2, 'person2', houseSystem, { zodiac, ayanamsa })
+  ];
+}
+
+/**
+ * Describe the birth charts a relationship chart was made from
+ */
+function describePeople(charts, people) {
+  return charts.map((chart, i) => ({
+    name: people[i].name || `person${i + 1}`,
+    localTime: chart.input.localTime,
+    utcTime: chart.input.utcTime,
+    location: chart.input.location
+  }));
+}
+
+/**
+ * Calculate the midpoint composite chart of two people
+ * @param {Object} person1 - Birth data { year, month, day, hour, minute, latitude, longitude, timezone,
+ *   timeStandard?, dstResolution?, name? }
+ * @param {Object} person2 - Birth data, same as person1
+ * @param {Object} options
+ * @param {string} options.houseSystem - House system code (default 'R')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal charts
+ * @param {string} options.aspectProfile - Orb profile for aspects (default 'standard')
+ * @param {Array|Object} options.aspects - Custom aspect table
+ * @returns {Object} Chart with the same shape as calculateChart
+ */
+function calculateCompositeChart(person1, person2, options = {}) {
+  const { houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = options;
+  const resolvedZodiac = resolveZodiac({ zodiac, ayanamsa });
+  const profile = resolveAspectProfile({ aspectProfile, aspects });
+  const [chart1, chart2] = calculateBirthCharts(person1, person2, houseSystem, zodiac, ayanamsa);
+
+  // Obliquity and ayanamsa at the midpoint in time
+  const jd_ut = (chart1.input.julianDay.ut + chart2.input.julianDay.ut) / 2;
+  const location = midpointLocation(chart1, chart2);
+  const zodiacInfo = describeZodiac(resolvedZodiac, jd_ut);
+  const ayanamsaValue = zodiacInfo.ayanamsa ? zodiacInfo.ayanamsa.value : 0;
+
+  const nutation = sweph.calc_ut(jd_ut, sweph.constants.SE_ECL_NUT, 0);
+  if (nutation.flag < 0) {
+    throw new Error(nutation.error || 'Failed to calculate obliquity');
+  }
+  const obliquity = nutation.data[0] * Math.PI / 180;
+
+  const planets = {};
+  for (const [name, position1] of Object.entries(chart1.planets)) {
+    const position2 = chart2.planets[name];
+    if (!position2) continue;
+
+    // Declination of the composite point itself, from its tropical longitude and latitude
+    const longitude = midpoint(position1.longitude, position2.longitude);
+    const latitude = (position1.latitude + position2.latitude) / 2;
+    const [, declination] = sweph.cotrans([longitude + ayanamsaValue, latitude, 1], -nutation.data[0]);
+    const speed = (position1.speed + position2.speed) / 2;
+    planets[name] = {
+      longitude,
+      latitude,
+      declination,
+      declinationSpeed: (position1.declinationSpeed + position2.declinationSpeed) / 2,
+      distance: (position1.distance + position2.distance) / 2,
+      speed,
+      retrograde: speed < 0,
+      ephemerisUsed: position1.ephemerisUsed,
+      ...getZodiacSign(longitude)
+    };
+  }
+
+  // Houses from the composite Midheaven: its right ascension is the ARMC at the midpoint latitude
+  const mc = (midpoint(chart1.angles.midheaven.longitude, chart2.angles.midheaven.longitude) + ayanamsaValue) * Math.PI / 180;
+  const armc = ((Math.atan2(Math.sin(mc) * Math.cos(obliquity), Math.cos(mc)) * 180 / Math.PI) + 360) % 360;
+
+  const housesResult = sweph.houses_armc(armc, location.latitude, nutation.data[0], houseSystem);
+  if (housesResult.flag === sweph.constants.ERR) {
+    throw new Error(housesResult.error || 'Failed to calculate houses');
+  }
+  const toZodiac = longitude => ((longitude - ayanamsaValue) % 360 + 360) % 360;
+
+  const houses = housesResult.data.houses.slice(0, 12).map((cusp, i) => ({
+    house: i + 1,
+    cusp: toZodiac(cusp),
+    ...getZodiacSign(toZodiac(cusp))
+  }));
+
+  const [ascendant, midheaven, , vertex] = housesResult.data.points.map(toZodiac);
+  const descendant = (ascendant + 180) % 360;
+  const ic = (midheaven + 180) % 360;
+
+  // The composite has no birth time of its own, its instant is the midpoint in time in UTC
+  const time = utcToLocal(jd_ut, 'UTC');
+
+  return {
+    input: {
+      chartType: 'composite',
+      people: describePeople([chart1, chart2], [person1, person2]),
+      localTime: {
+        year: time.year,
+        month: time.month,
+        day: time.day,
+        hour: time.hour,
+        minute: time.minute,
+        timezone: 'UTC',
+        timeStandard: 'zone',
+        iso: time.localTime
+      },
+      utcTime: {
+        year: time.year,
+        month: time.month,
+        day: time.day,
+        hour: time.hour,
+        minute: time.minute,
+        iso: time.utcTime
+      },
+      location,
+      houseSystem: chart1.input.houseSystem,
+      zodiac: zodiacInfo,
+      aspectProfile: profile.name,
+      julianDay: { et: jd_ut + sweph.deltat(jd_ut), ut: jd_ut }
+    },
+    planets,
+    houses,
+    angles: {
+      ascendant: { longitude: ascendant, ...getZodiacSign(ascendant) },
+      midheaven: { longitude: midheaven, ...getZodiacSign(midheaven) },
+      descendant: { longitude: descendant, ...getZodiacSign(descendant) },
+      ic: { longitude: ic, ...getZodiacSign(ic) },
+      vertex: vertex ? { longitude: vertex, ...getZodiacSign(vertex) } : null
+    },
+    aspects: calculateAspects(planets, profile),
+    warnings: [...chart1.warnings, ...chart2.warnings]
+  };
+}
+
+/**
+ * Calculate the Davison chart of two people: the chart for the midpoint in time of the births,
+ * rounded to the minute, at the midpoint of the birth places
+ * @param {Object} person1 - Birth data, as for calculateCompositeChart
+ * @param {Object} person2 - Birth data, same as person1
+ * @param {Object} options - Same as calculateCompositeChart
+ * @returns {Object} Chart with the same shape as calculateChart
+ */
+function calculateDavisonChart(person1, person2, options = {}) {
+  const { houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = options;
+  const [chart1, chart2] = calculateBirthCharts(person1, person2, houseSystem, zodiac, ayanamsa);
+
+  const jd_ut = (chart1.input.julianDay.ut + chart2.input.julianDay.ut) / 2;
+  const { latitude, longitude } = midpointLocation(chart1, chart2);
+  const time = DateTime.fromJSDate(sweph.dateFromJd(jd_ut), { zone: 'utc' }).plus({ seconds: 30 }).startOf('minute');
+
+  const chart = calculateChart(
+    time.year, time.month, time.day, time.hour, time.minute,
+    latitude, longitude,
+    'UTC', houseSystem,
+    { zodiac, ayanamsa, aspectProfile, aspects }
+  );
+
+  return {
+    ...chart,
+    input: {
+      chartType: 'davison',
+      people: describePeople([chart1, chart2], [person1, person2]),
+      midpointJulianDay: jd_ut,
+      ...chart.input
+    },
+    warnings: [...chart1.warnings, ...chart2.warnings, ...chart.warnings]
+  };
+}
+
+module.exports = {
+  calculateCompositeChart,
+  calculateDavisonChart
+};
@@ -0,0 +1,216 @@
+/**
+ * Vimshottari Dasha Service
+ *
+ * The 120-year Vimshottari cycle of planetary periods:
+ * - The first mahadasha is ruled by the lord of the Moon's nakshatra at birth, and the part of the
+ *   nakshatra the Moon has already traversed has elapsed from it
+ * - Each period is divided into nine sub-periods in the same order, proportional to their years
+ * - The timeline runs until 120 years after birth, repeating the cycle's first mahadasha
+ * - Mahadasha, antardasha and pratyantardasha dates are given in the user's timezone
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { resolveLocalTime, utcToLocal } = require('./calculator');
+const { NAKSHATRA_LORDS, getNakshatra } = require('./vedic');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+// Years of each lord's mahadasha, 120 in total
+const DASHA_YEARS = {
+  ketu: 7,
+  venus: 20,
+  sun: 6,
+  moon: 10,
+  mars: 7,
+  rahu: 18,
+  jupiter: 16,
+  saturn: 19,
+  mercury: 17
+};
+
+const TOTAL_YEARS = 120;
+
+// Length of a dasha year in days, traditions differ
+const YEAR_LENGTHS = {
+  julian: 365.25,
+  tropical: 365.242190,
+  sidereal: 365.256363,
+  savana: 360
+};
+
+// Names of the period levels, from the largest
+const LEVELS = ['mahadasha', 'antardasha', 'pratyantardasha'];
+
+/**
+ * Divide a period into its nine sub-periods, starting with the period's own lord
+ * @param {string} lord - Lord of the period
+ * @param {number} startJd - Start of the period (Julian Day UT)
+ * @param {number} years - Length of the period in years
+ * @param {number} yearDays - Length of a year in days
+ * @returns {Array<Object>} [{ lord, years, startJd, endJd }]
+ */
+function getSubPeriods(lord, startJd, years, yearDays) {
+  const first = NAKSHATRA_LORDS.indexOf(lord);
+  let jd = startJd;
+
+  return NAKSHATRA_LORDS.map((_, i) => {
+    const subLord = NAKSHATRA_LORDS[(first + i) % 9];
+    const subYears = years * DASHA_YEARS[subLord] / TOTAL_YEARS;
+    const period = { lord: subLord, years: subYears, startJd: jd, endJd: jd + subYears * yearDays };
+    jd = period.endJd;
+    return period;
+  });
+}
+
+/**
+ * Calculate the Vimshottari dasha timeline for a birth
+ * @param {number} year - Birth year
+ * @param {number} month - Birth month (1-12)
+ * @param {number} day - Birth day
+ * @param {number} hour - Birth hour (0-23, local time)
+ * @param {number} minute - Birth minute
+ * @param {number} latitude - Birth latitude
+ * @param {number} longitude - Birth longitude
+ * @param {string} timezone - IANA timezone of the birth, also used for the period dates
+ * @param {Object} options
+ * @param {string|number} options.ayanamsa - Ayanamsa (default 'lahiri')
+ * @param {string} options.targetDate - ISO date for the running periods (default now), local to timezone without offset
+ * @param {number} options.levels - 1 mahadashas only, 2 with antardashas, 3 (default) with pratyantardashas
+ * @param {string} options.yearLength - 'julian' (default, 365.25 days), 'tropical', 'sidereal' or 'savana' (360 days)
+ * @param {string} options.timeStandard - 'zone' (default), 'LMT' or 'LAT'
+ * @param {string} options.dstResolution - 'earlier' or 'later' for local times in a DST gap or overlap
+ * @returns {Object} Dasha timeline and currently running periods
+ */
+function calculateDashas(year, month, day, hour, minute, latitude, longitude, timezone = 'UTC', options = {}) {
+  const {
+    ayanamsa,
+    targetDate,
+    levels = LEVELS.length,
+    yearLength = 'julian',
+    timeStandard = 'zone',
+    dstResolution
+  } = options;
+
+  if (!Object.keys(YEAR_LENGTHS).includes(yearLength)) {
+    throw new Error(`Invalid yearLength: ${yearLength}. Use one of: ${Object.keys(YEAR_LENGTHS).join(', ')}`);
+  }
+  if (!Number.isInteger(levels) || levels < 1 || levels > LEVELS.length) {
+    throw new Error(`levels must be an integer from 1 to ${LEVELS.length}`);
+  }
+
+  const target = targetDate === undefined ? DateTime.utc() : DateTime.fromISO(targetDate, { zone: timezone });
+  if (!target.isValid) {
+    throw new Error(`Invalid targetDate: ${target.invalidReason}`);
+  }
+
+  const zodiac = resolveZodiac({ zodiac: 'sidereal', ayanamsa });
+  const utc = resolveLocalTime(year, month, day, hour, minute, longitude, timezone, timeStandard, dstResolution);
+
+  const jdResult = sweph.utc_to_jd(
+    utc.year, utc.month, utc.day,
+    utc.hour, utc.minute, utc.second,
+    sweph.constants.SE_GREG_CAL
+  );
+  if (jdResult.flag !== sweph.constants.OK) {
+    throw new Error(jdResult.error || 'Failed to calculate Julian Day');
+  }
+  const jd_ut = jdResult.data[1];
+
+  // Sidereal Moon
+  const moonResult = zodiac.context.calc_ut(jd_ut, sweph.constants.SE_MOON, sweph.constants.SEFLG_SWIEPH | zodiac.flags);
+  if (moonResult.flag < 0) {
+    throw new Error(moonResult.error || 'Failed to calculate the Moon');
+  }
+  const moonLongitude = moonResult.data[0];
+  const nakshatra = getNakshatra(moonLongitude);
+
+  // The first mahadasha started before birth by the part of the nakshatra already traversed
+  const yearDays = YEAR_LENGTHS[yearLength];
+  const elapsed = nakshatra.fraction * DASHA_YEARS[nakshatra.lord];
+  const cycleStart = jd_ut - elapsed * yearDays;
+
+  // Mahadashas until 120 years after birth, the cycle repeats so the first lord returns at the end
+  const timelineEnd = jd_ut + TOTAL_YEARS * yearDays;
+  const mahadashas = [];
+  for (let startJd = cycleStart; startJd < timelineEnd; startJd += TOTAL_YEARS * yearDays) {
+    mahadashas.push(...getSubPeriods(nakshatra.lord, startJd, TOTAL_YEARS, yearDays)
+      .filter(period => period.startJd < timelineEnd));
+  }
+
+  const formatDate = jd => utcToLocal(jd, timezone).localTime;
+  const formatPeriod = (period, level) => {
+    const formatted = {
+      lord: period.lord,
+      years: period.years,
+      start: formatDate(period.startJd),
+      end: formatDate(period.endJd)
+    };
+    if (level + 1 < levels) {
+      formatted[`${LEVELS[level + 1]}s`] = getSubPeriods(period.lord, period.startJd, period.years, yearDays)
+        .map(subPeriod => formatPeriod(subPeriod, level + 1));
+    }
+    return formatted;
+  };
+
+  // Running periods at the target date, down to the deepest requested level
+  const targetJd = sweph.jdFromDate(target.toJSDate()).ut;
+  let current = null;
+  let periods = mahadashas;
+  for (let level = 0; level < levels; level++) {
+    const running = periods.find(period => period.startJd <= targetJd && targetJd < period.endJd);
+    if (!running) break;
+    current = current || {};
+    current[LEVELS[level]] = {
+      lord: running.lord,
+      start: formatDate(running.startJd),
+      end: formatDate(running.endJd)
+    };
+    periods = getSubPeriods(running.lord, running.startJd, running.years, yearDays);
+  }
+
+  return {
+    input: {
+      localTime: {
+        year, month, day, hour, minute,
+        timezone: timeStandard === 'zone' ? timezone : timeStandard,
+        timeStandard,
+        iso: utc.localTime
+      },
+      utcTime: {
+        year: utc.year,
+        month: utc.month,
+        day: utc.day,
+        hour: utc.hour,
+        minute: utc.minute,
+        iso: utc.utcTime
+      },
+      location: { latitude, longitude },
+      zodiac: describeZodiac(zodiac, jd_ut),
+      yearLength: { name: yearLength, days: yearDays },
+      julianDay: { ut: jd_ut }
+    },
+    moon: {
+      longitude: moonLongitude,
+      nakshatra
+    },
+    balanceAtBirth: {
+      lord: nakshatra.lord,
+      elapsedYears: elapsed,
+      remainingYears: DASHA_YEARS[nakshatra.lord] - elapsed
+    },
+    mahadashas: mahadashas.map(period => formatPeriod(period, 0)),
+    current: current && {
+      targetDate: target.setZone(timezone).toISO(),
+      ...current
+    },
+    warnings: utc.warnings
+  };
+}
+
+module.exports = {
+  DASHA_YEARS,
+  LEVELS,
+  YEAR_LENGTHS,
+  calculateDashas,
+  getSubPeriods
+};
@@ -0,0 +1,410 @@
+/**
+ * Directions Service
+ *
+ * Directions of a birth chart and the dates they perfect:
+ * - Solar arc: every natal point advanced by the arc of the secondary progressed Sun
+ * - Primary: the turning of the sky after birth carries a promissor to the mundane position of a significator,
+ *   measured in Placidus semi-arcs or Regiomontanus positions, zodiacal or mundane
+ * - Arcs of primary directions are converted to years of life with the Ptolemy, Naibod or Cardan key
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { getZodiacSign, utcToLocal } = require('./calculator');
+const { DAYS_PER_YEAR, NAIBOD_RATE } = require('./advanced-calculations');
+const { ASPECTS, findAspects, resolveAspectProfile } = require('./aspects');
+const { calculatePersonChart } = require('./synastry');
+const { MAX_RANGE_DAYS, resolveRange, wrap } = require('./transit-timing');
+
+const { SEFLG_SWIEPH, SEFLG_SPEED, SE_SUN, SE_ECL_NUT } = sweph.constants;
+
+// Degrees of arc for each year of life
+const KEYS = {
+  ptolemy: 1,
+  naibod: NAIBOD_RATE,
+  cardan: 59 / 60 + 12 / 3600
+};
+
+// House systems whose positions measure the primary arcs
+const PRIMARY_METHODS = { placidus: 'P', regiomontanus: 'R' };
+
+// Zodiacal directions use aspect points on the ecliptic, mundane directions use aspects between house positions
+const PRIMARY_MODES = ['zodiacal', 'mundane'];
+
+const DEFAULT_SIGNIFICATORS = ['ascendant', 'midheaven', 'sun', 'moon'];
+
+// The South Node is always opposite the North Node, so it would only repeat its directions
+const EXCLUDED_POINTS = ['southNode'];
+
+// Mundane positions of the angles, the cusps of the first and tenth houses in every house system
+// Angles are significators only, they are not carried by the turning sky
+const ANGLE_POSITIONS = { ascendant: 0, midheaven: 270 };
+
+// Arc sampled at a time when searching for a primary direction
+const PRIMARY_STEP_DEGREES = 1;
+
+const BISECTION_STEPS = 40;
+
+const normalize = angle => ((angle % 360) + 360) % 360;
+
+/**
+ * Natal points that can be directed: planets with their ecliptic latitude, and the angles
+ */
+function getNatalPoints(chart) {
+  const points = {};
+  for (const [name, position] of Object.entries(chart.planets)) {
+    if (EXCLUDED_POINTS.includes(name)) continue;
+    points[name] = { longitude: position.longitude, latitude: position.latitude };
+  }
+  for (const angle of Object.keys(ANGLE_POSITIONS)) {
+    points[angle] = { longitude: chart.angles[angle].longitude, latitude: 0 };
+  }
+  return points;
+}
+
+/**
+ * Aspects of the profile that are measured in longitude
+ */
+function getDirectionAspects(profile) {
+  return Object.keys(profile.orbs).filter(aspect => ASPECTS[aspect].type !== 'declination');
+}
+
+/**
+ * Position and speed of the Sun
+ */
+function getSun(jd) {
+  const result = sweph.calc_ut(jd, SE_SUN, SEFLG_SWIEPH | SEFLG_SPEED);
+  if (result.flag < 0) {
+    throw new Error(result.error || 'Failed to calculate the Sun');
+  }
+  return { longitude: result.data[0], speed: result.data[3] };
+}
+
+/**
+ * Solar arc at a date: the distance travelled by the secondary progressed Sun since birth
+ * @returns {Object} { arc, speed } with speed in degrees per real day
+ */
+function getSolarArc(birthJd, natalSun, jd) {
+  const sun = getSun(birthJd + (jd - birthJd) / DAYS_PER_YEAR);
+  return { arc: normalize(sun.longitude - natalSun), speed: sun.speed / DAYS_PER_YEAR };
+}
+
+/**
+ * Find the date a solar arc is reached, the arc grows steadily with the progressed Sun
+ */
+function findSolarArcDate(birthJd, natalSun, arc, startJd, endJd) {
+  let low = startJd;
+  let high = endJd;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (low + high) / 2;
+    if (getSolarArc(birthJd, natalSun, mid).arc < arc) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Solar arc directions perfecting between two dates: a directed point reaching an aspect to a natal point
+ * @returns {Array<Object>} [{ directed, aspect, natal, arc, jd }]
+ */
+function findSolarArcDirections(points, aspects, birthJd, natalSun, startJd, endJd) {
+  const startArc = getSolarArc(birthJd, natalSun, startJd).arc;
+  const endArc = getSolarArc(birthJd, natalSun, endJd).arc;
+
+  const found = [];
+  for (const [directed, from] of Object.entries(points)) {
+    for (const [natal, to] of Object.entries(points)) {
+      for (const aspect of aspects) {
+        const { angle } = ASPECTS[aspect];
+        const offsets = angle === 0 || angle === 180 ? [angle] : [angle, -angle];
+        for (const offset of offsets) {
+          const arc = normalize(to.longitude + offset - from.longitude);
+          if (arc < startArc || arc > endArc) continue;
+          found.push({ directed, aspect, natal, arc, jd: findSolarArcDate(birthJd, natalSun, arc, startJd, endJd) });
+        }
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Mundane position of a point: its house position from house_pos as degrees from the Ascendant,
+ * in the order of the houses
+ * @param {Object} frame - { armc, latitude, obliquity, hsys } of the birth place
+ * @param {number} arc - Degrees the ARMC has turned since birth
+ */
+function getMundanePosition(frame, arc, longitude, latitude) {
+  const result = sweph.house_pos(normalize(frame.armc + arc), frame.latitude, frame.obliquity, frame.hsys, [longitude, latitude]);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return (result.data - 1) * 30;
+}
+
+/**
+ * Whether a point never rises or sets at the birth latitude, so it has no semi-arc
+ */
+function isCircumpolar(frame, longitude, latitude) {
+  const [, declination] = sweph.cotrans([longitude, latitude, 1], -frame.obliquity);
+  return Math.abs(declination) + Math.abs(frame.latitude) >= 90;
+}
+
+/**
+ * Arc of a primary direction: how far the ARMC turns until a point reaches a mundane position
+ * Mundane positions fall as the sky turns, so the arc is where the distance to the target falls through 0
+ * @returns {number|null} Arc between minArc and maxArc, or null when it is not reached
+ */
+function findPrimaryArc(frame, point, target, minArc, maxArc) {
+  const distance = arc => wrap(getMundanePosition(frame, arc, point.longitude, point.latitude) - target);
+
+  let previous = distance(minArc);
+  for (let low = minArc; low < maxArc; low += PRIMARY_STEP_DEGREES) {
+    let high = Math.min(low + PRIMARY_STEP_DEGREES, maxArc);
+    const next = distance(high);
+    if (previous >= 0 && next < 0 && previous - next < 180) {
+      let start = low;
+      for (let i = 0; i < BISECTION_STEPS; i++) {
+        const mid = (start + high) / 2;
+        if (distance(mid) >= 0) start = mid;
+        else high = mid;
+      }
+      return (start + high) / 2;
+    }
+    previous = next;
+  }
+  return null;
+}
+
+/**
+ * Primary directions perfecting between two arcs
+ * Sides are named from the significator: sinister when it is ahead of the promissor in the order of the signs
+ * and houses, dexter when it is behind
+ * @returns {Object} { directions: [{ mode, promissor, aspect, side, significator, arc }],
+ *   skipped: [{ role, point, mode, aspect, side }] points that never rise or set at the birth latitude,
+ *   which have no Placidus semi-arc }
+ */
+function findPrimaryDirections(frame, points, significators, aspects, modes, minArc, maxArc) {
+  const directions = [];
+  const skipped = new Map();
+  const placidus = frame.hsys === PRIMARY_METHODS.placidus;
+
+  const skip = (role, point, mode = null, aspect = null, side = null) => {
+    skipped.set([role, point, mode, aspect, side].join(), { role, point, mode, aspect, side });
+  };
+
+  for (const significator of significators) {
+    const { longitude, latitude } = points[significator];
+    if (ANGLE_POSITIONS[significator] === undefined && placidus && isCircumpolar(frame, longitude, latitude)) {
+      skip('significator', significator);
+      continue;
+    }
+    const positionOf = withLatitude => (ANGLE_POSITIONS[significator] !== undefined
+      ? ANGLE_POSITIONS[significator]
+      : getMundanePosition(frame, 0, longitude, withLatitude ? latitude : 0));
+
+    for (const [promissor, position] of Object.entries(points)) {
+      if (promissor === significator || ANGLE_POSITIONS[promissor] !== undefined) continue;
+
+      for (const aspect of aspects) {
+        const { angle } = ASPECTS[aspect];
+        const sides = angle === 0 || angle === 180 ? [null] : ['sinister', 'dexter'];
+        for (const side of sides) {
+          const sign = side === 'dexter' ? -1 : 1;
+
+          // Zodiacal: the aspect point of the promissor on the ecliptic, to the significator without latitude
+          if (modes.includes('zodiacal')) {
+            const point = { longitude: normalize(position.longitude + sign * angle), latitude: 0 };
+            if (placidus && isCircumpolar(frame, point.longitude, 0)) {
+              skip('promissor', promissor, 'zodiacal', aspect, side);
+            } else {
+              const arc = findPrimaryArc(frame, point, positionOf(false), minArc, maxArc);
+              if (arc !== null) directions.push({ mode: 'zodiacal', promissor, aspect, side, significator, arc });
+            }
+          }
+
+          // Mundane: the promissor itself, to the house position at the aspect distance from the significator
+          if (modes.includes('mundane')) {
+            if (placidus && isCircumpolar(frame, position.longitude, position.latitude)) {
+              skip('promissor', promissor, 'mundane');
+            } else {
+              const arc = findPrimaryArc(frame, position, normalize(positionOf(true) - sign * angle), minArc, maxArc);
+              if (arc !== null) directions.push({ mode: 'mundane', promissor, aspect, side, significator, arc });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { directions, skipped: [...skipped.values()] };
+}
+
+/**
+ * Calculate solar arc and primary directions
+ * @param {Object} birth - Birth data { year, month, day, hour, minute, latitude, longitude, timezone,
+ *   timeStandard?, dstResolution? }
+ * @param {Object} options
+ * @param {string} options.date - ISO date of the solar arc positions, local to the birth timezone (default now)
+ * @param {string} options.from - ISO start of the range of perfecting directions (default today)
+ * @param {string} options.to - ISO end of the range (default five years after from)
+ * @param {string} options.key - Key of primary directions, one of KEYS (default 'naibod')
+ * @param {string} options.method - 'placidus' semi-arcs (default) or 'regiomontanus'
+ * @param {Array<string>} options.modes - Primary modes, any of PRIMARY_MODES (default both)
+ * @param {Array<string>} options.significators - Natal points that receive primary directions
+ *   (default DEFAULT_SIGNIFICATORS)
+ * @param {string} options.aspectProfile - Orb profile of solar arc aspects and the aspects that are directed
+ *   (default 'progressions')
+ * @param {Array|Object} options.aspects - Custom aspect table
+ * @returns {Object} Solar arc positions and aspects at the date, and the directions perfecting in the range
+ */
+function calculateDirections(birth, options = {}) {
+  const {
+    date,
+    key = 'naibod',
+    method = 'placidus',
+    modes = PRIMARY_MODES,
+    significators = DEFAULT_SIGNIFICATORS,
+    aspectProfile,
+    aspects: aspectTable
+  } = options;
+
+  if (!Object.keys(KEYS).includes(key)) {
+    throw new Error(`Invalid key: ${key}. Use one of: ${Object.keys(KEYS).join(', ')}`);
+  }
+  if (!Object.keys(PRIMARY_METHODS).includes(method)) {
+    throw new Error(`Invalid method: ${method}. Use one of: ${Object.keys(PRIMARY_METHODS).join(', ')}`);
+  }
+  const unknownModes = modes.filter(mode => !PRIMARY_MODES.includes(mode));
+  if (unknownModes.length > 0) {
+    throw new Error(`Unknown modes: ${unknownModes.join(', ')}. Use any of: ${PRIMARY_MODES.join(', ')}`);
+  }
+  const profile = resolveAspectProfile({ aspectProfile, aspects: aspectTable }, 'progressions');
+  const aspects = getDirectionAspects(profile);
+
+  // Only positions and angles of the natal chart are used, Regiomontanus houses exist at every latitude
+  const chart = calculatePersonChart(birth, 'birth', PRIMARY_METHODS.regiomontanus);
+  const birthJd = chart.input.julianDay.ut;
+  const timezone = birth.timezone || 'UTC';
+  const points = getNatalPoints(chart);
+
+  const unknownSignificators = significators.filter(name => !points[name]);
+  if (unknownSignificators.length > 0) {
+    throw new Error(`Unknown significators: ${unknownSignificators.join(', ')}. Use any of: ${Object.keys(points).join(', ')}`);
+  }
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime, age: (jd - birthJd) / DAYS_PER_YEAR };
+  };
+
+  const from = options.from || DateTime.now().setZone(timezone).toISODate();
+  const to = options.to || DateTime.fromISO(from, { zone: timezone }).plus({ years: 5 }).toISO();
+  const { startJd, endJd } = resolveRange(from, to, timezone, MAX_RANGE_DAYS);
+  if (startJd <= birthJd) {
+    throw new Error('from must be after the birth');
+  }
+
+  const target = date === undefined ? DateTime.now() : DateTime.fromISO(date, { zone: timezone });
+  if (!target.isValid) {
+    throw new Error(`Invalid date: ${target.invalidReason}`);
+  }
+  const targetJd = sweph.jdFromDate(target.toJSDate()).ut;
+  if (targetJd <= birthJd) {
+    throw new Error('date must be after the birth');
+  }
+
+  // Solar arc positions and their aspects to the natal points at the date
+  const natalSun = getSun(birthJd).longitude;
+  const solarArc = getSolarArc(birthJd, natalSun, targetJd);
+  const directed = {};
+  const directedMotion = {};
+  const natalFixed = {};
+  for (const [name, position] of Object.entries(points)) {
+    const longitude = normalize(position.longitude + solarArc.arc);
+    directed[name] = { natal: position.longitude, longitude, ...getZodiacSign(longitude) };
+    directedMotion[name] = { longitude, speed: solarArc.speed };
+    natalFixed[name] = { longitude: position.longitude, speed: 0 };
+  }
+
+  const aspectsToNatal = findAspects(directedMotion, natalFixed, profile)
+    .map(found => ({
+      directed: found.body1,
+      natal: found.body2,
+      aspect: found.aspect,
+      symbol: found.symbol,
+      type: found.type,
+      orb: found.orb.toFixed(2),
+      maxOrb: found.maxOrb,
+      applying: found.applying,
+      daysUntilExact: found.daysUntilExact,
+      daysSinceExact: found.daysSinceExact
+    }))
+    .sort((a, b) => parseFloat(a.orb) - parseFloat(b.orb));
+
+  // Primary directions: the sky turns from the natal ARMC at the birth place
+  const nutation = sweph.calc_ut(birthJd, SE_ECL_NUT, 0);
+  if (nutation.flag < 0) {
+    throw new Error(nutation.error || 'Failed to calculate obliquity');
+  }
+  const frame = {
+    armc: normalize(sweph.sidtime(birthJd) * 15 + chart.input.location.longitude),
+    latitude: chart.input.location.latitude,
+    obliquity: nutation.data[0],
+    hsys: PRIMARY_METHODS[method]
+  };
+  const natalHouses = sweph.houses_armc_ex2(frame.armc, frame.latitude, frame.obliquity, PRIMARY_METHODS.regiomontanus);
+  if (natalHouses.flag === sweph.constants.ERR) {
+    throw new Error(natalHouses.error || 'Failed to calculate houses');
+  }
+  const [ascendant, midheaven] = natalHouses.data.points;
+  const primaryPoints = {
+    ...points,
+    ascendant: { longitude: ascendant, latitude: 0 },
+    midheaven: { longitude: midheaven, latitude: 0 }
+  };
+
+  const rate = KEYS[key];
+  const minArc = (startJd - birthJd) / DAYS_PER_YEAR * rate;
+  const maxArc = (endJd - birthJd) / DAYS_PER_YEAR * rate;
+  const primary = findPrimaryDirections(frame, primaryPoints, significators, aspects, modes, minArc, maxArc);
+
+  return {
+    natal: {
+      utcTime: chart.input.utcTime.iso,
+      location: chart.input.location,
+      armc: frame.armc,
+      obliquity: frame.obliquity
+    },
+    aspectProfile: profile.name,
+    solarArc: {
+      date: formatTime(targetJd),
+      arc: solarArc.arc,
+      points: directed,
+      aspectsToNatal
+    },
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    solarArcDirections: findSolarArcDirections(points, aspects, birthJd, natalSun, startJd, endJd)
+      .sort((a, b) => a.jd - b.jd)
+      .map(({ jd, ...direction }) => ({ ...direction, ...formatTime(jd) })),
+    primaryDirections: {
+      key,
+      method,
+      modes,
+      significators,
+      directions: primary.directions
+        .map(direction => ({ ...direction, ...formatTime(birthJd + direction.arc / rate * DAYS_PER_YEAR) }))
+        .sort((a, b) => a.jd - b.jd),
+      skipped: primary.skipped
+    },
+    warnings: chart.warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_SIGNIFICATORS,
+  KEYS,
+  PRIMARY_METHODS,
+  PRIMARY_MODES,
+  calculateDirections
+};
@@ -0,0 +1,315 @@
+/**
+ * Eclipse Service
+ *
+ * Solar and lunar eclipses from the native Swiss Ephemeris eclipse functions:
+ * - sol_eclipse_when_glob and lun_eclipse_when find eclipses before or after a date
+ * - sol_eclipse_where gives the point of greatest eclipse and the central path
+ * - sol_eclipse_how and lun_eclipse_how give magnitude, obscuration and saros series
+ * - sol_eclipse_when_loc and lun_eclipse_when_loc give the local circumstances at a location
+ */
+
+const sweph = require('sweph');
+const { getZodiacSign, utcToLocal } = require('./calculator');
+
+const {
+  SEFLG_SWIEPH,
+  SE_ECL_TOTAL,
+  SE_ECL_ANNULAR,
+  SE_ECL_PARTIAL,
+  SE_ECL_ANNULAR_TOTAL,
+  SE_ECL_PENUMBRAL
+} = sweph.constants;
+
+const TYPE_NAMES = {
+  total: 'Total',
+  annular: 'Annular',
+  hybrid: 'Hybrid',
+  partial: 'Partial',
+  penumbral: 'Penumbral'
+};
+
+const SIGNIFICANCE = {
+  solar: 'Solar eclipses indicate karmic life themes and soul purpose',
+  lunar: 'Lunar eclipses indicate emotional patterns and subconscious themes'
+};
+
+// Returned for the saros series when it is not known
+const NO_SAROS = -99999999;
+
+// Interval between points of a central path
+const CENTRAL_PATH_STEP_DAYS = 5 / 1440;
+
+/**
+ * Eclipse type from the flag of an eclipse search
+ * @param {number} flag - Eclipse flag
+ * @returns {string} 'total', 'annular', 'hybrid', 'partial' or 'penumbral'
+ */
+function getEclipseType(flag) {
+  if (flag & SE_ECL_ANNULAR_TOTAL) return 'hybrid';
+  if (flag & SE_ECL_TOTAL) return 'total';
+  if (flag & SE_ECL_ANNULAR) return 'annular';
+  if (flag & SE_ECL_PARTIAL) return 'partial';
+  if (flag & SE_ECL_PENUMBRAL) return 'penumbral';
+  return 'unknown';
+}
+
+/**
+ * Time as Julian Day and UTC ISO string, null for phases that do not occur
+ * (returned as 0, or as an unset value near 0 for the local sunrise and sunset)
+ */
+function formatTime(jd) {
+  return jd > 1 ? { jd, utc: utcToLocal(jd).utcTime } : null;
+}
+
+/**
+ * Find the next or previous eclipse of a kind
+ * @param {string} kind - 'solar' or 'lunar'
+ * @param {number} jd - Julian Day (UT) to search from
+ * @param {boolean} backwards - Search for the previous eclipse
+ * @returns {Object} { kind, type, jd, flag, data } with jd the time of maximum
+ */
+function findEclipse(kind, jd, backwards = false) {
+  const result = kind === 'solar'
+    ? sweph.sol_eclipse_when_glob(jd, SEFLG_SWIEPH, 0, backwards)
+    : sweph.lun_eclipse_when(jd, SEFLG_SWIEPH, 0, backwards);
+  if (result.flag === sweph.constants.ERR) {
+    throw new Error(result.error || `Failed to find ${kind} eclipse`);
+  }
+  return { kind, type: getEclipseType(result.flag), jd: result.data[0], flag: result.flag, data: result.data };
+}
+
+/**
+ * Find the solar and lunar eclipses between two dates
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @returns {Array<Object>} [{ kind: 'solar'|'lunar', type, jd, flag, data }] by time of maximum
+ */
+function findEclipses(startJd, endJd) {
+  const eclipses = [];
+
+  for (const kind of ['solar', 'lunar']) {
+    let jd = startJd;
+    for (;;) {
+      const eclipse = findEclipse(kind, jd);
+      if (eclipse.jd > endJd) break;
+      eclipses.push(eclipse);
+      // Eclipses are at least two weeks apart
+      jd = eclipse.jd + 1;
+    }
+  }
+
+  return eclipses.sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * Saros series and member from eclipse attributes, null when unknown
+ */
+function getSaros(attributes) {
+  return attributes[9] === NO_SAROS ? null : { series: attributes[9], member: attributes[10] };
+}
+
+/**
+ * Describe a solar eclipse: phases, greatest eclipse, central path and local circumstances
+ * @param {Object} eclipse - Result of findEclipse
+ * @param {Array<number>} geopos - [longitude, latitude, elevation] for local circumstances, or null
+ */
+function describeSolarEclipse(eclipse, geopos) {
+  const { data } = eclipse;
+
+  const where = sweph.sol_eclipse_where(eclipse.jd, SEFLG_SWIEPH);
+  if (where.flag === sweph.constants.ERR) {
+    throw new Error(where.error || 'Failed to find the greatest solar eclipse');
+  }
+
+  // Central line sampled from its start to its end, with the width of the umbra or antumbra
+  let centralPath = null;
+  if (data[6] > 0 && data[7] > 0) {
+    centralPath = [];
+    for (let t = data[6]; t <= data[7] + CENTRAL_PATH_STEP_DAYS / 2; t += CENTRAL_PATH_STEP_DAYS) {
+      const time = Math.min(t, data[7]);
+      const point = sweph.sol_eclipse_where(time, SEFLG_SWIEPH);
+      if (point.flag === sweph.constants.ERR || point.flag === 0) continue;
+      centralPath.push({
+        utc: utcToLocal(time).utcTime,
+        latitude: point.data[1],
+        longitude: point.data[0],
+        widthKm: Math.abs(point.attributes[3])
+      });
+    }
+  }
+
+  let local = null;
+  if (geopos) {
+    // The first eclipse visible at the location from the start of this one, if it is this one
+    const loc = sweph.sol_eclipse_when_loc(data[2] - 0.1, SEFLG_SWIEPH, geopos, false);
+    if (loc.flag === sweph.constants.ERR) {
+      throw new Error(loc.error || 'Failed to find local solar eclipse circumstances');
+    }
+    const visible = loc.flag > 0 && loc.data[0] <= data[3];
+    local = { visible };
+    if (visible) {
+      const how = sweph.sol_eclipse_how(loc.data[0], SEFLG_SWIEPH, geopos);
+      if (how.flag === sweph.constants.ERR) {
+        throw new Error(how.error || 'Failed to calculate local solar eclipse');
+      }
+      Object.assign(local, {
+        type: getEclipseType(loc.flag),
+        maximum: formatTime(loc.data[0]),
+        contacts: {
+          first: formatTime(loc.data[1]),
+          second: formatTime(loc.data[2]),
+          third: formatTime(loc.data[3]),
+          fourth: formatTime(loc.data[4])
+        },
+        sunrise: formatTime(loc.data[5]),
+        sunset: formatTime(loc.data[6]),
+        magnitude: how.data[8],
+        obscuration: how.data[2],
+        sunAltitude: how.data[6],
+        sunAzimuth: how.data[4]
+      });
+    }
+  }
+
+  return {
+    phases: {
+      begin: formatTime(data[2]),
+      centralBegin: formatTime(data[4]),
+      maximum: formatTime(eclipse.jd),
+      centralEnd: formatTime(data[5]),
+      end: formatTime(data[3])
+    },
+    magnitude: where.attributes[8],
+    obscuration: where.attributes[2],
+    saros: getSaros(where.attributes),
+    greatestEclipse: {
+      latitude: where.data[1],
+      longitude: where.data[0],
+      sunAltitude: where.attributes[6]
+    },
+    centralPath,
+    local
+  };
+}
+
+/**
+ * Describe a lunar eclipse: phases, magnitudes and local circumstances
+ * @param {Object} eclipse - Result of findEclipse
+ * @param {Array<number>} geopos - [longitude, latitude, elevation] for local circumstances, or null
+ */
+function describeLunarEclipse(eclipse, geopos) {
+  const { data } = eclipse;
+
+  const how = sweph.lun_eclipse_how(eclipse.jd, SEFLG_SWIEPH, geopos || [0, 0, 0]);
+  if (how.flag === sweph.constants.ERR) {
+    throw new Error(how.error || 'Failed to calculate lunar eclipse');
+  }
+
+  let local = null;
+  if (geopos) {
+    // The first eclipse visible at the location from the start of this one, if it is this one
+    const loc = sweph.lun_eclipse_when_loc(data[6] - 0.1, SEFLG_SWIEPH, geopos, false);
+    if (loc.flag === sweph.constants.ERR) {
+      throw new Error(loc.error || 'Failed to find local lunar eclipse circumstances');
+    }
+    const visible = loc.flag > 0 && Math.abs(loc.data[0] - eclipse.jd) < 0.1;
+    local = { visible };
+    if (visible) {
+      // Phases below the horizon at the location are null
+      Object.assign(local, {
+        phases: {
+          penumbralBegin: formatTime(loc.data[6]),
+          partialBegin: formatTime(loc.data[2]),
+          totalBegin: formatTime(loc.data[4]),
+          maximum: formatTime(loc.data[0]),
+          totalEnd: formatTime(loc.data[5]),
+          partialEnd: formatTime(loc.data[3]),
+          penumbralEnd: formatTime(loc.data[7])
+        },
+        moonrise: formatTime(loc.data[8]),
+        moonset: formatTime(loc.data[9]),
+        moonAltitudeAtMaximum: how.data[6],
+        moonAzimuthAtMaximum: how.data[4]
+      });
+    }
+  }
+
+  return {
+    phases: {
+      penumbralBegin: formatTime(data[6]),
+      partialBegin: formatTime(data[2]),
+      totalBegin: formatTime(data[4]),
+      maximum: formatTime(eclipse.jd),
+      totalEnd: formatTime(data[5]),
+      partialEnd: formatTime(data[3]),
+      penumbralEnd: formatTime(data[7])
+    },
+    magnitude: how.data[8],
+    umbralMagnitude: how.data[0],
+    penumbralMagnitude: how.data[1],
+    saros: getSaros(how.data),
+    local
+  };
+}
+
+/**
+ * Describe an eclipse with its zodiac position
+ * @param {Object} eclipse - Result of findEclipse
+ * @param {Array<number>} geopos - [longitude, latitude, elevation] for local circumstances, or null
+ * @returns {Object} Type, phases, magnitude, saros series, position, and central path for solar eclipses
+ */
+function describeEclipse(eclipse, geopos = null) {
+  // The eclipse degree is the Sun's for solar eclipses and the Moon's for lunar eclipses
+  const body = eclipse.kind === 'solar' ? sweph.constants.SE_SUN : sweph.constants.SE_MOON;
+  const position = sweph.calc_ut(eclipse.jd, body, SEFLG_SWIEPH);
+  if (position.flag < 0) {
+    throw new Error(position.error || 'Failed to calculate eclipse position');
+  }
+  const { sign, degrees, minutes } = getZodiacSign(position.data[0]);
+  const details = eclipse.kind === 'solar'
+    ? describeSolarEclipse(eclipse, geopos)
+    : describeLunarEclipse(eclipse, geopos);
+
+  return {
+    kind: eclipse.kind,
+    type: eclipse.type,
+    name: `${TYPE_NAMES[eclipse.type] || ''} ${eclipse.kind === 'solar' ? 'Solar' : 'Lunar'} Eclipse`.trim(),
+    date: utcToLocal(eclipse.jd).utcTime.slice(0, 10),
+    julianDay: eclipse.jd,
+    position: { longitude: position.data[0], sign, degrees, minutes },
+    ...details,
+    significance: SIGNIFICANCE[eclipse.kind]
+  };
+}
+
+/**
+ * Find the solar and lunar eclipses before and after a birth
+ * @param {number} birthJd - Birth Julian Day (UT)
+ * @param {number} latitude - Birth latitude, for local circumstances
+ * @param {number} longitude - Birth longitude, for local circumstances
+ * @returns {Object} { prenatal: { solar, lunar }, postnatal: { solar, lunar } }
+ */
+function calculateBirthEclipses(birthJd, latitude, longitude) {
+  const geopos = latitude === undefined || longitude === undefined ? null : [longitude, latitude, 0];
+
+  const describe = (kind, backwards) => {
+    const eclipse = describeEclipse(findEclipse(kind, birthJd, backwards), geopos);
+    const days = Math.abs(birthJd - eclipse.julianDay);
+    return backwards
+      ? { ...eclipse, daysBeforeBirth: Math.floor(days) }
+      : { ...eclipse, daysAfterBirth: Math.floor(days) };
+  };
+
+  return {
+    prenatal: { solar: describe('solar', true), lunar: describe('lunar', true) },
+    postnatal: { solar: describe('solar', false), lunar: describe('lunar', false) }
+  };
+}
+
+module.exports = {
+  calculateBirthEclipses,
+  describeEclipse,
+  findEclipse,
+  findEclipses,
+  getEclipseType
+};
@@ -0,0 +1,276 @@
+/**
+ * Forecast Service
+ *
+ * Chronological transit calendar between two dates:
+ * - Transits to natal points with orb entry, exact time and orb exit
+ * - Ingresses of transiting bodies into signs and natal houses
+ * - Stations retrograde and direct
+ * - New, First Quarter, Full and Last Quarter Moons
+ * JSON events can also be written as an iCalendar (.ics) file.
+ */
+
+const { utcToLocal, ZODIAC_SIGNS } = require('./calculator');
+const { resolveAspectProfile } = require('./aspects');
+const { DEFAULT_BODIES, findExactTransits, getRangeLimit, resolveRange, sampleBodies } = require('./transit-timing');
+const { findCrossings } = require('./ingresses');
+const { findLunations } = require('./lunations');
+const { RETROGRADE_BODIES, findStations } = require('./retrogrades');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+const EVENT_TYPES = ['transit', 'sign-ingress', 'house-ingress', 'station', 'lunation'];
+
+// Longest forecast ranges, a year and a quarter with the Moon, which hits every natal point several times a month
+const MAX_FORECAST_RANGE_DAYS = 366;
+const MAX_FORECAST_MOON_RANGE_DAYS = 92;
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th', '11th', '12th'];
+
+/**
+ * Display name of a body key, e.g. 'north_node' -> 'North Node'
+ */
+function displayName(name) {
+  return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Longest forecast range, no longer than the transit search allows for the aspect profile
+ * @param {Object} options - transitBodies, include, aspectProfile and aspects as for calculateForecast
+ * @returns {Object} { maxDays, limitNote }
+ */
+function getForecastRangeLimit(options = {}) {
+  const { transitBodies = DEFAULT_BODIES, include = EVENT_TYPES } = options;
+  const withMoon = transitBodies.includes('moon');
+  const limit = withMoon
+    ? { maxDays: MAX_FORECAST_MOON_RANGE_DAYS, limitNote: 'when the Moon is included' }
+    : { maxDays: MAX_FORECAST_RANGE_DAYS, limitNote: undefined };
+  if (!include.includes('transit')) return limit;
+
+  const transitLimit = getRangeLimit(resolveAspectProfile(options, 'transits'), withMoon);
+  return transitLimit.maxDays < limit.maxDays ? transitLimit : limit;
+}
+
+/**
+ * Calculate a forecast of transit events between two dates
+ * @param {Object} natalPlanets - Map of natal body name to { longitude, declination? }
+ * @param {string} startDate - ISO start of the range, local to timezone without offset
+ * @param {string} endDate - ISO end of the range, local to timezone without offset
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone of the range and of local times (default 'UTC')
+ * @param {Array<number>} options.natalHouses - 12 natal house cusp longitudes, for house ingresses
+ * @param {Array<string>} options.transitBodies - Transiting bodies (default all but the Moon)
+ * @param {Array<string>} options.include - Event types (default all of EVENT_TYPES)
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal', natal positions must use the same zodiac
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal positions
+ * @param {string} options.aspectProfile - Orb profile for transits (default 'transits')
+ * @param {Array|Object} options.aspects - Custom aspect table for transits
+ * @returns {Object} Events sorted by time
+ */
+function calculateForecast(natalPlanets, startDate, endDate, options = {}) {
+  const {
+    timezone = 'UTC',
+    natalHouses,
+    transitBodies = DEFAULT_BODIES,
+    include = EVENT_TYPES
+  } = options;
+
+  const unknownTypes = include.filter(type => !EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    throw new Error(`Unknown event types: ${unknownTypes.join(', ')}. Use any of: ${EVENT_TYPES.join(', ')}`);
+  }
+  if (natalHouses !== undefined && (natalHouses.length !== 12 || natalHouses.some(cusp => typeof cusp !== 'number'))) {
+    throw new Error('natalHouses must be 12 house cusp longitudes');
+  }
+
+  const zodiac = resolveZodiac(options);
+  const { maxDays, limitNote } = getForecastRangeLimit(options);
+  const { startJd, endJd } = resolveRange(startDate, endDate, timezone, maxDays, limitNote);
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+
+  // Every body is sampled once for the transit, ingress and station searches
+  const samples = sampleBodies(zodiac, transitBodies, startJd, endJd);
+
+  const events = [];
+  let aspectProfile = null;
+
+  if (include.includes('transit')) {
+    const transits = findExactTransits(natalPlanets, startDate, endDate, { ...options, samples });
+    aspectProfile = transits.aspectProfile;
+    for (const hit of transits.hits) {
+      events.push({
+        type: 'transit',
+        date: hit.exact,
+        summary: `${displayName(hit.transit)} ${hit.aspect} natal ${displayName(hit.natal)}`,
+        body: hit.transit,
+        natal: hit.natal,
+        aspect: hit.aspect,
+        symbol: hit.symbol,
+        retrograde: hit.retrograde,
+        pass: hit.pass,
+        passes: hit.passes,
+        start: hit.orbEntry,
+        end: hit.orbExit
+      });
+    }
+  }
+
+  for (const body of transitBodies) {
+    if (include.includes('sign-ingress')) {
+      const cusps = ZODIAC_SIGNS.map((_, i) => i * 30);
+      for (const { jd, direction, index } of findCrossings(zodiac, body, cusps, startJd, endJd, false, samples[body])) {
+        // Moving backwards over a sign's start re-enters the previous sign
+        const sign = ZODIAC_SIGNS[direction > 0 ? index : (index + 11) % 12];
+        events.push({
+          type: 'sign-ingress',
+          date: formatTime(jd),
+          summary: `${displayName(body)} enters ${sign}${direction > 0 ? '' : ' (retrograde)'}`,
+          body,
+          sign,
+          retrograde: direction < 0
+        });
+      }
+    }
+
+    if (include.includes('house-ingress') && natalHouses) {
+      for (const { jd, direction, index } of findCrossings(zodiac, body, natalHouses, startJd, endJd, false, samples[body])) {
+        const house = direction > 0 ? index + 1 : (index + 11) % 12 + 1;
+        events.push({
+          type: 'house-ingress',
+          date: formatTime(jd),
+          summary: `${displayName(body)} enters natal ${ORDINALS[house - 1]} house${direction > 0 ? '' : ' (retrograde)'}`,
+          body,
+          house,
+          retrograde: direction < 0
+        });
+      }
+    }
+
+    if (include.includes('station') && RETROGRADE_BODIES.includes(body)) {
+      for (const { jd, station, longitude } of findStations(zodiac, body, startJd, endJd, samples[body])) {
+        events.push({
+          type: 'station',
+          date: formatTime(jd),
+          summary: `${displayName(body)} stations ${station}`,
+          body,
+          station,
+          longitude
+        });
+      }
+    }
+  }
+
+  if (include.includes('lunation')) {
+    for (const { jd, phase, longitude } of findLunations(zodiac, startJd, endJd)) {
+      const sign = ZODIAC_SIGNS[Math.floor(longitude / 30)];
+      events.push({
+        type: 'lunation',
+        date: formatTime(jd),
+        summary: `${phase} in ${sign}`,
+        body: 'moon',
+        phase,
+        longitude,
+        sign
+      });
+    }
+  }
+
+  events.sort((a, b) => a.date.jd - b.date.jd);
+
+  return {
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    timezone,
+    zodiac: describeZodiac(zodiac, startJd),
+    aspectProfile,
+    transitBodies,
+    include,
+    count: events.length,
+    events
+  };
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line to 75 octets
+ */
+function foldLine(line) {
+  const parts = [];
+  let part = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length > 0 ? 74 : 75;
+    if (Buffer.byteLength(part + char) > limit) {
+      parts.push(part);
+      part = '';
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+/**
+ * iCalendar UTC date-time, e.g. 20250101T050000Z
+ */
+function formatICalTime(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * Write a forecast as an iCalendar file, one instantaneous event per forecast event
+ * @param {Object} forecast - Result of calculateForecast
+ * @returns {string} iCalendar text
+ */
+function toICalendar(forecast) {
+  const stamp = formatICalTime(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Astrology API//Forecast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText('Astrology forecast')}`,
+    `X-WR-TIMEZONE:${forecast.timezone}`
+  ];
+
+  for (const event of forecast.events) {
+    const description = [`Exact: ${event.date.local}`];
+    if (event.type === 'transit') {
+      if (event.start) description.unshift(`Orb entry: ${event.start.local}`);
+      if (event.end) description.push(`Orb exit: ${event.end.local}`);
+      if (event.passes > 1) description.push(`Pass ${event.pass} of ${event.passes}`);
+    }
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.type}-${event.body}-${event.date.jd.toFixed(6)}-${event.summary.replace(/[^A-Za-z0-9]+/g, '-')}@astrology-api`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatICalTime(event.date.utc)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(description.join('\n'))}`,
+      `CATEGORIES:${event.type.toUpperCase()}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_FORECAST_MOON_RANGE_DAYS,
+  MAX_FORECAST_RANGE_DAYS,
+  calculateForecast,
+  getForecastRangeLimit,
+  toICalendar
+};
@@ -0,0 +1,202 @@
+/**
+ * Ingress Service
+ *
+ * Exact moments a body enters a new sign, a natal house or crosses a given longitude:
+ * - The Sun and Moon use the native solcross_ut and mooncross_ut, heliocentric planets helio_cross_ut
+ * - Other geocentric bodies are searched by sampling and refining, retrograde re-entries included
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { utcToLocal, ZODIAC_SIGNS } = require('./calculator');
+const { PLANETS } = require('./advanced-calculations');
+const {
+  DEFAULT_BODIES,
+  MAX_MOON_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  STEPS,
+  findRoots,
+  getCoordinate,
+  resolveRange,
+  sampleBody,
+  wrap
+} = require('./transit-timing');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+const INGRESS_BODIES = Object.keys(STEPS);
+
+// Planets with heliocentric crossings
+const HELIOCENTRIC_BODIES = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+/**
+ * Find crossings of one longitude with the native crossing functions, which only move forwards
+ * @returns {Array<number>} Julian Days in time order
+ */
+function findNativeCrossings(zodiac, body, longitude, startJd, endJd, heliocentric) {
+  const flags = sweph.constants.SEFLG_SWIEPH | zodiac.flags;
+  const id = PLANETS[body.toUpperCase()];
+  const dates = [];
+
+  let jd = startJd;
+  for (;;) {
+    let result;
+    if (heliocentric) {
+      result = zodiac.context.helio_cross_ut(id, longitude, jd, flags, 0);
+      if (result.flag < 0) {
+        throw new Error(result.error || 'Failed to find heliocentric crossing');
+      }
+    } else {
+      result = body === 'sun'
+        ? zodiac.context.solcross_ut(longitude, jd, flags)
+        : zodiac.context.mooncross_ut(longitude, jd, flags);
+      if (result.date < jd) {
+        throw new Error(result.error || 'Failed to find crossing');
+      }
+    }
+
+    if (result.date > endJd) break;
+    dates.push(result.date);
+    // The same longitude is not crossed again within a day
+    jd = result.date + 1;
+  }
+  return dates;
+}
+
+/**
+ * Find the moments a body crosses each of the given longitudes
+ * @param {Object} zodiac - Resolved zodiac
+ * @param {string} body - Body key, one of INGRESS_BODIES
+ * @param {Array<number>} longitudes - Longitudes to cross
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @param {boolean} heliocentric - Heliocentric longitudes, for HELIOCENTRIC_BODIES
+ * @param {Object} sampled - Samples of sampleBody covering the range, to share them with other searches
+ * @returns {Array<Object>} [{ jd, direction, index }], direction -1 when crossing retrograde, index of the longitude
+ */
+function findCrossings(zodiac, body, longitudes, startJd, endJd, heliocentric = false, sampled = undefined) {
+  // The Sun, the Moon and heliocentric planets never move backwards
+  if (heliocentric || body === 'sun' || body === 'moon') {
+    return longitudes.flatMap((longitude, index) =>
+      findNativeCrossings(zodiac, body, longitude, startJd, endJd, heliocentric)
+        .map(jd => ({ jd, direction: 1, index })));
+  }
+
+  const { id, times, longitude: samples } = sampled || sampleBody(zodiac, body, startJd, endJd);
+
+  return longitudes.flatMap((longitude, index) => {
+    const f = t => wrap(getCoordinate(zodiac, t, id, 'longitude') - longitude);
+    return findRoots(f, times, samples.map(value => wrap(value - longitude)), startJd, endJd)
+      .filter(root => root.jd >= startJd && root.jd <= endJd)
+      .map(({ jd, direction }) => ({ jd, direction, index }));
+  });
+}
+
+/**
+ * Find the sign ingresses of bodies in a date range, house ingresses when natal houses are given,
+ * or the crossings of a given longitude instead of signs
+ * @param {Object} options
+ * @param {string} options.from - ISO start of the range, local to timezone without offset (default today)
+ * @param {string} options.to - ISO end of the range (default one year after from)
+ * @param {string} options.planet - One of INGRESS_BODIES (default all but the Moon)
+ * @param {number} options.longitude - Longitude to cross instead of sign boundaries
+ * @param {Array<number>} options.natalHouses - 12 natal house cusp longitudes, for house ingresses
+ * @param {boolean} options.heliocentric - Heliocentric ingresses of HELIOCENTRIC_BODIES
+ * @param {string} options.timezone - IANA timezone of the range and of local times (default 'UTC')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal positions
+ * @returns {Object} Ingresses sorted by time
+ */
+function findIngresses(options = {}) {
+  const { planet, longitude, natalHouses, heliocentric = false, timezone = 'UTC' } = options;
+  const validBodies = heliocentric ? HELIOCENTRIC_BODIES : INGRESS_BODIES;
+
+  if (planet !== undefined && !validBodies.includes(planet)) {
+    throw new Error(`Invalid planet: ${planet}. Use one of: ${validBodies.join(', ')}`);
+  }
+  if (longitude !== undefined && !(longitude >= 0 && longitude < 360)) {
+    throw new Error('longitude must be 0 to 360');
+  }
+  if (natalHouses !== undefined) {
+    if (natalHouses.length !== 12 || natalHouses.some(cusp => typeof cusp !== 'number' || isNaN(cusp))) {
+      throw new Error('natalHouses must be 12 house cusp longitudes');
+    }
+    if (heliocentric) {
+      throw new Error('House ingresses are geocentric, natalHouses cannot be used with heliocentric');
+    }
+  }
+
+  const bodies = planet
+    ? [planet]
+    : DEFAULT_BODIES.filter(body => validBodies.includes(body));
+  const from = options.from || DateTime.now().setZone(timezone).toISODate();
+  const to = options.to || DateTime.fromISO(from, { zone: timezone }).plus({ years: 1 }).toISO();
+  const zodiac = resolveZodiac(options);
+  const withMoon = bodies.includes('moon');
+  const { startJd, endJd } = resolveRange(from, to, timezone,
+    withMoon ? MAX_MOON_RANGE_DAYS : MAX_RANGE_DAYS, withMoon ? 'for the Moon' : undefined);
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+
+  const ingresses = [];
+  for (const body of bodies) {
+    if (longitude !== undefined) {
+      for (const { jd, direction } of findCrossings(zodiac, body, [longitude], startJd, endJd, heliocentric)) {
+        ingresses.push({ planet: body, type: 'longitude', ...formatTime(jd), longitude, retrograde: direction < 0 });
+      }
+    } else {
+      const cusps = ZODIAC_SIGNS.map((_, i) => i * 30);
+      for (const { jd, direction, index } of findCrossings(zodiac, body, cusps, startJd, endJd, heliocentric)) {
+        // Moving backwards over a sign's start re-enters the previous sign
+        const entered = direction > 0 ? index : (index + 11) % 12;
+        const left = direction > 0 ? (index + 11) % 12 : index;
+        ingresses.push({
+          planet: body,
+          type: 'sign',
+          ...formatTime(jd),
+          longitude: cusps[index],
+          sign: ZODIAC_SIGNS[entered],
+          from: ZODIAC_SIGNS[left],
+          retrograde: direction < 0
+        });
+      }
+    }
+
+    if (natalHouses) {
+      for (const { jd, direction, index } of findCrossings(zodiac, body, natalHouses, startJd, endJd)) {
+        const entered = direction > 0 ? index : (index + 11) % 12;
+        const left = direction > 0 ? (index + 11) % 12 : index;
+        ingresses.push({
+          planet: body,
+          type: 'house',
+          ...formatTime(jd),
+          longitude: natalHouses[index],
+          house: entered + 1,
+          from: left + 1,
+          retrograde: direction < 0
+        });
+      }
+    }
+  }
+
+  ingresses.sort((a, b) => a.jd - b.jd);
+
+  return {
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    timezone,
+    zodiac: describeZodiac(zodiac, startJd),
+    heliocentric,
+    planets: bodies,
+    count: ingresses.length,
+    ingresses
+  };
+}
+
+module.exports = {
+  HELIOCENTRIC_BODIES,
+  INGRESS_BODIES,
+  findCrossings,
+  findIngresses
+};
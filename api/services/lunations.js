@@ -0,0 +1,137 @@
+/**
+ * Lunation Service
+ *
+ * Exact New Moons, First Quarters, Full Moons and Last Quarters:
+ * - Found where the Sun-Moon elongation reaches 0°, 90°, 180° and 270°
+ * - Flagged when they are a solar or lunar eclipse
+ * - Flagged as a supermoon or micromoon from the Moon's distance
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { getZodiacSign, utcToLocal } = require('./calculator');
+const { findEclipses } = require('./eclipses');
+const {
+  MAX_RANGE_DAYS,
+  findRoots,
+  getCoordinate,
+  resolveRange,
+  sampleTimes,
+  wrap
+} = require('./transit-timing');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+// Sun-Moon elongation of each lunation, and the kind of eclipse it can be
+const LUNATIONS = [
+  { key: 'new', phase: 'New Moon', angle: 0, eclipse: 'solar' },
+  { key: 'first_quarter', phase: 'First Quarter', angle: 90, eclipse: null },
+  { key: 'full', phase: 'Full Moon', angle: 180, eclipse: 'lunar' },
+  { key: 'last_quarter', phase: 'Last Quarter', angle: 270, eclipse: null }
+];
+
+// Moon distance thresholds for New and Full Moons, after the common 360,000 km and 405,000 km definitions
+const SUPERMOON_KM = 360000;
+const MICROMOON_KM = 405000;
+
+const KM_PER_AU = 149597870.7;
+
+// An eclipse maximum is within hours of its lunation
+const ECLIPSE_MATCH_DAYS = 0.5;
+
+/**
+ * Find the lunations between two dates
+ * @param {Object} zodiac - Resolved zodiac, for the longitudes
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @param {Array<string>} phases - Keys of the phases to find (default all)
+ * @returns {Array<Object>} [{ jd, key, phase, longitude, distanceKm }] in time order
+ */
+function findLunations(zodiac, startJd, endJd, phases = LUNATIONS.map(lunation => lunation.key)) {
+  const elongation = t => getCoordinate(zodiac, t, sweph.constants.SE_MOON, 'longitude') -
+    getCoordinate(zodiac, t, sweph.constants.SE_SUN, 'longitude');
+  const times = sampleTimes(startJd, endJd, 1);
+  const samples = times.map(elongation);
+
+  const lunations = [];
+  for (const { key, phase, angle } of LUNATIONS.filter(lunation => phases.includes(lunation.key))) {
+    const f = t => wrap(elongation(t) - angle);
+    for (const { jd } of findRoots(f, times, samples.map(value => wrap(value - angle)))) {
+      const moon = zodiac.context.calc_ut(jd, sweph.constants.SE_MOON, sweph.constants.SEFLG_SWIEPH | zodiac.flags);
+      if (moon.flag < 0) {
+        throw new Error(moon.error || 'Failed to calculate the Moon');
+      }
+      lunations.push({ jd, key, phase, longitude: moon.data[0], distanceKm: moon.data[2] * KM_PER_AU });
+    }
+  }
+
+  return lunations.sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * Calendar of lunations with eclipses and supermoons
+ * @param {Object} options
+ * @param {string} options.from - ISO start of the range, local to timezone without offset (default today)
+ * @param {string} options.to - ISO end of the range (default one year after from)
+ * @param {Array<string>} options.phases - Keys of the phases to include (default all)
+ * @param {string} options.timezone - IANA timezone of the range and of local times (default 'UTC')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal positions
+ * @returns {Object} Lunations sorted by time
+ */
+function calculateLunations(options = {}) {
+  const { timezone = 'UTC', phases = LUNATIONS.map(lunation => lunation.key) } = options;
+
+  const unknownPhases = phases.filter(phase => !LUNATIONS.some(lunation => lunation.key === phase));
+  if (unknownPhases.length > 0) {
+    throw new Error(`Unknown phases: ${unknownPhases.join(', ')}. Use any of: ${LUNATIONS.map(l => l.key).join(', ')}`);
+  }
+
+  const from = options.from || DateTime.now().setZone(timezone).toISODate();
+  const to = options.to || DateTime.fromISO(from, { zone: timezone }).plus({ years: 1 }).toISO();
+  const zodiac = resolveZodiac(options);
+  const { startJd, endJd } = resolveRange(from, to, timezone, MAX_RANGE_DAYS);
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+
+  const eclipses = findEclipses(startJd - 1, endJd + 1);
+
+  const lunations = findLunations(zodiac, startJd, endJd, phases).map(lunation => {
+    const { sign, degrees, minutes } = getZodiacSign(lunation.longitude);
+    const kind = LUNATIONS.find(l => l.key === lunation.key).eclipse;
+    const eclipse = kind && eclipses.find(e => e.kind === kind && Math.abs(e.jd - lunation.jd) < ECLIPSE_MATCH_DAYS);
+    const syzygy = kind !== null;
+
+    return {
+      key: lunation.key,
+      phase: lunation.phase,
+      ...formatTime(lunation.jd),
+      longitude: lunation.longitude,
+      sign,
+      degrees,
+      minutes,
+      distanceKm: Math.round(lunation.distanceKm),
+      supermoon: syzygy && lunation.distanceKm < SUPERMOON_KM,
+      micromoon: syzygy && lunation.distanceKm > MICROMOON_KM,
+      eclipse: eclipse ? { kind: eclipse.kind, type: eclipse.type, maximum: formatTime(eclipse.jd) } : null
+    };
+  });
+
+  return {
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    timezone,
+    zodiac: describeZodiac(zodiac, startJd),
+    count: lunations.length,
+    lunations
+  };
+}
+
+module.exports = {
+  LUNATIONS,
+  MICROMOON_KM,
+  SUPERMOON_KM,
+  calculateLunations,
+  findLunations
+};
@@ -0,0 +1,146 @@
+/**
+ * Retrograde Service
+ *
+ * Stations and retrograde periods of the planets:
+ * - Exact stations retrograde and direct, where the speed in longitude changes sign
+ * - Pre-retrograde shadow from when the planet first reaches the degree of its coming station direct
+ * - Post-retrograde shadow until it passes the degree of its station retrograde again
+ * - Zodiac span covered while retrograde
+ */
+
+const { DateTime } = require('luxon');
+const { getZodiacSign, utcToLocal } = require('./calculator');
+const {
+  MAX_RANGE_DAYS,
+  findRoots,
+  getCoordinate,
+  resolveRange,
+  sampleBody,
+  wrap
+} = require('./transit-timing');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+// Planets that station, the true node wobbles and stations every few weeks
+const RETROGRADE_BODIES = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+// How far beyond a station its shadow is searched, and beyond the range a period is looked for
+const SHADOW_SEARCH_DAYS = 366;
+
+/**
+ * Find the stations of a planet
+ * @param {Object} zodiac - Resolved zodiac
+ * @param {string} body - Planet key, one of RETROGRADE_BODIES
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @param {Object} sampled - Samples of sampleBody covering the range, to share them with other searches
+ * @returns {Array<Object>} [{ jd, station: 'retrograde'|'direct', longitude }] in time order
+ */
+function findStations(zodiac, body, startJd, endJd, sampled = undefined) {
+  const { stations } = sampled || sampleBody(zodiac, body, startJd, endJd);
+
+  return stations
+    .filter(({ jd }) => jd >= startJd && jd <= endJd)
+    .map(({ jd, direction, longitude }) => ({
+      jd,
+      station: direction < 0 ? 'retrograde' : 'direct',
+      longitude
+    }));
+}
+
+/**
+ * Find when a planet moving direct crosses a longitude
+ * @param {Object} sampled - Samples of sampleBody covering the range
+ * @returns {Array<number>} Julian Days in time order
+ */
+function findDirectCrossings(zodiac, longitude, startJd, endJd, sampled) {
+  const { id, times, longitude: samples } = sampled;
+  const f = t => wrap(getCoordinate(zodiac, t, id, 'longitude') - longitude);
+
+  return findRoots(f, times, samples.map(value => wrap(value - longitude)), startJd, endJd)
+    .filter(root => root.direction > 0 && root.jd >= startJd && root.jd <= endJd)
+    .map(root => root.jd);
+}
+
+/**
+ * Find the retrograde periods of planets overlapping a date range, shadows included
+ * @param {Object} options
+ * @param {string} options.from - ISO start of the range, local to timezone without offset (default today)
+ * @param {string} options.to - ISO end of the range (default one year after from)
+ * @param {string} options.planet - One of RETROGRADE_BODIES (default all)
+ * @param {string} options.timezone - IANA timezone of the range and of local times (default 'UTC')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal positions
+ * @returns {Object} Retrograde periods sorted by station retrograde
+ */
+function findRetrogrades(options = {}) {
+  const { planet, timezone = 'UTC' } = options;
+
+  if (planet !== undefined && !RETROGRADE_BODIES.includes(planet)) {
+    throw new Error(`Invalid planet: ${planet}. Use one of: ${RETROGRADE_BODIES.join(', ')}`);
+  }
+
+  const from = options.from || DateTime.now().setZone(timezone).toISODate();
+  const to = options.to || DateTime.fromISO(from, { zone: timezone }).plus({ years: 1 }).toISO();
+  const zodiac = resolveZodiac(options);
+  const { startJd, endJd } = resolveRange(from, to, timezone, MAX_RANGE_DAYS);
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+  const formatPoint = (jd, longitude) => {
+    const { sign, degrees, minutes } = getZodiacSign(longitude);
+    return { ...formatTime(jd), longitude, sign, degrees, minutes };
+  };
+
+  const periods = [];
+  for (const body of planet ? [planet] : RETROGRADE_BODIES) {
+    // One sampling for the stations and the shadows searched beyond them
+    const sampled = sampleBody(zodiac, body, startJd - 2 * SHADOW_SEARCH_DAYS, endJd + 2 * SHADOW_SEARCH_DAYS);
+    const stations = findStations(zodiac, body, startJd - SHADOW_SEARCH_DAYS, endJd + SHADOW_SEARCH_DAYS, sampled);
+
+    stations.forEach((retrograde, i) => {
+      const direct = stations[i + 1];
+      if (retrograde.station !== 'retrograde' || !direct) return;
+
+      // Shadows: the last direct pass over the station direct degree before, the first over the station retrograde degree after
+      const shadowStart = findDirectCrossings(zodiac, direct.longitude, retrograde.jd - SHADOW_SEARCH_DAYS, retrograde.jd, sampled).pop();
+      const shadowEnd = findDirectCrossings(zodiac, retrograde.longitude, direct.jd, direct.jd + SHADOW_SEARCH_DAYS, sampled)[0];
+
+      const first = shadowStart === undefined ? retrograde.jd : shadowStart;
+      const last = shadowEnd === undefined ? direct.jd : shadowEnd;
+      if (last < startJd || first > endJd) return;
+
+      periods.push({
+        planet: body,
+        shadowStart: shadowStart === undefined ? null : formatPoint(shadowStart, direct.longitude),
+        stationRetrograde: formatPoint(retrograde.jd, retrograde.longitude),
+        stationDirect: formatPoint(direct.jd, direct.longitude),
+        shadowEnd: shadowEnd === undefined ? null : formatPoint(shadowEnd, retrograde.longitude),
+        span: {
+          from: direct.longitude,
+          to: retrograde.longitude,
+          degrees: (retrograde.longitude - direct.longitude + 360) % 360
+        },
+        retrogradeDays: direct.jd - retrograde.jd,
+        shadowDays: shadowStart === undefined || shadowEnd === undefined ? null : shadowEnd - shadowStart
+      });
+    });
+  }
+
+  periods.sort((a, b) => a.stationRetrograde.jd - b.stationRetrograde.jd);
+
+  return {
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    timezone,
+    zodiac: describeZodiac(zodiac, startJd),
+    count: periods.length,
+    periods
+  };
+}
+
+module.exports = {
+  RETROGRADE_BODIES,
+  findRetrogrades,
+  findStations
+};
@@ -0,0 +1,192 @@
+/**
+ * Planetary Return Service
+ *
+ * Charts for the moment a body returns to its natal longitude:
+ * - Solar returns with the native solcross_ut, lunar returns with mooncross_ut
+ * - Returns of the other planets by sampling and bisection, with every pass of a retrograde loop
+ * - The return chart is cast at a relocation point, or at the birth place
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { calculateChart, utcToLocal } = require('./calculator');
+const { findCrossings } = require('./ingresses');
+const { calculatePersonChart } = require('./synastry');
+const { resolveZodiac } = require('./zodiac');
+
+const RETURN_BODIES = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn'];
+
+// Return types of the luminaries, other planets are named by their body key
+const RETURN_TYPES = { solar: 'sun', lunar: 'moon' };
+const RETURN_TYPE_NAMES = [
+  ...Object.keys(RETURN_TYPES),
+  ...RETURN_BODIES.filter(body => !Object.values(RETURN_TYPES).includes(body))
+];
+
+// Longest wait for a return from any date: a full cycle plus a retrograde loop
+const MAX_SEARCH_DAYS = {
+  sun: 367,
+  moon: 29,
+  mercury: 400,
+  venus: 600,
+  mars: 900,
+  jupiter: 4700,
+  saturn: 11200
+};
+
+// Searched at a time, so a return is found without sampling a whole cycle
+const SEARCH_CHUNK_DAYS = 366;
+
+// The passes of a retrograde loop are less than a year apart
+const LOOP_DAYS = 366;
+
+/**
+ * Find the first return of a body to a longitude from a date, and the later passes of its retrograde loop
+ * The return is the first direct crossing, a retrograde crossing right after the start belongs to an earlier loop
+ * @param {Object} zodiac - Resolved zodiac, the natal longitude must be in the same zodiac
+ * @param {string} body - One of RETURN_BODIES
+ * @param {number} longitude - Natal longitude
+ * @param {number} startJd - Julian Day (UT) to search from
+ * @returns {Array<Object>} [{ jd, direction }], the return first
+ */
+function findReturn(zodiac, body, longitude, startJd) {
+  for (let from = startJd; from < startJd + MAX_SEARCH_DAYS[body]; from += SEARCH_CHUNK_DAYS) {
+    const to = Math.min(from + SEARCH_CHUNK_DAYS, startJd + MAX_SEARCH_DAYS[body]);
+    const first = findCrossings(zodiac, body, [longitude], from, to).find(crossing => crossing.direction > 0);
+    if (!first) continue;
+
+    // Passes alternate direction until the loop is over
+    const passes = [first];
+    for (const crossing of findCrossings(zodiac, body, [longitude], first.jd + 1e-4, first.jd + LOOP_DAYS)) {
+      if (crossing.direction === passes[passes.length - 1].direction) break;
+      passes.push(crossing);
+    }
+    return passes.map(({ jd, direction }) => ({ jd, direction }));
+  }
+
+  throw new Error(`No ${body} return found within ${MAX_SEARCH_DAYS[body]} days`);
+}
+
+/**
+ * Julian Day (UT) to start the search from
+ */
+function resolveSearchStart(body, natalChart, { year, date }, timezone) {
+  if (year !== undefined) {
+    // A solar return falls within a day of the birthday
+    if (body === 'sun') {
+      const { month, day } = natalChart.input.utcTime;
+      return sweph.julday(year, month, 1, 0, sweph.constants.SE_GREG_CAL) + day - 1 - 2;
+    }
+    return sweph.jdFromDate(DateTime.fromObject({ year, month: 1, day: 1 }, { zone: timezone }).toJSDate()).ut;
+  }
+
+  const start = date === undefined
+    ? DateTime.now()
+    : DateTime.fromISO(date, { zone: timezone });
+  if (!start.isValid) {
+    throw new Error(`Invalid date: ${start.invalidReason}`);
+  }
+  return sweph.jdFromDate(start.toJSDate()).ut;
+}
+
+/**
+ * Cast a chart for an exact instant, to the second, in a timezone
+ * A local time that occurs twice is resolved to the instant itself
+ */
+function castChart(jd, latitude, longitude, timezone, houseSystem, options) {
+  const millis = Math.round(sweph.dateFromJd(jd).getTime() / 1000) * 1000;
+  const local = DateTime.fromMillis(millis, { zone: timezone });
+  if (!local.isValid) {
+    throw new Error(`Invalid timezone: ${local.invalidReason}`);
+  }
+
+  const chartAt = dstResolution => calculateChart(
+    local.year, local.month, local.day, local.hour, local.minute,
+    latitude, longitude, timezone, houseSystem,
+    { ...options, second: local.second, dstResolution }
+  );
+
+  const chart = chartAt('earlier');
+  const instant = Date.parse(chart.input.utcTime.iso);
+  return Math.abs(instant - millis) < 1000 ? chart : chartAt('later');
+}
+
+/**
+ * Calculate a return chart
+ * @param {Object} birth - Birth data { year, month, day, hour, minute, latitude, longitude, timezone,
+ *   timeStandard?, dstResolution? }
+ * @param {Object} options
+ * @param {string} options.type - 'solar', 'lunar' or a planet key of RETURN_BODIES
+ * @param {number} options.year - Year of the return: the solar return around the birthday in that year,
+ *   or the first return from 1 January for other bodies
+ * @param {string} options.date - ISO date local to the return timezone, the first return on or after it (default now)
+ * @param {Object} options.location - Relocation { latitude, longitude, timezone } (default the birth place)
+ * @param {string} options.houseSystem - House system code (default 'R')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal', for the natal and return positions
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal charts
+ * @param {string} options.aspectProfile - Orb profile for the return chart aspects
+ * @param {Array|Object} options.aspects - Custom aspect table
+ * @returns {Object} Return time, retrograde passes, location and the return chart
+ */
+function calculateReturn(birth, options = {}) {
+  const { type = 'solar', year, date, location, houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = options;
+  if (!RETURN_TYPE_NAMES.includes(type)) {
+    throw new Error(`Invalid return type: ${type}. Use one of: ${RETURN_TYPE_NAMES.join(', ')}`);
+  }
+  const body = RETURN_TYPES[type] || type;
+
+  if (year !== undefined && date !== undefined) {
+    throw new Error('Use either year or date, not both');
+  }
+
+  const resolvedZodiac = resolveZodiac({ zodiac, ayanamsa });
+  const natalChart = calculatePersonChart(birth, 'birth', houseSystem, { zodiac, ayanamsa });
+  const natal = natalChart.planets[body];
+
+  const place = location || {
+    latitude: parseFloat(birth.latitude),
+    longitude: parseFloat(birth.longitude),
+    timezone: birth.timezone
+  };
+  const timezone = place.timezone || 'UTC';
+
+  const startJd = resolveSearchStart(body, natalChart, { year, date }, timezone);
+  const passes = findReturn(resolvedZodiac, body, natal.longitude, startJd);
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+
+  const chart = castChart(passes[0].jd, place.latitude, place.longitude, timezone, houseSystem,
+    { zodiac, ayanamsa, aspectProfile, aspects });
+
+  return {
+    type: RETURN_TYPES[type] ? type : 'planetary',
+    body,
+    natal: {
+      longitude: natal.longitude,
+      sign: natal.sign,
+      degrees: natal.degrees,
+      minutes: natal.minutes,
+      utcTime: natalChart.input.utcTime.iso
+    },
+    returnTime: formatTime(passes[0].jd),
+    passes: passes.map((pass, i) => ({ pass: i + 1, ...formatTime(pass.jd), retrograde: pass.direction < 0 })),
+    location: {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone,
+      relocated: location !== undefined
+    },
+    chart
+  };
+}
+
+module.exports = {
+  RETURN_BODIES,
+  RETURN_TYPE_NAMES,
+  RETURN_TYPES,
+  calculateReturn,
+  findReturn
+};
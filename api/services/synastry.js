@@ -0,0 +1,214 @@
+/**
+ * Synastry Service
+ *
+ * Compares the birth charts of two people:
+ * - Cross-aspects between the planets and angles of one chart and those of the other
+ * - House overlays, each person's planets placed in the other's houses
+ * - Compatibility scores by theme, weighted into an overall score
+ */
+
+const { AmbiguousLocalTimeError, calculateChart } = require('./calculator');
+const { findAspects, resolveAspectProfile } = require('./aspects');
+const { getHouseForPlanet } = require('./ikigai');
+
+// Angles that take part in cross-aspects alongside the planets
+const SYNASTRY_ANGLES = ['ascendant', 'midheaven'];
+
+/**
+ * Compatibility themes: the planet pairs that describe each theme, in either direction,
+ * and the weight of the theme in the overall score
+ */
+const THEMES = {
+  attraction: {
+    description: 'Romantic and physical chemistry',
+    weight: 1,
+    pairs: [['venus', 'mars'], ['sun', 'moon'], ['venus', 'sun'], ['mars', 'sun'], ['venus', 'ascendant'], ['mars', 'ascendant']]
+  },
+  emotional: {
+    description: 'Emotional understanding and feeling at home with each other',
+    weight: 1.25,
+    pairs: [['moon', 'moon'], ['moon', 'venus'], ['moon', 'ascendant'], ['moon', 'jupiter']]
+  },
+  communication: {
+    description: 'How easily ideas and everyday conversation flow',
+    weight: 1,
+    pairs: [['mercury', 'mercury'], ['mercury', 'sun'], ['mercury', 'moon'], ['mercury', 'jupiter']]
+  },
+  commitment: {
+    description: 'Stability, loyalty and staying power',
+    weight: 1,
+    pairs: [['saturn', 'sun'], ['saturn', 'moon'], ['saturn', 'venus'], ['saturn', 'ascendant'], ['sun', 'midheaven']]
+  },
+  growth: {
+    description: 'Encouragement, generosity and shared purpose',
+    weight: 0.75,
+    pairs: [['jupiter', 'sun'], ['jupiter', 'venus'], ['northNode', 'sun'], ['northNode', 'moon'], ['northNode', 'venus']]
+  },
+  intensity: {
+    description: 'Passion, power and transformation, exciting but demanding',
+    weight: 0.75,
+    pairs: [['pluto', 'sun'], ['pluto', 'moon'], ['pluto', 'venus'], ['pluto', 'mars'], ['mars', 'mars'], ['uranus', 'venus']]
+  }
+};
+
+// How each aspect contributes to a theme: positive for harmonious, negative for challenging
+const ASPECT_POLARITY = {
+  conjunction: 0.5,
+  trine: 1,
+  sextile: 0.75,
+  square: -1,
+  opposition: -0.5,
+  quincunx: -0.25
+};
+
+/**
+ * Calculate a birth chart from a birth data object
+ * A birth time in a DST gap or overlap is rethrown with the field of the person it belongs to
+ * @param {Object} person - Birth data
+ * @param {string} field - Request field of the person, e.g. 'person1'
+ */
+function calculatePersonChart(person, field, houseSystem, options) {
+  try {
+    return calculateChart(
+      parseInt(person.year),
+      parseInt(person.month),
+      parseInt(person.day),
+      parseInt(person.hour),
+      parseInt(person.minute),
+      parseFloat(person.latitude),
+      parseFloat(person.longitude),
+      person.timezone,
+      houseSystem,
+      { ...options, timeStandard: person.timeStandard, dstResolution: person.dstResolution }
+    );
+  } catch (error) {
+    if (error instanceof AmbiguousLocalTimeError) {
+      error.field = field;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Planets and synastry angles of a chart, as positions for the aspect engine
+ */
+function getSynastryPoints(chart) {
+  const points = { ...chart.planets };
+  for (const angle of SYNASTRY_ANGLES) {
+    points[angle] = { longitude: chart.angles[angle].longitude };
+  }
+  return points;
+}
+
+/**
+ * Place the planets of one chart in the houses of another
+ * @returns {Array<Object>} [{ planet, longitude, sign, house }]
+ */
+function getHouseOverlay(planets, houses) {
+  const cusps = houses.map(house => house.cusp);
+  return Object.entries(planets).map(([planet, position]) => ({
+    planet,
+    longitude: position.longitude,
+    sign: position.sign,
+    house: getHouseForPlanet(position.longitude, cusps)
+  }));
+}
+
+/**
+ * Score the compatibility themes from the cross-aspects
+ * Each aspect adds its polarity times its strength (1 when exact, 0 at the edge of its orb) to a theme,
+ * a theme with no aspects scores a neutral 50
+ * @param {Array<Object>} aspects - Cross-aspects from findAspects
+ * @returns {Object} { overall, themes: { [theme]: { score, weight, description, harmonious, challenging, aspects } } }
+ */
+function scoreCompatibility(aspects) {
+  const themes = {};
+  let total = 0;
+  let totalWeight = 0;
+
+  for (const [name, theme] of Object.entries(THEMES)) {
+    const matches = aspects.filter(found => theme.pairs.some(([a, b]) =>
+      (found.body1 === a && found.body2 === b) || (found.body1 === b && found.body2 === a)));
+
+    let sum = 0;
+    let harmonious = 0;
+    let challenging = 0;
+    for (const found of matches) {
+      const polarity = ASPECT_POLARITY[found.aspect] || 0;
+      const strength = found.maxOrb > 0 ? 1 - found.orb / found.maxOrb : 1;
+      sum += polarity * strength;
+      if (polarity > 0) harmonious++;
+      if (polarity < 0) challenging++;
+    }
+
+    const score = Math.round(Math.min(100, Math.max(0, 50 + 25 * sum)));
+    themes[name] = {
+      score,
+      weight: theme.weight,
+      description: theme.description,
+      harmonious,
+      challenging,
+      aspects: matches.map(found => ({ person1: found.body1, aspect: found.aspect, person2: found.body2 }))
+    };
+    total += score * theme.weight;
+    totalWeight += theme.weight;
+  }
+
+  return { overall: Math.round(total / totalWeight), themes };
+}
+
+/**
+ * Compare the birth charts of two people
+ * @param {Object} person1 - Birth data { year, month, day, hour, minute, latitude, longitude, timezone,
+ *   timeStandard?, dstResolution?, name? }
+ * @param {Object} person2 - Birth data, same as person1
+ * @param {Object} options
+ * @param {string} options.houseSystem - House system code for both charts (default 'R')
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal charts
+ * @param {string} options.aspectProfile - Orb profile for cross-aspects (default 'synastry')
+ * @param {Array|Object} options.aspects - Custom aspect table for cross-aspects
+ * @returns {Object} Both charts, cross-aspects, house overlays and compatibility scores
+ */
+function calculateSynastry(person1, person2, options = {}) {
+  const { houseSystem = 'R', zodiac, ayanamsa, aspectProfile, aspects } = options;
+  const profile = resolveAspectProfile({ aspectProfile, aspects }, 'synastry');
+
+  // Each chart keeps its own aspects in the profile it would have on its own
+  const chart1 = calculatePersonChart(person1, 'person1', houseSystem, { zodiac, ayanamsa });
+  const chart2 = calculatePersonChart(person2, 'person2', houseSystem, { zodiac, ayanamsa });
+
+  const crossAspects = findAspects(getSynastryPoints(chart1), getSynastryPoints(chart2), profile);
+
+  return {
+    person1: { name: person1.name || 'person1', chart: chart1 },
+    person2: { name: person2.name || 'person2', chart: chart2 },
+    aspectProfile: profile.name,
+    aspects: crossAspects.map(found => ({
+      person1: found.body1,
+      person2: found.body2,
+      aspect: found.aspect,
+      symbol: found.symbol,
+      type: found.type,
+      exactAngle: found.angle,
+      actualAngle: found.separation.toFixed(2),
+      orb: found.orb.toFixed(2),
+      maxOrb: found.maxOrb,
+      applying: found.applying,
+      daysUntilExact: found.daysUntilExact,
+      daysSinceExact: found.daysSinceExact
+    })),
+    houseOverlays: {
+      person1InPerson2Houses: getHouseOverlay(chart1.planets, chart2.houses),
+      person2InPerson1Houses: getHouseOverlay(chart2.planets, chart1.houses)
+    },
+    compatibility: scoreCompatibility(crossAspects)
+  };
+}
+
+module.exports = {
+  ASPECT_POLARITY,
+  THEMES,
+  calculatePersonChart,
+  calculateSynastry
+};
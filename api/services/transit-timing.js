@@ -0,0 +1,449 @@
+/**
+ * Transit Timing Service
+ *
+ * Finds when transiting bodies make exact aspects to natal positions:
+ * - Samples each transiting body once over the date range, stations included, and refines every
+ *   sign change of the aspect offset on sweph.calc_ut
+ * - Finds every pass, so a retrograde sequence gives three exact hits numbered 1-3
+ * - Gives the orb entry and exit of the window each hit falls in
+ */
+
+const sweph = require('sweph');
+const { DateTime } = require('luxon');
+const { utcToLocal } = require('./calculator');
+const { PLANETS } = require('./advanced-calculations');
+const { ASPECTS, getOrb, resolveAspectProfile } = require('./aspects');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+// Sampling step in days per transiting body, shorter than its shortest retrograde or direct period
+const STEPS = {
+  sun: 1,
+  moon: 0.25,
+  mercury: 0.5,
+  venus: 1,
+  mars: 2,
+  jupiter: 5,
+  saturn: 5,
+  uranus: 10,
+  neptune: 10,
+  pluto: 10,
+  north_node: 1
+};
+
+const DEFAULT_BODIES = Object.keys(STEPS).filter(name => name !== 'moon');
+
+// Bodies whose stations are added to the samples, the true node turns every few days and is sampled daily instead
+const STATION_BODIES = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+// Longest date range searched, and the longest range with the Moon, which hits every target monthly
+const MAX_RANGE_DAYS = 3653;
+const MAX_MOON_RANGE_DAYS = 366;
+
+// Number of aspects searched over the longest ranges, every aspect beyond them shortens the range
+// since each adds its own hits and orb windows
+const RANGE_ASPECTS = 5;
+
+// How far an orb window is followed beyond an exact hit
+const MAX_WINDOW_DAYS = 3653;
+
+// Sampling beyond the range, so passes of a retrograde sequence outside it are still counted
+// Longest shadow period of 1950-2050 per body with a margin, the true node's wobble for the node
+const SEQUENCE_PADDING_DAYS = {
+  sun: 0,
+  moon: 0,
+  mercury: 70,
+  venus: 130,
+  mars: 240,
+  jupiter: 330,
+  saturn: 370,
+  uranus: 400,
+  neptune: 420,
+  pluto: 440,
+  north_node: 90
+};
+
+// Exact times are refined to about 0.1 seconds
+const PRECISION_DAYS = 1e-6;
+
+const wrap = angle => ((angle % 360) + 540) % 360 - 180;
+
+/**
+ * Position of a body in one coordinate
+ * @param {Object} zodiac - Resolved zodiac
+ * @param {number} jd_ut - Julian Day (UT)
+ * @param {number} id - Body id
+ * @param {string} coordinate - 'longitude', 'declination' or 'speed' (in longitude)
+ * @returns {number} Value of the coordinate
+ */
+function getCoordinate(zodiac, jd_ut, id, coordinate) {
+  let flags = sweph.constants.SEFLG_SWIEPH | zodiac.flags;
+  if (coordinate === 'declination') flags = sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_EQUATORIAL;
+  if (coordinate === 'speed') flags |= sweph.constants.SEFLG_SPEED;
+  const result = zodiac.context.calc_ut(jd_ut, id, flags);
+  if (result.flag < 0) {
+    throw new Error(result.error || 'Failed to calculate transiting body');
+  }
+  if (coordinate === 'speed') return result.data[3];
+  return coordinate === 'declination' ? result.data[1] : result.data[0];
+}
+
+/**
+ * Parse a date range local to a timezone
+ * @param {string} startDate - ISO start, local to timezone without offset
+ * @param {string} endDate - ISO end, local to timezone without offset
+ * @param {string} timezone - IANA timezone
+ * @param {number} maxDays - Longest range allowed
+ * @param {string} limitNote - Why the range is limited to maxDays, e.g. 'when the Moon is included'
+ * @returns {Object} { startJd, endJd } (Julian Days UT)
+ */
+function resolveRange(startDate, endDate, timezone, maxDays, limitNote) {
+  const start = DateTime.fromISO(startDate, { zone: timezone });
+  if (!start.isValid) {
+    throw new Error(`Invalid startDate: ${start.invalidReason}`);
+  }
+  const end = DateTime.fromISO(endDate, { zone: timezone });
+  if (!end.isValid) {
+    throw new Error(`Invalid endDate: ${end.invalidReason}`);
+  }
+
+  // Limits apply to the calendar span, UT Julian Days also differ by UT1-UTC
+  const days = (end.toMillis() - start.toMillis()) / 86400000;
+  if (!(days > 0)) {
+    throw new Error('endDate must be after startDate');
+  }
+  if (days > maxDays) {
+    throw new Error(`Date range is limited to ${maxDays} days${limitNote ? ` ${limitNote}` : ''}`);
+  }
+  return { startJd: sweph.jdFromDate(start.toJSDate()).ut, endJd: sweph.jdFromDate(end.toJSDate()).ut };
+}
+
+/**
+ * Longest date range searched for an aspect profile
+ * @param {Object} profile - Resolved aspect profile
+ * @param {boolean} withMoon - Whether the Moon is a transiting body
+ * @returns {Object} { maxDays, limitNote }, limitNote for resolveRange
+ */
+function getRangeLimit(profile, withMoon) {
+  const aspects = Object.keys(profile.orbs).length;
+  const maxDays = Math.floor((withMoon ? MAX_MOON_RANGE_DAYS : MAX_RANGE_DAYS) * Math.min(1, RANGE_ASPECTS / aspects));
+  const notes = [];
+  if (aspects > RANGE_ASPECTS) notes.push(`with ${aspects} aspects`);
+  if (withMoon) notes.push('when the Moon is included');
+  return { maxDays, limitNote: notes.length > 0 ? notes.join(' ') : undefined };
+}
+
+/**
+ * Sample times from startJd to endJd inclusive
+ */
+function sampleTimes(startJd, endJd, step) {
+  const times = [];
+  for (let t = startJd; t < endJd; t += step) times.push(t);
+  times.push(endJd);
+  return times;
+}
+
+/**
+ * Sample the longitude of a body from startJd to endJd, once for every search over the range
+ * Stations of STATION_BODIES become samples of their own, so their longitude only moves one way between two samples
+ * @param {Object} zodiac - Resolved zodiac
+ * @param {string} body - Body key, one of STEPS
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @returns {Object} { body, id, step, times, longitude, stations: [{ jd, direction, longitude }] }
+ */
+function sampleBody(zodiac, body, startJd, endJd) {
+  const id = PLANETS[body.toUpperCase()];
+  const withStations = STATION_BODIES.includes(body);
+  const flags = sweph.constants.SEFLG_SWIEPH | zodiac.flags | (withStations ? sweph.constants.SEFLG_SPEED : 0);
+  const position = jd => {
+    const result = zodiac.context.calc_ut(jd, id, flags);
+    if (result.flag < 0) {
+      throw new Error(result.error || 'Failed to calculate transiting body');
+    }
+    return result.data;
+  };
+
+  const times = [];
+  const longitude = [];
+  const stations = [];
+  let previous = null;
+  for (const t of sampleTimes(startJd, endJd, STEPS[body])) {
+    const data = position(t);
+    if (withStations && previous && previous.speed !== 0 && Math.sign(previous.speed) !== Math.sign(data[3])) {
+      const speed = jd => getCoordinate(zodiac, jd, id, 'speed');
+      const jd = refineRoot(speed, previous.t, t, previous.speed, data[3]);
+      const station = position(jd);
+      times.push(jd);
+      longitude.push(station[0]);
+      stations.push({ jd, direction: Math.sign(data[3] - previous.speed), longitude: station[0] });
+    }
+    times.push(t);
+    longitude.push(data[0]);
+    previous = { t, speed: data[3] };
+  }
+  return { body, id, step: STEPS[body], times, longitude, stations };
+}
+
+/**
+ * Sample transiting bodies over a range, padded for the passes of retrograde sequences beyond it
+ * @param {Object} zodiac - Resolved zodiac
+ * @param {Array<string>} bodies - Body keys, of STEPS
+ * @param {number} startJd - Start (Julian Day UT)
+ * @param {number} endJd - End (Julian Day UT)
+ * @returns {Object} Map of body key to the samples of sampleBody
+ */
+function sampleBodies(zodiac, bodies, startJd, endJd) {
+  const samples = {};
+  for (const body of bodies) {
+    const padding = SEQUENCE_PADDING_DAYS[body];
+    samples[body] = sampleBody(zodiac, body, startJd - padding, endJd + padding);
+  }
+  return samples;
+}
+
+/**
+ * Positions a transiting body must reach to make each aspect to a natal position
+ * Longitude aspects have a target on each side of the natal position (one for conjunction and opposition),
+ * parallels and contraparallels have the natal declination or its opposite
+ * @returns {Array<Object>} [{ aspect, coordinate, value }]
+ */
+function getTargets(aspect, natal) {
+  const { angle, type } = ASPECTS[aspect];
+  if (type === 'declination') {
+    if (typeof natal.declination !== 'number') return [];
+    const value = aspect === 'parallel' ? natal.declination : -natal.declination;
+    return [{ aspect, coordinate: 'declination', value }];
+  }
+
+  const values = angle === 0 || angle === 180
+    ? [natal.longitude + angle]
+    : [natal.longitude + angle, natal.longitude - angle];
+  return values.map(value => ({ aspect, coordinate: 'longitude', value: (value + 360) % 360 }));
+}
+
+/**
+ * Find the zero crossings of f between consecutive samples and refine those between startJd and endJd
+ * Crossings where f jumps (longitude wrapping at ±180°) are ignored. Crossings outside the range keep the
+ * time of the sample after them, which is enough to number passes.
+ * @param {Function} f - Offset from exactness at a Julian Day
+ * @param {Array<number>} times - Sample times
+ * @param {Array<number>} values - f at the sample times
+ * @param {number} startJd - Start of the crossings to refine (default all)
+ * @param {number} endJd - End of the crossings to refine (default all)
+ * @returns {Array<Object>} [{ jd, direction, sample }], direction 1 when f increases through zero,
+ *   -1 when it decreases, sample the index of the sample before the crossing
+ */
+function findRoots(f, times, values, startJd = -Infinity, endJd = Infinity) {
+  const roots = [];
+  for (let i = 0; i + 1 < times.length; i++) {
+    const fa = values[i];
+    const fb = values[i + 1];
+    if (Math.sign(fa) === Math.sign(fb) || fa === 0 || Math.abs(fa - fb) > 180) continue;
+    const inRange = times[i + 1] >= startJd && times[i] <= endJd;
+    const jd = fb === 0 || !inRange ? times[i + 1] : refineRoot(f, times[i], times[i + 1], fa, fb);
+    roots.push({ jd, direction: Math.sign(fb - fa), sample: i });
+  }
+  return roots;
+}
+
+/**
+ * Number the passes of each retrograde sequence
+ * Consecutive crossings of a longitude in opposite directions have a station between them and belong to
+ * the same sequence. Declination crossings always alternate, so each is a sequence of its own.
+ * @param {Array<Object>} roots - Crossings in time order
+ * @param {string} coordinate - 'longitude' or 'declination'
+ * @returns {Array<Object>} roots with pass and passes
+ */
+function numberPasses(roots, coordinate) {
+  const sequences = [];
+  roots.forEach((root, i) => {
+    if (i === 0 || coordinate === 'declination' || root.direction === roots[i - 1].direction) {
+      sequences.push([]);
+    }
+    sequences[sequences.length - 1].push(root);
+  });
+  return sequences.flatMap(sequence =>
+    sequence.map((root, i) => ({ ...root, pass: i + 1, passes: sequence.length })));
+}
+
+/**
+ * Root of f between a and b, where f(a) = fa and f(b) = fb have opposite signs
+ * Regula falsi with the Illinois modification, which needs far fewer evaluations than bisection.
+ * a may lie after b when searching backwards in time.
+ */
+function refineRoot(f, a, b, fa, fb) {
+  let side = 0;
+  for (let i = 0; i < 100 && Math.abs(b - a) > PRECISION_DAYS; i++) {
+    const c = b - fb * (b - a) / (fb - fa);
+    const fc = f(c);
+    if (fc === 0) return c;
+    if (Math.sign(fc) === Math.sign(fb)) {
+      b = c;
+      fb = fc;
+      // The same end kept twice, halve its value so the next point moves past the root
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else {
+      a = c;
+      fa = fc;
+      if (side === 1) fb /= 2;
+      side = 1;
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Follow the orb window around an exact hit until the offset exceeds the orb, over the samples
+ * and then stepping beyond them
+ * @param {Function} f - Offset from exactness
+ * @param {Object} root - Exact hit of findRoots
+ * @param {number} orb - Orb in degrees
+ * @param {Array<number>} times - Sample times
+ * @param {Array<number>} values - f at the sample times
+ * @param {number} step - Sampling step in days, negative to search backwards
+ * @returns {number|null} Julian Day of orb entry (step < 0) or exit (step > 0), null if beyond MAX_WINDOW_DAYS
+ */
+function findOrbBoundary(f, root, orb, times, values, step) {
+  const outside = t => Math.abs(f(t)) - orb;
+  let previous = root.jd;
+  let inside = -orb;
+  const direction = Math.sign(step);
+  for (let i = direction > 0 ? root.sample + 1 : root.sample; i >= 0 && i < times.length; i += direction) {
+    if (Math.abs(values[i]) > orb) {
+      return refineRoot(outside, previous, times[i], inside, Math.abs(values[i]) - orb);
+    }
+    previous = times[i];
+    inside = Math.abs(values[i]) - orb;
+  }
+  for (let t = previous + step; Math.abs(t - root.jd) <= MAX_WINDOW_DAYS; t += step) {
+    const value = outside(t);
+    if (value > 0) {
+      return refineRoot(outside, previous, t, inside, value);
+    }
+    previous = t;
+    inside = value;
+  }
+  return null;
+}
+
+/**
+ * Find exact transits of transiting bodies to natal positions in a date range
+ * @param {Object} natalPlanets - Map of natal body name to { longitude, declination? }
+ * @param {string} startDate - ISO start of the range, local to timezone without offset
+ * @param {string} endDate - ISO end of the range, local to timezone without offset
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone of the range and of local times (default 'UTC')
+ * @param {Array<string>} options.transitBodies - Transiting bodies (default all but the Moon)
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal', natal positions must use the same zodiac
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal positions
+ * @param {string} options.aspectProfile - Orb profile (default 'transits')
+ * @param {Array|Object} options.aspects - Custom aspect table
+ * @param {Object} options.samples - Samples of sampleBodies over the range, to share them with other searches
+ * @returns {Object} Hits sorted by exact time
+ */
+function findExactTransits(natalPlanets, startDate, endDate, options = {}) {
+  const { timezone = 'UTC', transitBodies = DEFAULT_BODIES } = options;
+  const zodiac = resolveZodiac(options);
+  const profile = resolveAspectProfile(options, 'transits');
+
+  const unknownBodies = transitBodies.filter(name => !Object.keys(STEPS).includes(name));
+  if (unknownBodies.length > 0) {
+    throw new Error(`Unknown transitBodies: ${unknownBodies.join(', ')}. Use any of: ${Object.keys(STEPS).join(', ')}`);
+  }
+  const { maxDays, limitNote } = getRangeLimit(profile, transitBodies.includes('moon'));
+  const { startJd, endJd } = resolveRange(startDate, endDate, timezone, maxDays, limitNote);
+
+  const natal = Object.entries(natalPlanets)
+    .filter(([, position]) => position && typeof position.longitude === 'number');
+  const coordinates = [...new Set(Object.keys(profile.orbs)
+    .map(aspect => (ASPECTS[aspect].type === 'declination' ? 'declination' : 'longitude')))];
+
+  const formatTime = jd => {
+    const { localTime, utcTime } = utcToLocal(jd, timezone);
+    return { jd, utc: utcTime, local: localTime };
+  };
+
+  const samples = options.samples || sampleBodies(zodiac, transitBodies, startJd, endJd);
+
+  const hits = [];
+  for (const body of transitBodies) {
+    const { id, step, times, longitude } = samples[body];
+    const values = {
+      longitude,
+      declination: coordinates.includes('declination') ? times.map(t => getCoordinate(zodiac, t, id, 'declination')) : null
+    };
+
+    for (const [natalName, natalPosition] of natal) {
+      for (const aspect of Object.keys(profile.orbs)) {
+        const orb = getOrb(profile, aspect, body, natalName);
+
+        for (const target of getTargets(aspect, natalPosition)) {
+          const offset = value => (target.coordinate === 'longitude' ? wrap(value - target.value) : value - target.value);
+          const f = t => offset(getCoordinate(zodiac, t, id, target.coordinate));
+          const offsets = values[target.coordinate].map(offset);
+          const roots = numberPasses(findRoots(f, times, offsets, startJd, endJd), target.coordinate)
+            .filter(root => root.jd >= startJd && root.jd <= endJd);
+
+          // Hits of one sequence often share an orb window
+          let window = null;
+          for (const hit of roots) {
+            const { jd: root, pass, passes } = hit;
+            if (!window || window.exit === null || root > window.exit) {
+              window = {
+                entry: findOrbBoundary(f, hit, orb, times, offsets, -step),
+                exit: findOrbBoundary(f, hit, orb, times, offsets, step)
+              };
+            }
+
+            const exactResult = zodiac.context.calc_ut(root, id, sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED | zodiac.flags);
+
+            hits.push({
+              transit: body,
+              natal: natalName,
+              aspect,
+              symbol: ASPECTS[aspect].symbol,
+              type: ASPECTS[aspect].type,
+              maxOrb: orb,
+              exact: formatTime(root),
+              transitLongitude: exactResult.data[0],
+              retrograde: exactResult.data[3] < 0,
+              pass,
+              passes,
+              orbEntry: window.entry === null ? null : formatTime(window.entry),
+              orbExit: window.exit === null ? null : formatTime(window.exit)
+            });
+          }
+        }
+      }
+    }
+  }
+
+  hits.sort((a, b) => a.exact.jd - b.exact.jd);
+
+  return {
+    range: { start: formatTime(startJd), end: formatTime(endJd) },
+    timezone,
+    zodiac: describeZodiac(zodiac, startJd),
+    aspectProfile: profile.name,
+    transitBodies,
+    count: hits.length,
+    hits
+  };
+}
+
+module.exports = {
+  DEFAULT_BODIES,
+  MAX_MOON_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  STEPS,
+  findExactTransits,
+  findRoots,
+  getCoordinate,
+  getRangeLimit,
+  resolveRange,
+  sampleBodies,
+  sampleBody,
+  sampleTimes,
+  wrap
+};
@@ -0,0 +1,349 @@
+/**
+ * Vedic (Jyotish) Chart Service
+ *
+ * Sidereal charts in the Parashari tradition:
+ * - The nine grahas (Sun to Saturn, Rahu and Ketu) with rashi and whole-sign house
+ * - Nakshatra, pada and nakshatra lord of each graha and of the lagna
+ * - Divisional charts (vargas) of the Shodasavarga, D1 to D60
+ */
+
+const sweph = require('sweph');
+const { getEphemerisUsed, getZodiacSign, resolveLocalTime, ZODIAC_SIGNS } = require('./calculator');
+const { describeZodiac, resolveZodiac } = require('./zodiac');
+
+const RASHIS = [
+  { name: 'Mesha', lord: 'mars' },
+  { name: 'Vrishabha', lord: 'venus' },
+  { name: 'Mithuna', lord: 'mercury' },
+  { name: 'Karka', lord: 'moon' },
+  { name: 'Simha', lord: 'sun' },
+  { name: 'Kanya', lord: 'mercury' },
+  { name: 'Tula', lord: 'venus' },
+  { name: 'Vrishchika', lord: 'mars' },
+  { name: 'Dhanu', lord: 'jupiter' },
+  { name: 'Makara', lord: 'saturn' },
+  { name: 'Kumbha', lord: 'saturn' },
+  { name: 'Meena', lord: 'jupiter' }
+];
+
+// Nakshatra lords repeat in this order from Ashwini, the sequence of the Vimshottari dasha
+const NAKSHATRA_LORDS = ['ketu', 'venus', 'sun', 'moon', 'mars', 'rahu', 'jupiter', 'saturn', 'mercury'];
+
+const NAKSHATRAS = [
+  'Ashwini', 'Bharani', 'Krittika', 'Rohini', 'Mrigashira', 'Ardra', 'Punarvasu', 'Pushya', 'Ashlesha',
+  'Magha', 'Purva Phalguni', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Swati', 'Vishakha', 'Anuradha', 'Jyeshtha',
+  'Mula', 'Purva Ashadha', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Purva Bhadrapada',
+  'Uttara Bhadrapada', 'Revati'
+].map((name, index) => ({ name, lord: NAKSHATRA_LORDS[index % 9] }));
+
+// 13°20' per nakshatra, 3°20' per pada
+const NAKSHATRA_SPAN = 360 / 27;
+const PADA_SPAN = NAKSHATRA_SPAN / 4;
+
+// Rahu is calculated, Ketu is always opposite
+const GRAHAS = {
+  sun: sweph.constants.SE_SUN,
+  moon: sweph.constants.SE_MOON,
+  mars: sweph.constants.SE_MARS,
+  mercury: sweph.constants.SE_MERCURY,
+  jupiter: sweph.constants.SE_JUPITER,
+  venus: sweph.constants.SE_VENUS,
+  saturn: sweph.constants.SE_SATURN,
+  rahu: null
+};
+
+const NODE_TYPES = {
+  mean: sweph.constants.SE_MEAN_NODE,
+  true: sweph.constants.SE_TRUE_NODE
+};
+
+// Sign index by English name, e.g. SIGN.Leo === 4
+const SIGN = Object.fromEntries(ZODIAC_SIGNS.map((name, index) => [name, index]));
+
+const isOddSign = sign => sign % 2 === 0;
+
+// Movable (0), fixed (1) or dual (2) sign
+const modality = sign => sign % 3;
+
+// Part of the sign a position falls in when the sign is divided into `parts` equal parts
+const part = (degrees, parts) => Math.min(Math.floor(degrees / (30 / parts)), parts - 1);
+
+// Trimsamsa (D30) divisions as [end degree, sign], for odd and even signs
+const TRIMSAMSA = {
+  odd: [[5, SIGN.Aries], [10, SIGN.Aquarius], [18, SIGN.Sagittarius], [25, SIGN.Gemini], [30, SIGN.Libra]],
+  even: [[5, SIGN.Taurus], [12, SIGN.Virgo], [20, SIGN.Pisces], [25, SIGN.Capricorn], [30, SIGN.Scorpio]]
+};
+
+/**
+ * Divisional charts of the Shodasavarga, following Brihat Parashara Hora Shastra
+ * Each calculate function maps a sign index and degrees within the sign to the varga sign index
+ */
+const VARGAS = {
+  D1: { name: 'Rashi', calculate: sign => sign },
+  D2: {
+    name: 'Hora',
+    calculate: (sign, degrees) => (isOddSign(sign) === (degrees < 15) ? SIGN.Leo : SIGN.Cancer)
+  },
+  D3: { name: 'Drekkana', calculate: (sign, degrees) => sign + part(degrees, 3) * 4 },
+  D4: { name: 'Chaturthamsa', calculate: (sign, degrees) => sign + part(degrees, 4) * 3 },
+  D7: {
+    name: 'Saptamsa',
+    calculate: (sign, degrees) => sign + (isOddSign(sign) ? 0 : 6) + part(degrees, 7)
+  },
+  D9: { name: 'Navamsa', calculate: (sign, degrees) => sign * 9 + part(degrees, 9) },
+  D10: {
+    name: 'Dasamsa',
+    calculate: (sign, degrees) => sign + (isOddSign(sign) ? 0 : 8) + part(degrees, 10)
+  },
+  D12: { name: 'Dwadasamsa', calculate: (sign, degrees) => sign + part(degrees, 12) },
+  D16: {
+    name: 'Shodasamsa',
+    calculate: (sign, degrees) => [SIGN.Aries, SIGN.Leo, SIGN.Sagittarius][modality(sign)] + part(degrees, 16)
+  },
+  D20: {
+    name: 'Vimsamsa',
+    calculate: (sign, degrees) => [SIGN.Aries, SIGN.Sagittarius, SIGN.Leo][modality(sign)] + part(degrees, 20)
+  },
+  D24: {
+    name: 'Chaturvimsamsa',
+    calculate: (sign, degrees) => (isOddSign(sign) ? SIGN.Leo : SIGN.Cancer) + part(degrees, 24)
+  },
+  D27: {
+    name: 'Saptavimsamsa',
+    calculate: (sign, degrees) => [SIGN.Aries, SIGN.Cancer, SIGN.Libra, SIGN.Capricorn][sign % 4] + part(degrees, 27)
+  },
+  D30: {
+    name: 'Trimsamsa',
+    calculate: (sign, degrees) => {
+      const divisions = isOddSign(sign) ? TRIMSAMSA.odd : TRIMSAMSA.even;
+      return divisions.find(([end]) => degrees < end)[1];
+    }
+  },
+  D40: {
+    name: 'Khavedamsa',
+    calculate: (sign, degrees) => (isOddSign(sign) ? SIGN.Aries : SIGN.Libra) + part(degrees, 40)
+  },
+  D45: {
+    name: 'Akshavedamsa',
+    calculate: (sign, degrees) => [SIGN.Aries, SIGN.Leo, SIGN.Sagittarius][modality(sign)] + part(degrees, 45)
+  },
+  D60: { name: 'Shashtiamsa', calculate: (sign, degrees) => sign + part(degrees, 60) }
+};
+
+const DEFAULT_VARGAS = ['D1', 'D9', 'D10'];
+
+/**
+ * Get the rashi (sidereal sign) of a longitude
+ * @param {number} longitude - Sidereal longitude
+ * @returns {Object} { rashi, rashiLord, sign, degrees, minutes, longitude }
+ */
+function getRashi(longitude) {
+  const position = getZodiacSign(longitude);
+  const rashi = RASHIS[Math.floor(position.longitude / 30)];
+  return { rashi: rashi.name, rashiLord: rashi.lord, ...position };
+}
+
+/**
+ * Get the nakshatra and pada of a longitude
+ * @param {number} longitude - Sidereal longitude
+ * @returns {Object} { number, name, lord, pada, degreesInNakshatra, fraction }
+ *   fraction is the part of the nakshatra already traversed (0-1)
+ */
+function getNakshatra(longitude) {
+  const normalized = ((longitude % 360) + 360) % 360;
+  const index = Math.min(Math.floor(normalized / NAKSHATRA_SPAN), 26);
+  const degreesInNakshatra = normalized - index * NAKSHATRA_SPAN;
+
+  return {
+    number: index + 1,
+    name: NAKSHATRAS[index].name,
+    lord: NAKSHATRAS[index].lord,
+    pada: Math.min(Math.floor(degreesInNakshatra / PADA_SPAN), 3) + 1,
+    degreesInNakshatra,
+    fraction: degreesInNakshatra / NAKSHATRA_SPAN
+  };
+}
+
+/**
+ * Get the sign of a longitude in a divisional chart
+ * @param {number} longitude - Sidereal longitude
+ * @param {string} varga - Varga key, e.g. 'D9'
+ * @returns {number} Sign index (0 = Aries)
+ */
+function getVargaSign(longitude, varga) {
+  const normalized = ((longitude % 360) + 360) % 360;
+  const sign = Math.min(Math.floor(normalized / 30), 11);
+  return VARGAS[varga].calculate(sign, normalized - sign * 30) % 12;
+}
+
+/**
+ * Build a divisional chart from the lagna and graha longitudes
+ * Houses are whole signs counted from the varga lagna
+ * @param {string} varga - Varga key, e.g. 'D9'
+ * @param {number} lagna - Sidereal ascendant longitude
+ * @param {Object} grahas - Map of graha name to { longitude }
+ * @returns {Object} { name, lagna, grahas, houses }
+ */
+function calculateVarga(varga, lagna, grahas) {
+  const lagnaSign = getVargaSign(lagna, varga);
+  const describe = sign => ({
+    sign: ZODIAC_SIGNS[sign],
+    rashi: RASHIS[sign].name,
+    rashiLord: RASHIS[sign].lord,
+    house: ((sign - lagnaSign + 12) % 12) + 1
+  });
+
+  const placements = {};
+  for (const [name, graha] of Object.entries(grahas)) {
+    placements[name] = describe(getVargaSign(graha.longitude, varga));
+  }
+
+  const houses = Array.from({ length: 12 }, (_, i) => {
+    const sign = (lagnaSign + i) % 12;
+    return {
+      ...describe(sign),
+      grahas: Object.keys(placements).filter(name => placements[name].house === i + 1)
+    };
+  });
+
+  return {
+    name: VARGAS[varga].name,
+    lagna: describe(lagnaSign),
+    grahas: placements,
+    houses
+  };
+}
+
+/**
+ * Calculate a Vedic birth chart
+ * @param {number} year - Birth year
+ * @param {number} month - Birth month (1-12)
+ * @param {number} day - Birth day
+ * @param {number} hour - Birth hour (0-23, local time)
+ * @param {number} minute - Birth minute
+ * @param {number} latitude - Birth latitude
+ * @param {number} longitude - Birth longitude
+ * @param {string} timezone - IANA timezone (e.g., 'Asia/Kolkata')
+ * @param {Object} options
+ * @param {string|number} options.ayanamsa - Ayanamsa (default 'lahiri')
+ * @param {string} options.node - 'mean' (default) or 'true' lunar node for Rahu and Ketu
+ * @param {string[]} options.vargas - Divisional charts to calculate (default D1, D9, D10)
+ * @param {string} options.timeStandard - 'zone' (default), 'LMT' or 'LAT'
+ * @param {string} options.dstResolution - 'earlier' or 'later' for local times in a DST gap or overlap
+ * @returns {Object} Vedic chart data
+ */
+function calculateVedicChart(year, month, day, hour, minute, latitude, longitude, timezone = 'UTC', options = {}) {
+  const {
+    ayanamsa,
+    node = 'mean',
+    vargas = DEFAULT_VARGAS,
+    timeStandard = 'zone',
+    dstResolution
+  } = options;
+
+  if (!Object.keys(NODE_TYPES).includes(node)) {
+    throw new Error(`Invalid node: ${node}. Use one of: ${Object.keys(NODE_TYPES).join(', ')}`);
+  }
+  const unknownVargas = vargas.filter(varga => !Object.keys(VARGAS).includes(varga));
+  if (unknownVargas.length > 0) {
+    throw new Error(`Unknown vargas: ${unknownVargas.join(', ')}. Use any of: ${Object.keys(VARGAS).join(', ')}`);
+  }
+
+  const zodiac = resolveZodiac({ zodiac: 'sidereal', ayanamsa });
+  const utc = resolveLocalTime(year, month, day, hour, minute, longitude, timezone, timeStandard, dstResolution);
+
+  const jdResult = sweph.utc_to_jd(
+    utc.year, utc.month, utc.day,
+    utc.hour, utc.minute, utc.second,
+    sweph.constants.SE_GREG_CAL
+  );
+  if (jdResult.flag !== sweph.constants.OK) {
+    throw new Error(jdResult.error || 'Failed to calculate Julian Day');
+  }
+  const [jd_et, jd_ut] = jdResult.data;
+
+  // Sidereal lagna from whole-sign houses
+  const houses = zodiac.ephemeris.houses(jd_ut, latitude, longitude, 'W', sweph.constants.SEFLG_SWIEPH | zodiac.flags);
+  const lagna = houses.ascendant;
+
+  const flags = sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED | zodiac.flags;
+  const names = Object.keys(GRAHAS);
+  const bodies = names.map(name => (name === 'rahu' ? NODE_TYPES[node] : GRAHAS[name]));
+  const batch = zodiac.context.calc_batch([jd_et], bodies, flags);
+
+  const lagnaSign = Math.floor(lagna / 30);
+  const describe = (lng, speed, ephemerisUsed) => {
+    const rashi = getRashi(lng);
+    return {
+      ...rashi,
+      speed,
+      retrograde: speed < 0,
+      house: ((Math.floor(rashi.longitude / 30) - lagnaSign + 12) % 12) + 1,
+      nakshatra: getNakshatra(lng),
+      ephemerisUsed
+    };
+  };
+
+  const grahas = {};
+  names.forEach((name, i) => {
+    if (batch.flags[i] < 0) {
+      console.warn(`Warning: Could not calculate ${name}: ${batch.errors[i]}`);
+      return;
+    }
+    grahas[name] = describe(batch.data[i * 6], batch.data[i * 6 + 3], getEphemerisUsed(batch.flags[i]));
+  });
+
+  if (grahas.rahu) {
+    grahas.ketu = describe((grahas.rahu.longitude + 180) % 360, grahas.rahu.speed, grahas.rahu.ephemerisUsed);
+  }
+
+  const divisional = {};
+  for (const varga of vargas) {
+    divisional[varga] = calculateVarga(varga, lagna, grahas);
+  }
+
+  return {
+    input: {
+      localTime: {
+        year, month, day, hour, minute,
+        timezone: timeStandard === 'zone' ? timezone : timeStandard,
+        timeStandard,
+        iso: utc.localTime
+      },
+      utcTime: {
+        year: utc.year,
+        month: utc.month,
+        day: utc.day,
+        hour: utc.hour,
+        minute: utc.minute,
+        iso: utc.utcTime
+      },
+      location: { latitude, longitude },
+      houseSystem: 'Whole Sign',
+      zodiac: describeZodiac(zodiac, jd_ut),
+      node,
+      julianDay: { et: jd_et, ut: jd_ut }
+    },
+    lagna: {
+      ...getRashi(lagna),
+      nakshatra: getNakshatra(lagna)
+    },
+    grahas,
+    vargas: divisional,
+    warnings: utc.warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_VARGAS,
+  NAKSHATRA_LORDS,
+  NAKSHATRAS,
+  NODE_TYPES,
+  RASHIS,
+  VARGAS,
+  calculateVarga,
+  calculateVedicChart,
+  getNakshatra,
+  getRashi,
+  getVargaSign
+};
@@ -0,0 +1,119 @@
+/**
+ * Zodiac Service
+ *
+ * Resolves tropical/sidereal zodiac options for chart calculations:
+ * - Lists every ayanamsa (SE_SIDM_* constant) with its Swiss Ephemeris name
+ * - Resolves an ayanamsa given by key, constant name, display name or ID
+ * - Provides isolated calculation contexts per ayanamsa, so concurrent requests
+ *   with different ayanamsas don't affect each other
+ */
+
+const sweph = require('sweph');
+
+const ZODIACS = ['tropical', 'sidereal'];
+const DEFAULT_AYANAMSA = 'lahiri';
+
+// Every predefined ayanamsa, SE_SIDM_USER needs custom parameters and is excluded
+const AYANAMSAS = Object.entries(sweph.constants)
+  .filter(([constant]) => constant.startsWith('SE_SIDM_') && constant !== 'SE_SIDM_USER')
+  .map(([constant, id]) => ({
+    id,
+    key: constant.replace('SE_SIDM_', '').toLowerCase(),
+    constant,
+    name: sweph.get_ayanamsa_name(id)
+  }))
+  .sort((a, b) => a.id - b.id);
+
+// Calculation contexts are created once per ayanamsa
+const contexts = new Map();
+const tropical = { context: sweph, ephemeris: new sweph.Ephemeris() };
+
+/**
+ * Find an ayanamsa by key ('lahiri'), constant ('SE_SIDM_LAHIRI'), name ('Lahiri') or ID (1)
+ * Dashes and spaces are treated as underscores, so 'fagan-bradley' matches 'fagan_bradley'
+ * @param {string|number} value
+ * @returns {Object|undefined} Ayanamsa entry
+ */
+function findAyanamsa(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return AYANAMSAS.find(a => a.id === Number(value));
+  }
+  const normalized = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return AYANAMSAS.find(a =>
+    a.key === normalized ||
+    a.constant.toLowerCase() === normalized ||
+    a.name.toLowerCase().replace(/[\s-]+/g, '_') === normalized
+  );
+}
+
+/**
+ * Resolve zodiac options into calculation flags and a context
+ * @param {Object} options
+ * @param {string} options.zodiac - 'tropical' (default) or 'sidereal'
+ * @param {string|number} options.ayanamsa - Ayanamsa for sidereal charts (default 'lahiri')
+ * @returns {Object} { zodiac, ayanamsa, flags, context, ephemeris }
+ */
+function resolveZodiac({ zodiac = 'tropical', ayanamsa } = {}) {
+  if (!ZODIACS.includes(zodiac)) {
+    throw new Error(`Invalid zodiac: ${zodiac}. Use one of: ${ZODIACS.join(', ')}`);
+  }
+
+  if (zodiac === 'tropical') {
+    if (ayanamsa !== undefined) {
+      throw new Error('ayanamsa can only be used with zodiac \'sidereal\'');
+    }
+    return { zodiac, ayanamsa: null, flags: 0, ...tropical };
+  }
+
+  const entry = findAyanamsa(ayanamsa === undefined ? DEFAULT_AYANAMSA : ayanamsa);
+  if (!entry) {
+    throw new Error(`Unknown ayanamsa: ${ayanamsa}. See GET /api/v1/ayanamsas`);
+  }
+
+  if (!contexts.has(entry.id)) {
+    const settings = { sidMode: entry.id };
+    contexts.set(entry.id, {
+      context: sweph.createContext(settings),
+      ephemeris: new sweph.Ephemeris(settings)
+    });
+  }
+
+  return {
+    zodiac,
+    ayanamsa: entry,
+    flags: sweph.constants.SEFLG_SIDEREAL,
+    ...contexts.get(entry.id)
+  };
+}
+
+/**
+ * Describe the zodiac used for a calculation, including the ayanamsa value at that time
+ * @param {Object} resolved - Result of resolveZodiac
+ * @param {number} jd_ut - Julian Day in universal time
+ * @returns {Object} { type, ayanamsa: { id, key, name, value } | null }
+ */
+function describeZodiac(resolved, jd_ut) {
+  if (!resolved.ayanamsa) {
+    return { type: resolved.zodiac, ayanamsa: null };
+  }
+
+  const result = resolved.context.get_ayanamsa_ex_ut(jd_ut, sweph.constants.SEFLG_SWIEPH);
+  if (result.flag < 0) {
+    throw new Error(result.error || 'Failed to calculate ayanamsa');
+  }
+
+  const { id, key, name } = resolved.ayanamsa;
+  return {
+    type: resolved.zodiac,
+    ayanamsa: { id, key, name, value: result.data }
+  };
+}
+
+module.exports = {
+  AYANAMSAS,
+  DEFAULT_AYANAMSA,
+  ZODIACS,
+  describeZodiac,
+  findAyanamsa,
+  resolveZodiac
+};
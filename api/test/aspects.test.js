@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findAspects, getAspectMotion, resolveAspectProfile } = require('../services/aspects');
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+test('a faster body approaching an aspect is applying', () => {
+  const motion = getAspectMotion('conjunction', { longitude: 355, speed: 1 }, { longitude: 0, speed: 0 });
+  assert.strictEqual(motion.applying, true);
+  assert.ok(near(motion.daysUntilExact, 5));
+  assert.strictEqual(motion.daysSinceExact, null);
+});
+
+test('a faster body past an aspect is separating', () => {
+  const motion = getAspectMotion('square', { longitude: 95, speed: 1 }, { longitude: 0, speed: 0 });
+  assert.strictEqual(motion.applying, false);
+  assert.strictEqual(motion.daysUntilExact, null);
+  assert.ok(near(motion.daysSinceExact, 5));
+});
+
+test('a retrograde body reverses applying and separating', () => {
+  const motion = getAspectMotion('square', { longitude: 95, speed: -0.5 }, { longitude: 0, speed: 0 });
+  assert.strictEqual(motion.applying, true);
+  assert.ok(near(motion.daysUntilExact, 10));
+});
+
+test('days to exact use the speeds of both bodies', () => {
+  // The gap of 6 degrees to the trine closes at 1.5 - 0.5 = 1 degree a day
+  const motion = getAspectMotion('trine', { longitude: 234, speed: 1.5 }, { longitude: 120, speed: 0.5 });
+  assert.strictEqual(motion.applying, true);
+  assert.ok(near(motion.daysUntilExact, 6));
+});
+
+test('the separation is measured across 0 Aries', () => {
+  // 185 is 175 degrees behind 0 and the separation shrinks, so the opposition is past
+  const past = getAspectMotion('opposition', { longitude: 185, speed: 1 }, { longitude: 0, speed: 0 });
+  assert.strictEqual(past.applying, false);
+  assert.ok(near(past.daysSinceExact, 5));
+
+  const coming = getAspectMotion('opposition', { longitude: 175, speed: 1 }, { longitude: 0, speed: 0 });
+  assert.strictEqual(coming.applying, true);
+  assert.ok(near(coming.daysUntilExact, 5));
+});
+
+test('declination aspects use the declination speeds', () => {
+  const parallel = getAspectMotion('parallel',
+    { declination: 20, declinationSpeed: 0.1 }, { declination: 19, declinationSpeed: 0 });
+  assert.strictEqual(parallel.applying, false);
+  assert.ok(near(parallel.daysSinceExact, 10));
+
+  const contraparallel = getAspectMotion('contraparallel',
+    { declination: 20, declinationSpeed: -0.1 }, { declination: -19.5, declinationSpeed: 0 });
+  assert.strictEqual(contraparallel.applying, true);
+  assert.ok(near(contraparallel.daysUntilExact, 5));
+});
+
+test('motion is unknown without speeds or when the orb does not change', () => {
+  const unknown = { applying: null, daysUntilExact: null, daysSinceExact: null };
+  assert.deepStrictEqual(getAspectMotion('conjunction', { longitude: 2 }, { longitude: 0, speed: 0 }), unknown);
+  assert.deepStrictEqual(getAspectMotion('conjunction', { longitude: 2, speed: 1 }, { longitude: 0, speed: 1 }), unknown);
+  assert.deepStrictEqual(getAspectMotion('parallel', { declination: 20, speed: 1 }, { declination: 19, speed: 0 }), unknown);
+});
+
+test('findAspects reports the motion of each aspect', () => {
+  const profile = resolveAspectProfile({ aspects: ['sextile'] });
+  const [found] = findAspects({ mars: { longitude: 58, speed: 0.5 } }, { sun: { longitude: 0, speed: 0 } }, profile);
+  assert.strictEqual(found.aspect, 'sextile');
+  assert.strictEqual(found.applying, true);
+  assert.ok(near(found.daysUntilExact, 4));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AmbiguousLocalTimeError, localToUTC } = require('../services/calculator');
+
+test('a time in the spring-forward gap throws with both readings', () => {
+  assert.throws(() => localToUTC(2024, 3, 10, 2, 30, 'America/New_York'), error => {
+    assert.ok(error instanceof AmbiguousLocalTimeError);
+    assert.strictEqual(error.kind, 'gap');
+    assert.deepStrictEqual(error.options.map(option => [option.dstResolution, option.utcOffset, option.utcTime]), [
+      ['earlier', -4, '2024-03-10T06:30:00.000Z'],
+      ['later', -5, '2024-03-10T07:30:00.000Z']
+    ]);
+    return true;
+  });
+});
+
+test('dstResolution picks an instant in the spring-forward gap', () => {
+  const earlier = localToUTC(2024, 3, 10, 2, 30, 'America/New_York', 'earlier');
+  assert.strictEqual(earlier.utcTime, '2024-03-10T06:30:00.000Z');
+  assert.deepStrictEqual(earlier.dst, { kind: 'gap', resolution: 'earlier' });
+
+  const later = localToUTC(2024, 3, 10, 2, 30, 'America/New_York', 'later');
+  assert.strictEqual(later.utcTime, '2024-03-10T07:30:00.000Z');
+  assert.deepStrictEqual(later.dst, { kind: 'gap', resolution: 'later' });
+});
+
+test('a time in the fall-back overlap throws unless dstResolution picks an offset', () => {
+  assert.throws(() => localToUTC(2024, 11, 3, 1, 30, 'America/New_York'), error => {
+    assert.ok(error instanceof AmbiguousLocalTimeError);
+    assert.strictEqual(error.kind, 'overlap');
+    assert.deepStrictEqual(error.options.map(option => option.utcOffset), [-4, -5]);
+    return true;
+  });
+
+  const earlier = localToUTC(2024, 11, 3, 1, 30, 'America/New_York', 'earlier');
+  assert.strictEqual(earlier.utcOffset, -4);
+  assert.strictEqual(earlier.utcTime, '2024-11-03T05:30:00.000Z');
+  assert.deepStrictEqual(earlier.dst, { kind: 'overlap', resolution: 'earlier' });
+
+  const later = localToUTC(2024, 11, 3, 1, 30, 'America/New_York', 'later');
+  assert.strictEqual(later.utcOffset, -5);
+  assert.strictEqual(later.utcTime, '2024-11-03T06:30:00.000Z');
+  assert.deepStrictEqual(later.dst, { kind: 'overlap', resolution: 'later' });
+});
+
+test('a half-hour zone converts with its fractional offset', () => {
+  const utc = localToUTC(2024, 6, 15, 14, 30, 'Asia/Kolkata');
+  assert.strictEqual(utc.utcOffset, 5.5);
+  assert.strictEqual(utc.utcTime, '2024-06-15T09:00:00.000Z');
+  assert.strictEqual(utc.localTime, '2024-06-15T14:30:00+05:30');
+  assert.strictEqual(utc.dst, null);
+
+  // dstResolution is ignored when the time is unambiguous
+  assert.strictEqual(localToUTC(2024, 6, 15, 14, 30, 'Asia/Kolkata', 'later').utcTime, utc.utcTime);
+});
+
+test('historical offsets follow the zone history', () => {
+  // New York kept Local Mean Time, 4:56:02 behind Greenwich, until standard time at noon on 18 November 1883
+  const lmt = localToUTC(1850, 1, 1, 12, 0, 'America/New_York');
+  assert.strictEqual(lmt.utcTime, '1850-01-01T16:56:02.000Z');
+  assert.ok(Math.abs(lmt.utcOffset + (4 + 56 / 60 + 2 / 3600)) < 1e-9);
+
+  assert.throws(() => localToUTC(1883, 11, 18, 12, 0, 'America/New_York'), { kind: 'overlap' });
+
+  const standard = localToUTC(1883, 11, 19, 12, 0, 'America/New_York');
+  assert.strictEqual(standard.utcOffset, -5);
+  assert.strictEqual(standard.utcTime, '1883-11-19T17:00:00.000Z');
+});
+
+test('invalid dates and dstResolution values are rejected', () => {
+  assert.throws(() => localToUTC(2024, 2, 30, 12, 0, 'UTC'), /Invalid date\/time/);
+  assert.throws(() => localToUTC(2024, 11, 3, 1, 30, 'America/New_York', 'first'), /Invalid dstResolution/);
+  assert.throws(() => localToUTC(2024, 6, 15, 12, 0, 'Bad/Zone'), /Invalid timezone/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sweph = require('sweph');
+const { ASPECTS } = require('../services/aspects');
+const { findExactTransits, wrap } = require('../services/transit-timing');
+
+const NATAL_LONGITUDE = 100;
+
+// Distance of a transiting body from exact aspect to the natal point, straight from sweph.calc_ut
+function offsetFromExact(jd, body, aspect) {
+  const longitude = sweph.calc_ut(jd, sweph.constants[`SE_${body.toUpperCase()}`], sweph.constants.SEFLG_SWIEPH).data[0];
+  return Math.abs(Math.abs(wrap(longitude - NATAL_LONGITUDE)) - ASPECTS[aspect].angle);
+}
+
+test('orb entry and exit lie on the orb boundary', () => {
+  const { hits } = findExactTransits({ sun: { longitude: NATAL_LONGITUDE } }, '2024-01-01T00:00:00', '2024-12-31T00:00:00', {
+    transitBodies: ['sun', 'mars']
+  });
+  const windows = hits.filter(hit => hit.type !== 'declination' && hit.orbEntry && hit.orbExit);
+  assert.ok(windows.length > 0);
+
+  for (const hit of windows) {
+    const label = `${hit.transit} ${hit.aspect} ${hit.exact.utc}`;
+    assert.ok(hit.orbEntry.jd < hit.exact.jd && hit.exact.jd < hit.orbExit.jd, label);
+    assert.ok(Math.abs(offsetFromExact(hit.orbEntry.jd, hit.transit, hit.aspect) - hit.maxOrb) < 1e-4, `entry of ${label}`);
+    assert.ok(Math.abs(offsetFromExact(hit.orbExit.jd, hit.transit, hit.aspect) - hit.maxOrb) < 1e-4, `exit of ${label}`);
+  }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ZODIAC_SIGNS } = require('../services/calculator');
+const { getVargaSign } = require('../services/vedic');
+
+// Sign name of a position given as sign name and degrees within the sign
+function varga(sign, degrees, key) {
+  return ZODIAC_SIGNS[getVargaSign(ZODIAC_SIGNS.indexOf(sign) * 30 + degrees, key)];
+}
+
+test('D1 is the rashi', () => {
+  assert.strictEqual(varga('Scorpio', 29.9, 'D1'), 'Scorpio');
+});
+
+test('D2 hora gives Leo to the Sun halves and Cancer to the Moon halves', () => {
+  assert.strictEqual(varga('Aries', 10, 'D2'), 'Leo');
+  assert.strictEqual(varga('Aries', 20, 'D2'), 'Cancer');
+  assert.strictEqual(varga('Taurus', 10, 'D2'), 'Cancer');
+  assert.strictEqual(varga('Taurus', 20, 'D2'), 'Leo');
+});
+
+test('D3 drekkanas run through the signs of the same element', () => {
+  assert.deepStrictEqual([5, 15, 25].map(degrees => varga('Aries', degrees, 'D3')), ['Aries', 'Leo', 'Sagittarius']);
+});
+
+test('D9 navamsas start from the movable sign of the element', () => {
+  assert.strictEqual(varga('Aries', 0, 'D9'), 'Aries');
+  assert.strictEqual(varga('Aries', 29.9, 'D9'), 'Sagittarius');
+  assert.strictEqual(varga('Taurus', 0, 'D9'), 'Capricorn');
+  assert.strictEqual(varga('Gemini', 0, 'D9'), 'Libra');
+  assert.strictEqual(varga('Cancer', 0, 'D9'), 'Cancer');
+  assert.strictEqual(varga('Leo', 3.5, 'D9'), 'Taurus');
+});
+
+test('D7 and D10 count from the sign in odd signs and later in even signs', () => {
+  assert.strictEqual(varga('Aries', 0, 'D7'), 'Aries');
+  assert.strictEqual(varga('Taurus', 0, 'D7'), 'Scorpio');
+  assert.strictEqual(varga('Aries', 0, 'D10'), 'Aries');
+  assert.strictEqual(varga('Taurus', 0, 'D10'), 'Capricorn');
+  assert.strictEqual(varga('Taurus', 29.9, 'D10'), 'Libra');
+});
+
+test('D16, D20 and D45 start from the sign set by the modality', () => {
+  assert.deepStrictEqual(['Aries', 'Taurus', 'Gemini'].map(sign => varga(sign, 0, 'D16')), ['Aries', 'Leo', 'Sagittarius']);
+  assert.deepStrictEqual(['Aries', 'Taurus', 'Gemini'].map(sign => varga(sign, 0, 'D20')), ['Aries', 'Sagittarius', 'Leo']);
+  assert.deepStrictEqual(['Aries', 'Taurus', 'Gemini'].map(sign => varga(sign, 0, 'D45')), ['Aries', 'Leo', 'Sagittarius']);
+});
+
+test('D30 trimsamsas have unequal divisions', () => {
+  assert.deepStrictEqual([2, 7, 15, 20, 27].map(degrees => varga('Aries', degrees, 'D30')),
+    ['Aries', 'Aquarius', 'Sagittarius', 'Gemini', 'Libra']);
+  assert.deepStrictEqual([2, 7, 15, 22, 27].map(degrees => varga('Taurus', degrees, 'D30')),
+    ['Taurus', 'Virgo', 'Pisces', 'Capricorn', 'Scorpio']);
+});
+
+test('D60 shashtiamsas are half a degree', () => {
+  assert.strictEqual(varga('Aries', 0.4, 'D60'), 'Aries');
+  assert.strictEqual(varga('Aries', 0.6, 'D60'), 'Taurus');
+  assert.strictEqual(varga('Aries', 29.9, 'D60'), 'Pisces');
+});
+
+test('longitudes are normalized before the division', () => {
+  assert.strictEqual(getVargaSign(360, 'D9'), getVargaSign(0, 'D9'));
+  assert.strictEqual(getVargaSign(-1, 'D9'), getVargaSign(359, 'D9'));
+});
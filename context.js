@@ -0,0 +1,149 @@
+"use strict";
+
+const sweph = require("./build/Release/sweph.node");
+const constants = require("./constants.js");
+
+/*
+	The swiss ephemeris keeps its settings in process-wide state. To let contexts apply their own settings
+	around each call, the native setters are wrapped to keep track of the settings chosen by the user
+	(the global settings) and of the settings currently active in the library (the applied settings).
+*/
+
+const defaults = {
+	ephePath: null,
+	jplFile: constants.SE_FNAME_DFT,
+	sidMode: [constants.SE_SIDM_FAGAN_BRADLEY, 0, 0],
+	topo: [0, 0, 0],
+	tidAcc: constants.SE_TIDAL_AUTOMATIC,
+	deltaT: constants.SE_DELTAT_AUTOMATIC
+};
+
+const native = {
+	close: sweph.close,
+	set_ephe_path: sweph.set_ephe_path,
+	set_jpl_file: sweph.set_jpl_file,
+	set_sid_mode: sweph.set_sid_mode,
+	set_topo: sweph.set_topo,
+	set_tid_acc: sweph.set_tid_acc,
+	set_delta_t_userdef: sweph.set_delta_t_userdef
+};
+
+// ordered, the ephemeris path must be set first since it closes all open files
+const setters = {
+	ephePath: value => native.set_ephe_path(value),
+	jplFile: value => native.set_jpl_file(value),
+	sidMode: value => native.set_sid_mode(...value),
+	topo: value => native.set_topo(...value),
+	tidAcc: value => native.set_tid_acc(value),
+	deltaT: value => native.set_delta_t_userdef(value)
+};
+
+const excluded = new Set([
+	"async",
+	"close",
+	"createContext",
+	"dateFromJd",
+	"Ephemeris",
+	"jdFromDate",
+	"jdFromISO",
+	"setStrict",
+	"SwephError",
+	"SwephCalculationError",
+	"SwephEphemerisFileError",
+	...Object.keys(native)
+]);
+
+let globalSettings = { ...defaults };
+let appliedSettings = { ...defaults };
+
+const same = (a, b) => (Array.isArray(a) && Array.isArray(b) ? a.every((x, i) => x === b[i]) : a === b);
+
+const apply = settings => {
+	for(const key of Object.keys(setters)) {
+		if(!same(appliedSettings[key], settings[key])) {
+			setters[key](settings[key]);
+			appliedSettings[key] = settings[key];
+		}
+	}
+};
+
+const bind = (fn, settings) => (...args) => {
+	apply({
+		...globalSettings,
+		...settings
+	});
+	try {
+		return fn(...args);
+	} finally {
+		apply(globalSettings);
+	}
+};
+
+const track = (key, fn) => (...args) => {
+	fn(...args);
+	const value = args.length > 1 ? args.slice(0, 3) : args[0];
+	globalSettings[key] = value;
+	appliedSettings[key] = value;
+};
+
+sweph.set_ephe_path = track("ephePath", native.set_ephe_path);
+sweph.set_jpl_file = track("jplFile", native.set_jpl_file);
+sweph.set_sid_mode = track("sidMode", native.set_sid_mode);
+sweph.set_topo = track("topo", native.set_topo);
+sweph.set_tid_acc = track("tidAcc", native.set_tid_acc);
+sweph.set_delta_t_userdef = track("deltaT", native.set_delta_t_userdef);
+sweph.close = () => {
+	native.close();
+	globalSettings = { ...defaults };
+	appliedSettings = { ...defaults };
+};
+
+const normalize = options => {
+	const settings = {};
+	if(typeof options.ephePath === "string" || options.ephePath === null) {
+		settings.ephePath = options.ephePath;
+	}
+	if(typeof options.jplFile === "string") {
+		settings.jplFile = options.jplFile;
+	}
+	if(typeof options.sidMode === "number") {
+		settings.sidMode = [options.sidMode, 0, 0];
+	} else if(Array.isArray(options.sidMode)) {
+		settings.sidMode = [options.sidMode[0], options.sidMode[1] || 0, options.sidMode[2] || 0];
+	}
+	if(Array.isArray(options.topo)) {
+		settings.topo = [options.topo[0], options.topo[1], options.topo[2] || 0];
+	}
+	if(typeof options.tidAcc === "number") {
+		settings.tidAcc = options.tidAcc;
+	}
+	if(typeof options.deltaT === "number") {
+		settings.deltaT = options.deltaT;
+	}
+	for(const key of ["sidMode", "topo"]) {
+		if(settings[key] && settings[key].some(x => typeof x !== "number")) {
+			throw new TypeError(`Invalid context setting ${key}, expected an array of numbers`);
+		}
+	}
+	return Object.freeze(settings);
+};
+
+/**
+ * Create a calculation context with its own settings
+ * Settings that are not specified follow the global settings
+ * @param {object} [options] ephePath, jplFile, sidMode, topo, tidAcc, deltaT
+ * @returns {object} all calculation functions bound to the context settings
+ */
+const createContext = (options = {}) => {
+	const settings = normalize(options);
+	const context = { settings };
+	for(const [name, fn] of Object.entries(sweph)) {
+		if(typeof fn !== "function" || excluded.has(name)) {
+			continue;
+		}
+		context[name] = bind(fn, settings);
+	}
+	return Object.freeze(context);
+};
+
+module.exports = createContext;
@@ -0,0 +1,114 @@
+"use strict";
+
+const sweph = require("./build/Release/sweph.node");
+const constants = require("./constants.js");
+const createContext = require("./context.js");
+const { check } = require("./errors.js");
+
+/*
+	High-level wrapper around the calculation functions. Results are returned as objects with named fields
+	instead of positional arrays, and a SwephError is thrown whenever the underlying function returns a negative flag.
+*/
+
+const DEFAULT_FLAGS = constants.SEFLG_SWIEPH | constants.SEFLG_SPEED;
+
+const position = (result, extra) => ({
+	...extra,
+	flag: result.flag,
+	warning: result.error,
+	longitude: result.data[0],
+	latitude: result.data[1],
+	distance: result.data[2],
+	speedLongitude: result.data[3],
+	speedLatitude: result.data[4],
+	speedDistance: result.data[5]
+});
+
+const points = (cusps, data) => ({
+	cusps,
+	ascendant: data[0],
+	mc: data[1],
+	armc: data[2],
+	vertex: data[3],
+	equatorialAscendant: data[4],
+	coAscendantKoch: data[5],
+	coAscendantMunkasey: data[6],
+	polarAscendant: data[7]
+});
+
+class Ephemeris {
+	/**
+	 * Create an ephemeris, optionally with its own settings
+	 * @param {object} [options] same settings as createContext(), the global settings are used if not specified
+	 */
+	constructor(options) {
+		this.functions = options ? createContext(options) : sweph;
+	}
+
+	/**
+	 * Compute the position of a planet, asteroid, lunar node or apogee from ephemeris time
+	 * @param {number} tjd_et julian day in terrestrial/ephemeris time
+	 * @param {number} ipl object ID
+	 * @param {number} [iflag] calculation flags, defaults to SEFLG_SWIEPH | SEFLG_SPEED
+	 * @returns {object} named position fields
+	 */
+	calc(tjd_et, ipl, iflag = DEFAULT_FLAGS) {
+		return position(check("calc", this.functions.calc(tjd_et, ipl, iflag)));
+	}
+
+	/**
+	 * Compute the position of a planet, asteroid, lunar node or apogee from universal time
+	 * @param {number} tjd_ut julian day in universal time
+	 * @param {number} ipl object ID
+	 * @param {number} [iflag] calculation flags, defaults to SEFLG_SWIEPH | SEFLG_SPEED
+	 * @returns {object} named position fields
+	 */
+	calcUt(tjd_ut, ipl, iflag = DEFAULT_FLAGS) {
+		return position(check("calc_ut", this.functions.calc_ut(tjd_ut, ipl, iflag)));
+	}
+
+	/**
+	 * Compute the position of a fixed star from ephemeris time
+	 * @param {string} star star name or number
+	 * @param {number} tjd_et julian day in terrestrial/ephemeris time
+	 * @param {number} [iflag] calculation flags, defaults to SEFLG_SWIEPH | SEFLG_SPEED
+	 * @returns {object} star name and named position fields
+	 */
+	fixstar(star, tjd_et, iflag = DEFAULT_FLAGS) {
+		const result = check("fixstar2", this.functions.fixstar2(star, tjd_et, iflag));
+		return position(result, { name: result.name });
+	}
+
+	/**
+	 * Compute the position of a fixed star from universal time
+	 * @param {string} star star name or number
+	 * @param {number} tjd_ut julian day in universal time
+	 * @param {number} [iflag] calculation flags, defaults to SEFLG_SWIEPH | SEFLG_SPEED
+	 * @returns {object} star name and named position fields
+	 */
+	fixstarUt(star, tjd_ut, iflag = DEFAULT_FLAGS) {
+		const result = check("fixstar2_ut", this.functions.fixstar2_ut(star, tjd_ut, iflag));
+		return position(result, { name: result.name });
+	}
+
+	/**
+	 * Compute house cusps, ascendant, midheaven and other points, with their speeds
+	 * @param {number} tjd_ut julian day in universal time
+	 * @param {number} geolat geographic latitude in degrees
+	 * @param {number} geolon geographic longitude in degrees
+	 * @param {string} [hsys] house system ID, defaults to placidus
+	 * @param {number} [iflag] calculation flags such as SEFLG_SIDEREAL, defaults to 0
+	 * @returns {object} named house fields
+	 */
+	houses(tjd_ut, geolat, geolon, hsys = "P", iflag = 0) {
+		const result = check("houses_ex2", this.functions.houses_ex2(tjd_ut, iflag, geolat, geolon, hsys));
+		return {
+			flag: result.flag,
+			warning: result.error,
+			...points(result.data.houses, result.data.points),
+			speeds: points(result.data.housesSpeed, result.data.pointsSpeed)
+		};
+	}
+}
+
+module.exports = Ephemeris;
@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * Error thrown by the high-level wrappers when a swiss ephemeris function returns a negative flag
+ * @property {string} function name of the swiss ephemeris function that failed
+ * @property {number} flag flag returned by the function, usually ERR
+ */
+class SwephError extends Error {
+	constructor(message, fn, flag) {
+		super(message || `${fn} failed with flag ${flag}`);
+		this.name = "SwephError";
+		this.function = fn;
+		this.flag = flag;
+	}
+}
+
+/**
+ * Error thrown in strict mode when a swiss ephemeris function returns ERR
+ * @property {string} serr error message returned by the function
+ * @property {Array} args arguments the function was called with
+ */
+class SwephCalculationError extends SwephError {
+	constructor(fn, args, flag, serr) {
+		super(serr, fn, flag);
+		this.name = "SwephCalculationError";
+		this.serr = serr;
+		this.args = args;
+	}
+}
+
+/**
+ * Error thrown in strict mode when an ephemeris file is missing and the calculation fell back to another ephemeris
+ * @property {string} file name of the missing file, empty if it could not be determined
+ */
+class SwephEphemerisFileError extends SwephCalculationError {
+	constructor(fn, args, flag, serr) {
+		super(fn, args, flag, serr);
+		this.name = "SwephEphemerisFileError";
+		const match = (/file '?(?<file>[^'\s]+)'? not found/u).exec(serr);
+		this.file = match ? match.groups.file : "";
+	}
+}
+
+/**
+ * Return the result if its flag is not negative, otherwise throw a SwephError
+ * @param {string} fn name of the function that produced the result
+ * @param {object} result result object with flag and error properties
+ * @returns {object} the same result
+ */
+const check = (fn, result) => {
+	if(result.flag < 0) {
+		throw new SwephError(result.error, fn, result.flag);
+	}
+	return result;
+};
+
+module.exports = {
+	SwephError,
+	SwephCalculationError,
+	SwephEphemerisFileError,
+	check
+};
@@ -74,10 +74,11 @@ declare module "sweph" {
 		/**
 		 * ### Description
 		 * Path to ephemeris file  
+		 * `null` if no file of this type has been loaded yet
 		 * ```
 		 * ```
 		 */
-		path: string;
+		path: string | null;
 		/**
 		 * ### Description
 		 * Ephemeris start date for this file  
@@ -126,6 +127,255 @@ declare module "sweph" {
 		data: CalcData;
 	}
 
+	export interface CalcBatch {
+		/**
+		 * ### Description
+		 * Computed flags or ERR for each calculation, ordered by julian day and then by object  
+		 * The entry for julian day `i` and object `j` is found at index `i * ipls.length + j`
+		 * ```
+		 * ```
+		 */
+		flags: Int32Array;
+		/**
+		 * ### Description
+		 * Error message for each calculation, empty if the calculation produced no error or warning  
+		 * Uses the same indexes as `flags`
+		 * ```
+		 * ```
+		 */
+		errors: string[];
+		/**
+		 * ### Description
+		 * Packed calculation results, 6 values per calculation in the same order as the `data` array returned by `calc()`  
+		 * The values for julian day `i` and object `j` start at index `(i * ipls.length + j) * 6`
+		 * ```
+		 * ```
+		 */
+		data: Float64Array;
+	}
+
+	export interface Position {
+		/**
+		 * ### Description
+		 * Computed flags, may differ from the requested flags, for example if the swiss ephemeris files were not found and moshier was used instead
+		 * ```
+		 * ```
+		 */
+		flag: number;
+		/**
+		 * ### Description
+		 * Warning message returned by the calculation, empty if there is none
+		 * ```
+		 * ```
+		 */
+		warning: string;
+		/**
+		 * ### Description
+		 * Ecliptic longitude, or right ascension if SEFLG_EQUATORIAL was used, or X if SEFLG_XYZ was used
+		 * ```
+		 * ```
+		 */
+		longitude: number;
+		/**
+		 * ### Description
+		 * Ecliptic latitude, or declination if SEFLG_EQUATORIAL was used, or Y if SEFLG_XYZ was used
+		 * ```
+		 * ```
+		 */
+		latitude: number;
+		/**
+		 * ### Description
+		 * Distance in AU, or Z if SEFLG_XYZ was used
+		 * ```
+		 * ```
+		 */
+		distance: number;
+		/**
+		 * ### Description
+		 * Daily speed in longitude, only available if SEFLG_SPEED was used
+		 * ```
+		 * ```
+		 */
+		speedLongitude: number;
+		/**
+		 * ### Description
+		 * Daily speed in latitude, only available if SEFLG_SPEED was used
+		 * ```
+		 * ```
+		 */
+		speedLatitude: number;
+		/**
+		 * ### Description
+		 * Daily speed in distance, only available if SEFLG_SPEED was used
+		 * ```
+		 * ```
+		 */
+		speedDistance: number;
+	}
+
+	export interface StarPosition extends Position {
+		/**
+		 * ### Description
+		 * Full star name as found in the fixed star catalog
+		 * ```
+		 * ```
+		 */
+		name: string;
+	}
+
+	export interface HousePoints {
+		/**
+		 * ### Description
+		 * House cusps, 36 if gauquelin sectors, 12 otherwise
+		 * ```
+		 * ```
+		 */
+		cusps: number[];
+		/**
+		 * ### Description
+		 * Ascendant
+		 * ```
+		 * ```
+		 */
+		ascendant: number;
+		/**
+		 * ### Description
+		 * Midheaven
+		 * ```
+		 * ```
+		 */
+		mc: number;
+		/**
+		 * ### Description
+		 * Right ascension of the midheaven
+		 * ```
+		 * ```
+		 */
+		armc: number;
+		/**
+		 * ### Description
+		 * Vertex
+		 * ```
+		 * ```
+		 */
+		vertex: number;
+		/**
+		 * ### Description
+		 * Equatorial ascendant
+		 * ```
+		 * ```
+		 */
+		equatorialAscendant: number;
+		/**
+		 * ### Description
+		 * Co-Ascendant (Walter Koch)
+		 * ```
+		 * ```
+		 */
+		coAscendantKoch: number;
+		/**
+		 * ### Description
+		 * Co-Ascendant (Michael Munkasey)
+		 * ```
+		 * ```
+		 */
+		coAscendantMunkasey: number;
+		/**
+		 * ### Description
+		 * Polar Ascendant (Michael Munkasey)
+		 * ```
+		 * ```
+		 */
+		polarAscendant: number;
+	}
+
+	export interface HousePositions extends HousePoints {
+		/**
+		 * ### Description
+		 * Computed flag, OK
+		 * ```
+		 * ```
+		 */
+		flag: number;
+		/**
+		 * ### Description
+		 * Warning message returned by the calculation, empty if there is none
+		 * ```
+		 * ```
+		 */
+		warning: string;
+		/**
+		 * ### Description
+		 * Longitude speeds of the cusps and points
+		 * ```
+		 * ```
+		 */
+		speeds: HousePoints;
+	}
+
+	export interface JulianDays {
+		/**
+		 * ### Description
+		 * Julian day in terrestrial/ephemeris time
+		 * ```
+		 * ```
+		 */
+		et: number;
+		/**
+		 * ### Description
+		 * Julian day in universal time
+		 * ```
+		 * ```
+		 */
+		ut: number;
+	}
+
+	export interface ContextSettings {
+		/**
+		 * ### Description
+		 * Path to ephemeris files, same as `set_ephe_path()`  
+		 * `null` uses the default path
+		 * ```
+		 * ```
+		 */
+		ephePath?: string | null;
+		/**
+		 * ### Description
+		 * JPL ephemeris file name, same as `set_jpl_file()`
+		 * ```
+		 * ```
+		 */
+		jplFile?: string;
+		/**
+		 * ### Description
+		 * Ayanamsa ID, or ayanamsa ID with reference date and initial value for custom ayanamsas, same as `set_sid_mode()`
+		 * ```
+		 * ```
+		 */
+		sidMode?: number | [sid_mode: number, t0?: number, ayan_t0?: number];
+		/**
+		 * ### Description
+		 * Geographic position of the observer for topocentric calculations, same as `set_topo()`
+		 * ```
+		 * ```
+		 */
+		topo?: [geolon: number, geolat: number, elevation?: number];
+		/**
+		 * ### Description
+		 * Tidal acceleration value, same as `set_tid_acc()`
+		 * ```
+		 * ```
+		 */
+		tidAcc?: number;
+		/**
+		 * ### Description
+		 * User-defined delta T value, same as `set_delta_t_userdef()`
+		 * ```
+		 * ```
+		 */
+		deltaT?: number;
+	}
+
 	export interface DateConversion extends Flag {
 		/**
 		 * ### Description
@@ -1802,6 +2052,16 @@ declare module "sweph" {
 		magnitude: number
 	]
 
+	export type Context = Omit<typeof import("sweph"), "async" | "close" | "constants" | "createContext" | "dateFromJd" | "default" | "Ephemeris" | "jdFromDate" | "jdFromISO" | "setStrict" | "SwephError" | "SwephCalculationError" | "SwephEphemerisFileError" | "sweph" | "set_ephe_path" | "set_jpl_file" | "set_sid_mode" | "set_topo" | "set_tid_acc" | "set_delta_t_userdef"> & {
+		/**
+		 * ### Description
+		 * Settings of this context, settings that are not specified follow the global settings
+		 * ```
+		 * ```
+		 */
+		readonly settings: Readonly<ContextSettings>;
+	};
+
 	/*
 	┌──────────────────────────────────────────────────┬───────────┬──────────────────────────────────────────────────┐
 	│┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│ Functions │┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│
@@ -1863,6 +2123,42 @@ declare module "sweph" {
 	 */
 	export function azalt(tjd_ut: number, calc_flag: number, geopos: [longitude: number, latitude: number, elevation: number], atpress: number, attemp: number, xin: [lon_or_ra: number, lat_or_dec: number, distance: number]): Azalt;
 
+	/**
+	 * ### Description
+	 * Compute positions of multiple objects over multiple dates from ephemeris time in a single call  
+	 * Equivalent to calling `calc()` for every combination of julian day and object, but faster for large tables
+	 * ### Params
+	 * ```
+	 * • tjds: Array<number> // Julian days in terrestrial/ephemeris time
+	 * • ipls: Array<number> // Target object IDs
+	 * • iflag: number // Calculation flags
+	 * ```
+	 * ### Returns
+	 * ```
+	 * Object {
+	 *   flags: Int32Array, // Computed flags or ERR for each julian day and object
+	 *   errors: Array<string>, // Error message for each julian day and object
+	 *   data: Float64Array [ // 6 values for each julian day and object, same as calc()
+	 *     lon, lat, dist, lonSpd, latSpd, distSpd, // first date, first object
+	 *     lon, lat, dist, lonSpd, latSpd, distSpd, // first date, second object
+	 *     ...
+	 *   ]
+	 * }
+	 * ```
+	 * ### Example
+	 * ```
+	 * const flags = constants.SEFLG_SWIEPH | constants.SEFLG_SPEED;
+	 * const days = Array.from({ length: 365 }, (_, i) => 2459945.5 + i);
+	 * const bodies = [constants.SE_SUN, constants.SE_MOON, constants.SE_MARS];
+	 * const result = calc_batch(days, bodies, flags);
+	 * const index = 10 * bodies.length + 1; // 11th day, moon
+	 * if(result.flags[index] === constants.ERR) { throw new Error(result.errors[index]); }
+	 * console.log(`Longitude: ${result.data[index * 6]}`);
+	 * ```
+	 * &nbsp;
+	 */
+	export function calc_batch(tjds: number[], ipls: number[], iflag: number): CalcBatch;
+
 	/**
 	 * ### Description
 	 * Compute planetocentric positions of planets as observed from a different planet, for example Jupiter-centric ephemerides
@@ -2045,6 +2341,42 @@ declare module "sweph" {
 	 */
 	export function cotrans(xpo: [lon: number, lat: number, dist: number], eps: number): CoTrans;
 
+	/**
+	 * ### Description
+	 * Create an isolated calculation context with its own settings  
+	 * Contexts apply their settings around each call and restore the global settings afterwards, so different sidereal modes, observer positions or ephemeris paths can be used side by side without affecting each other  
+	 * Settings that are not specified follow the global settings set by functions such as `set_ephe_path()` or `set_sid_mode()`  
+	 * Contexts do not apply to functions under `async`
+	 * ### Params
+	 * ```
+	 * • options: Object {
+	 *   ephePath?: string | null, // Ephemeris path
+	 *   jplFile?: string, // JPL file name
+	 *   sidMode?: number | [sid_mode, t0, ayan_t0], // Ayanamsa ID or custom ayanamsa
+	 *   topo?: [geolon, geolat, elevation], // Observer position
+	 *   tidAcc?: number, // Tidal acceleration
+	 *   deltaT?: number // User-defined delta T
+	 * }
+	 * ```
+	 * ### Returns
+	 * ```
+	 * Object {
+	 *   settings: Object, // Settings of the context
+	 *   ...functions // Calculation functions using the context settings
+	 * }
+	 * ```
+	 * ### Example
+	 * ```
+	 * const lahiri = createContext({ sidMode: constants.SE_SIDM_LAHIRI });
+	 * const raman = createContext({ sidMode: constants.SE_SIDM_RAMAN });
+	 * const flags = constants.SEFLG_SWIEPH | constants.SEFLG_SIDEREAL;
+	 * console.log(lahiri.calc_ut(2314234, constants.SE_SUN, flags).data[0]);
+	 * console.log(raman.calc_ut(2314234, constants.SE_SUN, flags).data[0]);
+	 * ```
+	 * &nbsp;
+	 */
+	export function createContext(options?: ContextSettings): Context;
+
 	/**
 	 * ### Description
 	 * Convert centiseconds to degrees string
@@ -2191,6 +2523,27 @@ declare module "sweph" {
 	 */
 	export function date_conversion(year: number, month: number, day: number, hour: number, calendar: "g" | "j" | (string & {})): DateConversion;
 
+	/**
+	 * ### Description
+	 * Convert a julian day to a javascript date, using `jdut1_to_utc()` or `jdet_to_utc()`  
+	 * Leap seconds cannot be represented by javascript dates and roll over into the next minute
+	 * ### Params
+	 * ```
+	 * • jd: number // Julian day
+	 * • timescale?: "ut" | "et" // Whether the julian day is in universal or ephemeris time, defaults to "ut"
+	 * ```
+	 * ### Returns
+	 * ```
+	 * Date
+	 * ```
+	 * ### Example
+	 * ```
+	 * const date = dateFromJd(2447175.140281787); // 1988-01-14T15:22:00.000Z
+	 * ```
+	 * &nbsp;
+	 */
+	export function dateFromJd(jd: number, timescale?: "ut" | "et"): Date;
+
 	/**
 	 * ### Description
 	 * Find which day of the week a particular date is
@@ -2719,7 +3072,7 @@ declare module "sweph" {
 	 * ### Returns
 	 * ```
 	 * Object {
-	 *   path: string, // Path to ephemeris file
+	 *   path: string | null, // Path to ephemeris file, null if no file of this type has been loaded yet
 	 *   start: number, // Ephemeris start date
 	 *   end: number, // Ephemeris end date
 	 *   denum: number // JPL version used to generate the file
@@ -3341,6 +3694,55 @@ declare module "sweph" {
 	 */
 	export function jdut1_to_utc(tjd_ut: number, gregflag: number): DateObject2;
 
+	/**
+	 * ### Description
+	 * Convert a javascript date to julian day in both ephemeris and universal time, using `utc_to_jd()`  
+	 * Leap seconds are accounted for after 1972, earlier dates are treated as UT1
+	 * ### Params
+	 * ```
+	 * • date: Date // Javascript date
+	 * ```
+	 * ### Returns
+	 * ```
+	 * Object {
+	 *   et: number, // Julian day in terrestrial/ephemeris time
+	 *   ut: number // Julian day in universal time
+	 * }
+	 * ```
+	 * ### Example
+	 * ```
+	 * const { et, ut } = jdFromDate(new Date());
+	 * const sun = calc(et, constants.SE_SUN, constants.SEFLG_SWIEPH);
+	 * ```
+	 * &nbsp;
+	 */
+	export function jdFromDate(date: Date): JulianDays;
+
+	/**
+	 * ### Description
+	 * Convert an ISO 8601 string to julian day in both ephemeris and universal time, using `utc_to_jd()`  
+	 * Accepts dates and date-times with optional seconds, fractions of seconds and offset, strings without offset are interpreted as UTC  
+	 * Unlike javascript dates, leap seconds such as `1998-12-31T23:59:60Z` are supported
+	 * ### Params
+	 * ```
+	 * • iso: string // ISO 8601 date or date-time
+	 * ```
+	 * ### Returns
+	 * ```
+	 * Object {
+	 *   et: number, // Julian day in terrestrial/ephemeris time
+	 *   ut: number // Julian day in universal time
+	 * }
+	 * ```
+	 * ### Example
+	 * ```
+	 * const { et, ut } = jdFromISO("1988-01-14T10:22:00-05:00");
+	 * const houses = houses_ex2(ut, 0, 40.7128, -74.006, "P");
+	 * ```
+	 * &nbsp;
+	 */
+	export function jdFromISO(iso: string): JulianDays;
+
 	/**
 	 * ### Description
 	 * Convert a calendar date to julian day in universal time
@@ -4313,6 +4715,30 @@ declare module "sweph" {
 	 */
 	export function set_topo(geolon: number, geolat: number, elevation: number): void;
 
+	/**
+	 * ### Description
+	 * Enable or disable strict mode  
+	 * In strict mode, functions that return ERR throw a `SwephCalculationError` instead, and calculations that silently fell back to another ephemeris because a file was missing throw a `SwephEphemerisFileError`  
+	 * Functions under `async` reject with the same errors  
+	 * Strict mode is disabled by default and applies to the entire process, including contexts created with `createContext()`
+	 * ### Params
+	 * ```
+	 * • enabled: boolean // Whether strict mode should be enabled
+	 * ```
+	 * ### Example
+	 * ```
+	 * setStrict(true);
+	 * try {
+	 *   calc_ut(2314234, constants.SE_SUN, constants.SEFLG_SWIEPH);
+	 * } catch(error) {
+	 *   if(error instanceof SwephEphemerisFileError) { console.log(`Missing ephemeris file: ${error.file}`); }
+	 *   else if(error instanceof SwephCalculationError) { console.log(error.function, error.args, error.serr); }
+	 * }
+	 * ```
+	 * &nbsp;
+	 */
+	export function setStrict(enabled: boolean): void;
+
 	/**
 	 * ### Description
 	 * Calculate sidereal time at the greenwich meridian
@@ -4774,6 +5200,393 @@ declare module "sweph" {
 	 */
 	export function vis_limit_mag(tjd_ut: number, dgeo: [longitude: number, latitude: number, elevation: number], datm: [pressure: number, temperature: number, humidity: number, meteorological_range: number], dobs: [age: number, sellen_ratio: number, optical_type: number, optical_magnification: number, optical_aperture: number, optical_transmission: number], objectname: string, helflag: number): VisLimitMag;
 
+	/*
+	┌──────────────────────────────────────────────────┬───────────┬──────────────────────────────────────────────────┐
+	│┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│  Classes  │┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│
+	└──────────────────────────────────────────────────┴───────────┴──────────────────────────────────────────────────┘
+	*/
+
+	/**
+	 * ### Description
+	 * High-level wrapper around the calculation functions  
+	 * Results are returned as objects with named fields instead of positional arrays, and a `SwephError` is thrown whenever the underlying function returns a negative flag
+	 * ### Params
+	 * ```
+	 * • options?: ContextSettings // Own settings, same as createContext(), the global settings are used if not specified
+	 * ```
+	 * ### Example
+	 * ```
+	 * const ephemeris = new Ephemeris();
+	 * const sun = ephemeris.calcUt(2314234, constants.SE_SUN);
+	 * console.log(`Longitude: ${sun.longitude}, speed: ${sun.speedLongitude}`);
+	 * const houses = ephemeris.houses(2314234, 35.234, 45.324, "P");
+	 * console.log(`Ascendant: ${houses.ascendant}, Vertex: ${houses.vertex}`);
+	 * ```
+	 * &nbsp;
+	 */
+	export class Ephemeris {
+		constructor(options?: ContextSettings);
+		/**
+		 * ### Description
+		 * Compute the position of a planet, asteroid, lunar node or apogee from ephemeris time
+		 * ### Params
+		 * ```
+		 * • tjd_et: number // Julian day in terrestrial/ephemeris time
+		 * • ipl: number // Object ID
+		 * • iflag?: number // Calculation flags, defaults to SEFLG_SWIEPH | SEFLG_SPEED
+		 * ```
+		 * ### Returns
+		 * ```
+		 * Object {
+		 *   flag: number, // Computed flags
+		 *   warning: string, // Warning message, empty if none
+		 *   longitude: number,
+		 *   latitude: number,
+		 *   distance: number,
+		 *   speedLongitude: number,
+		 *   speedLatitude: number,
+		 *   speedDistance: number
+		 * }
+		 * ```
+		 * ### Example
+		 * ```
+		 * const mars = new Ephemeris().calc(2314234, constants.SE_MARS);
+		 * console.log(`Longitude: ${mars.longitude}`);
+		 * ```
+		 * &nbsp;
+		 */
+		calc(tjd_et: number, ipl: number, iflag?: number): Position;
+		/**
+		 * ### Description
+		 * Compute the position of a planet, asteroid, lunar node or apogee from universal time  
+		 * Same as `calc()` but using universal time
+		 * ### Example
+		 * ```
+		 * const moon = new Ephemeris().calcUt(2314234, constants.SE_MOON);
+		 * console.log(`Longitude: ${moon.longitude}`);
+		 * ```
+		 * &nbsp;
+		 */
+		calcUt(tjd_ut: number, ipl: number, iflag?: number): Position;
+		/**
+		 * ### Description
+		 * Compute the position of a fixed star from ephemeris time  
+		 * Same as `calc()` with the addition of the full star name
+		 * ### Example
+		 * ```
+		 * const star = new Ephemeris().fixstar("Aldebaran", 2314234);
+		 * console.log(`${star.name}: ${star.longitude}`);
+		 * ```
+		 * &nbsp;
+		 */
+		fixstar(star: string, tjd_et: number, iflag?: number): StarPosition;
+		/**
+		 * ### Description
+		 * Compute the position of a fixed star from universal time  
+		 * Same as `fixstar()` but using universal time
+		 * ### Example
+		 * ```
+		 * const star = new Ephemeris().fixstarUt("Aldebaran", 2314234);
+		 * console.log(`${star.name}: ${star.longitude}`);
+		 * ```
+		 * &nbsp;
+		 */
+		fixstarUt(star: string, tjd_ut: number, iflag?: number): StarPosition;
+		/**
+		 * ### Description
+		 * Compute house cusps, ascendant, midheaven and other points, with their speeds
+		 * ### Params
+		 * ```
+		 * • tjd_ut: number // Julian day in universal time
+		 * • geolat: number // Geographic latitude
+		 * • geolon: number // Geographic longitude
+		 * • hsys?: string // House system ID, defaults to "P"
+		 * • iflag?: number // Calculation flags such as SEFLG_SIDEREAL, defaults to 0
+		 * ```
+		 * ### Returns
+		 * ```
+		 * Object {
+		 *   flag: number, // OK
+		 *   warning: string, // Warning message, empty if none
+		 *   cusps: Array<number>, // 36 cusps if gauquelin sectors, 12 otherwise
+		 *   ascendant: number,
+		 *   mc: number,
+		 *   armc: number,
+		 *   vertex: number,
+		 *   equatorialAscendant: number,
+		 *   coAscendantKoch: number,
+		 *   coAscendantMunkasey: number,
+		 *   polarAscendant: number,
+		 *   speeds: Object { ... } // Longitude speeds of the cusps and points, same fields as above
+		 * }
+		 * ```
+		 * ### Example
+		 * ```
+		 * const houses = new Ephemeris().houses(2314234, 35.234, 45.324, "K");
+		 * console.log(`Ascendant: ${houses.ascendant}, 10th cusp: ${houses.cusps[9]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		houses(tjd_ut: number, geolat: number, geolon: number, hsys?: HouseSystems | (string & {}), iflag?: number): HousePositions;
+	}
+
+	/**
+	 * ### Description
+	 * Error thrown by the high-level wrappers such as `Ephemeris` when a swiss ephemeris function returns a negative flag
+	 * ### Example
+	 * ```
+	 * try {
+	 *   new Ephemeris().houses(2314234, 80, 0, "P");
+	 * } catch(error) {
+	 *   if(error instanceof SwephError) { console.log(error.function, error.flag, error.message); }
+	 * }
+	 * ```
+	 * &nbsp;
+	 */
+	export class SwephError extends Error {
+		constructor(message: string, fn: string, flag: number);
+		/**
+		 * Name of the swiss ephemeris function that failed
+		 */
+		function: string;
+		/**
+		 * Flag returned by the function, usually ERR
+		 */
+		flag: number;
+	}
+
+	/**
+	 * ### Description
+	 * Error thrown in strict mode when a function returns ERR, see `setStrict()`
+	 * &nbsp;
+	 */
+	export class SwephCalculationError extends SwephError {
+		constructor(fn: string, args: unknown[], flag: number, serr: string);
+		/**
+		 * Error message returned by the function
+		 */
+		serr: string;
+		/**
+		 * Arguments the function was called with
+		 */
+		args: unknown[];
+	}
+
+	/**
+	 * ### Description
+	 * Error thrown in strict mode when an ephemeris file is missing and the calculation silently fell back to another ephemeris, such as moshier, see `setStrict()`
+	 * &nbsp;
+	 */
+	export class SwephEphemerisFileError extends SwephCalculationError {
+		/**
+		 * Name of the missing file, empty if it could not be determined
+		 */
+		file: string;
+	}
+
+	/*
+	┌──────────────────────────────────────────────────┬───────────┬──────────────────────────────────────────────────┐
+	│┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│   Async   │┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│
+	└──────────────────────────────────────────────────┴───────────┴──────────────────────────────────────────────────┘
+	*/
+
+	/**
+	 * ### Description
+	 * Promise-based versions of the slowest functions  
+	 * Calculations run in Node's thread pool instead of blocking the main thread, and resolve to the same result as their synchronous counterparts  
+	 * Async calculations are queued and executed one at a time, and they share the global settings set by functions such as `set_ephe_path()` or `set_sid_mode()`
+	 * ### Example
+	 * ```
+	 * const result = await async.calc(2314234, constants.SE_VENUS, constants.SEFLG_SWIEPH);
+	 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+	 * console.log(`Longitude: ${result.data[0]}`);
+	 * ```
+	 * &nbsp;
+	 */
+	export namespace async {
+		/**
+		 * ### Description
+		 * Asynchronous version of `calc_batch()`
+		 * ### Example
+		 * ```
+		 * const days = Array.from({ length: 365 }, (_, i) => 2459945.5 + i);
+		 * const result = await async.calc_batch(days, [constants.SE_SUN, constants.SE_MOON], constants.SEFLG_SWIEPH);
+		 * console.log(`Longitude: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function calc_batch(tjds: number[], ipls: number[], iflag: number): Promise<CalcBatch>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `calc_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.calc_ut(2314234, constants.SE_MOON, constants.SEFLG_SWIEPH | constants.SEFLG_SPEED);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Longitude: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function calc_ut(tjd_ut: number, ipl: number, iflag: number): Promise<Calc>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `calc()`
+		 * ### Example
+		 * ```
+		 * const result = await async.calc(2314234, constants.SE_VENUS, constants.SEFLG_SWIEPH | constants.SEFLG_SPEED);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Longitude: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function calc(tjd_et: number, ipl: number, iflag: number): Promise<Calc>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `heliacal_pheno_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.heliacal_pheno_ut(2415362, [8,47,900], [1000,10,50,-0.15], [21,0,0,0,0,0], "moon", 0, 0);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(result.data);
+		 * ```
+		 * &nbsp;
+		 */
+		export function heliacal_pheno_ut(tjd_ut: number, dgeo: [longitude: number, latitude: number, elevation: number], datm: [pressure: number, temperature: number, humidity: number, meteorological_range: number], dobs: [age: number, sellen_ratio: number, optical_type: number, optical_magnification: number, optical_aperture: number, optical_transmission: number], object_name: string, event_type: number, hel_flag: number): Promise<HeliacalPheno>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `heliacal_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.heliacal_ut(2415362, [8,47,900], [1000,10,50,-0.15], [21,0,0,0,0,0], "venus", constants.SE_HELIACAL_RISING, 0);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Start visibility: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function heliacal_ut(tjd_ut: number, dgeo: [longitude: number, latitude: number, elevation: number], datm: [pressure: number, temperature: number, humidity: number, meteorological_range: number], dobs: [age: number, sellen_ratio: number, optical_type: number, optical_magnification: number, optical_aperture: number, optical_transmission: number], object_name: string, event_type: number, hel_flag: number): Promise<Heliacal>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `helio_cross_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.helio_cross_ut(constants.SE_MARS, 0, 2459000, constants.SEFLG_SWIEPH, 0);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Crossing time: ${result.date}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function helio_cross_ut(ipl: number, x2cross: number, jd_ut: number, flag: number, dir: number): Promise<Cross & Flag>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `lun_eclipse_when_loc()`
+		 * ### Example
+		 * ```
+		 * const result = await async.lun_eclipse_when_loc(2454567, constants.SEFLG_SWIEPH, [15, 10, 0], false);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Maximum eclipse: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function lun_eclipse_when_loc(tjd_start: number, ifl: number, geopos: [longitude: number, latitude: number, elevation: number], backwards: boolean): Promise<LunEclipseWhenLoc>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `lun_eclipse_when()`
+		 * ### Example
+		 * ```
+		 * const result = await async.lun_eclipse_when(2454567, constants.SEFLG_SWIEPH, 0, false);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Maximum eclipse: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function lun_eclipse_when(tjd_start: number, ifl: number, ifltype: number, backwards: boolean): Promise<LunEclipseWhen>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `mooncross_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.mooncross_ut(0, 2459000, constants.SEFLG_SWIEPH);
+		 * if(result.date < 2459000) { throw new Error(result.error); }
+		 * console.log(`Crossing time: ${result.date}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function mooncross_ut(x2cross: number, jd_ut: number, flag: number): Promise<Cross>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `rise_trans_true_hor()`
+		 * ### Example
+		 * ```
+		 * const result = await async.rise_trans_true_hor(2415362, constants.SE_SUN, null, constants.SEFLG_SWIEPH, constants.SE_CALC_RISE, [8, 47, 900], 1013.25, 15, 2);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Rise time: ${result.data}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function rise_trans_true_hor(tjd_ut: number, ipl: number, starname: string | null, epheflag: number, rsmi: number, geopos: [longitude: number, latitude: number, elevation: number], atpress: number, attemp: number, horhgt: number): Promise<RiseTrans>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `rise_trans()`
+		 * ### Example
+		 * ```
+		 * const result = await async.rise_trans(2415362, constants.SE_SUN, null, constants.SEFLG_SWIEPH, constants.SE_CALC_RISE, [8, 47, 900], 1013.25, 15);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Rise time: ${result.data}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function rise_trans(tjd_ut: number, ipl: number, starname: string | null, epheflag: number, rsmi: number, geopos: [longitude: number, latitude: number, elevation: number], atpress: number, attemp: number): Promise<RiseTrans>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `sol_eclipse_when_glob()`
+		 * ### Example
+		 * ```
+		 * const result = await async.sol_eclipse_when_glob(2454567, constants.SEFLG_SWIEPH, constants.SE_ECL_TOTAL, false);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Maximum eclipse: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function sol_eclipse_when_glob(tjd_start: number, ifl: number, iftype: number, backwards: boolean): Promise<EclipseWhenGlob>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `sol_eclipse_when_loc()`
+		 * ### Example
+		 * ```
+		 * const result = await async.sol_eclipse_when_loc(2454567, constants.SEFLG_SWIEPH, [15, 10, 0], false);
+		 * if(result.flag === constants.ERR) { throw new Error(result.error); }
+		 * console.log(`Maximum eclipse: ${result.data[0]}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function sol_eclipse_when_loc(tjd_start: number, ifl: number, geopos: [longitude: number, latitude: number, elevation: number], backwards: boolean): Promise<SolEclipseWhenLoc>;
+
+		/**
+		 * ### Description
+		 * Asynchronous version of `solcross_ut()`
+		 * ### Example
+		 * ```
+		 * const result = await async.solcross_ut(0, 2459000, constants.SEFLG_SWIEPH);
+		 * if(result.date < 2459000) { throw new Error(result.error); }
+		 * console.log(`Crossing time: ${result.date}`);
+		 * ```
+		 * &nbsp;
+		 */
+		export function solcross_ut(x2cross: number, jd_ut: number, flag: number): Promise<Cross>;
+	}
+
 	/*
 	┌──────────────────────────────────────────────────┬───────────┬──────────────────────────────────────────────────┐
 	│┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│ Constants │┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼┼│
@@ -2,6 +2,15 @@
 
 const sweph = require("./build/Release/sweph.node");
 sweph.constants = require("./constants.js");
+sweph.createContext = require("./context.js");
+sweph.setStrict = require("./strict.js");
+sweph.Ephemeris = require("./ephemeris.js");
+sweph.jdFromDate = require("./time.js").jdFromDate;
+sweph.jdFromISO = require("./time.js").jdFromISO;
+sweph.dateFromJd = require("./time.js").dateFromJd;
+sweph.SwephError = require("./errors.js").SwephError;
+sweph.SwephCalculationError = require("./errors.js").SwephCalculationError;
+sweph.SwephEphemerisFileError = require("./errors.js").SwephEphemerisFileError;
 sweph.sweph = sweph;
 sweph.default = sweph;
 module.exports = sweph;
@@ -1,15 +1,19 @@
 import { createRequire } from "module";
-import c from "./constants.js";
 
 const require = createRequire(import.meta.url);
-export const sweph = require("./build/Release/sweph.node");
-
-sweph.constants = c;
-sweph.sweph = sweph;
-sweph.default = sweph;
+export const sweph = require("./index.js");
 
 export default sweph;
 export const constants = sweph.constants;
+export const createContext = sweph.createContext;
+export const Ephemeris = sweph.Ephemeris;
+export const jdFromDate = sweph.jdFromDate;
+export const jdFromISO = sweph.jdFromISO;
+export const dateFromJd = sweph.dateFromJd;
+export const setStrict = sweph.setStrict;
+export const SwephError = sweph.SwephError;
+export const SwephCalculationError = sweph.SwephCalculationError;
+export const SwephEphemerisFileError = sweph.SwephEphemerisFileError;
 export const close = sweph.close;
 export const set_delta_t_userdef = sweph.set_delta_t_userdef;
 export const set_ephe_path = sweph.set_ephe_path;
@@ -30,6 +34,7 @@ export const get_ayanamsa_ut = sweph.get_ayanamsa_ut;
 export const get_ayanamsa = sweph.get_ayanamsa;
 export const calc = sweph.calc;
 export const calc_ut = sweph.calc_ut;
+export const calc_batch = sweph.calc_batch;
 export const calc_pctr = sweph.calc_pctr;
 export const fixstar = sweph.fixstar;
 export const fixstar_ut = sweph.fixstar_ut;
@@ -107,3 +112,4 @@ export const mooncross_node = sweph.mooncross_node;
 export const mooncross_node_ut = sweph.mooncross_node_ut;
 export const helio_cross = sweph.helio_cross;
 export const helio_cross_ut = sweph.helio_cross_ut;
+export const async = sweph.async;
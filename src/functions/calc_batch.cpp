@@ -0,0 +1,93 @@
+#include <sweph.h>
+
+constexpr std::pair<int, const char*> args[] = {
+	{ 3, "Expecting 3 arguments: tjds, ipls, iflag" },
+	{ ARRAY, "Argument 1 should be an array of numbers - julian days in ephemeris/terrestrial time" },
+	{ ARRAY, "Argument 2 should be an array of numbers - target object IDs" },
+	{ NUMBER, "Argument 3 should be a number - calculation flag" }
+};
+
+struct sweph_calc_batch_data {
+	std::vector<double> tjds;
+	std::vector<double> ipls;
+	int32 iflag;
+	std::vector<double> xx;
+	std::vector<int32> flags;
+	std::vector<std::string> errors;
+};
+
+static bool sweph_calc_batch_prepare(sweph_calc_batch_data& batch, const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return false;
+	}
+	batch.tjds.resize(info[0].As<Napi::Array>().Length());
+	if(!sweph_double_array_converter(batch.tjds.data(), batch.tjds.size(), info[0])) {
+		Napi::TypeError::New(env, args[1].second).ThrowAsJavaScriptException();
+		return false;
+	}
+	batch.ipls.resize(info[1].As<Napi::Array>().Length());
+	if(!sweph_double_array_converter(batch.ipls.data(), batch.ipls.size(), info[1])) {
+		Napi::TypeError::New(env, args[2].second).ThrowAsJavaScriptException();
+		return false;
+	}
+	batch.iflag = info[2].As<Napi::Number>().Int32Value();
+	return true;
+}
+
+static void sweph_calc_batch_execute(sweph_calc_batch_data& batch) {
+	size_t size = batch.tjds.size() * batch.ipls.size();
+	batch.xx.resize(size * 6);
+	batch.flags.resize(size);
+	batch.errors.resize(size);
+	char serr [AS_MAXCH];
+	size_t i = 0;
+	for(double tjd : batch.tjds) {
+		for(double ipl : batch.ipls) {
+			serr[0] = '\0';
+			batch.flags[i] = swe_calc(tjd, (int32)ipl, batch.iflag, &batch.xx[i * 6], serr);
+			batch.errors[i] = serr;
+			i++;
+		}
+	}
+}
+
+static Napi::Object sweph_calc_batch_result(sweph_calc_batch_data& batch, Napi::Env env) {
+	Napi::Float64Array data = Napi::Float64Array::New(env, batch.xx.size());
+	std::copy(batch.xx.begin(), batch.xx.end(), data.Data());
+	Napi::Int32Array flags = Napi::Int32Array::New(env, batch.flags.size());
+	std::copy(batch.flags.begin(), batch.flags.end(), flags.Data());
+	Napi::Array errors = Napi::Array::New(env, batch.errors.size());
+	for(size_t i = 0; i < batch.errors.size(); i++) {
+		errors[i] = batch.errors[i];
+	}
+	Napi::Object obj = Napi::Object::New(env);
+	obj["flags"] = flags;
+	obj["errors"] = errors;
+	obj["data"] = data;
+	return obj;
+}
+
+Napi::Value sweph_calc_batch(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	sweph_calc_batch_data batch;
+	if(!sweph_calc_batch_prepare(batch, info)) {
+		return env.Null();
+	}
+	sweph_calc_batch_execute(batch);
+	return sweph_calc_batch_result(batch, env);
+}
+
+Napi::Value sweph_calc_batch_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	std::shared_ptr<sweph_calc_batch_data> batch = std::make_shared<sweph_calc_batch_data>();
+	if(!sweph_calc_batch_prepare(*batch, info)) {
+		return sweph_reject_pending(env);
+	}
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) {
+		sweph_calc_batch_execute(*batch);
+	}, [=](SwephWorker* w, Napi::Env env) {
+		return sweph_calc_batch_result(*batch, env);
+	});
+	return worker->Run();
+}
@@ -27,3 +27,23 @@ Napi::Value sweph_calc_ut(const Napi::CallbackInfo& info) {
 	obj["data"] = sweph_js_array_converter(xx, 6, env);
 	return obj;
 }
+
+Napi::Value sweph_calc_ut_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double tjd = info[0].As<Napi::Number>().DoubleValue();
+	int32 ipl = info[1].As<Napi::Number>().Int32Value();
+	int32 iflag = info[2].As<Napi::Number>().Int32Value();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) {
+		w->flag = swe_calc_ut(tjd, ipl, iflag, w->data, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		obj["data"] = sweph_js_array_converter(w->data, 6, env);
+		return obj;
+	});
+	return worker->Run();
+}
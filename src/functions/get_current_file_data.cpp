@@ -10,9 +10,9 @@ Napi::Value sweph_get_current_file_data(const Napi::CallbackInfo& info) {
 	if(!sweph_type_check(args, info)) {
 		return env.Null();
 	}
-	double tfstart;
-	double tfend;
-	int denum;
+	double tfstart = 0;
+	double tfend = 0;
+	int denum = 0;
 	const char *path = swe_get_current_file_data(
 		info[0].As<Napi::Number>().Int32Value(),
 		&tfstart,
@@ -20,7 +20,7 @@ Napi::Value sweph_get_current_file_data(const Napi::CallbackInfo& info) {
 		&denum
 	);
 	Napi::Object obj = Napi::Object::New(env);
-	obj["path"] = path;
+	obj["path"] = path ? Napi::Value(Napi::String::New(env, path)) : env.Null();
 	obj["start"] = tfstart;
 	obj["end"] = tfend;
 	obj["denum"] = denum;
@@ -50,3 +50,41 @@ Napi::Value sweph_heliacal_pheno_ut(const Napi::CallbackInfo& info) {
 	obj["data"] = sweph_js_array_converter(ret, 30, env);
 	return obj;
 }
+
+Napi::Value sweph_heliacal_pheno_ut_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double dgeo [3];
+	if(!sweph_double_array_converter(dgeo, 3, info[1])) {
+		Napi::TypeError::New(env, args[2].second).ThrowAsJavaScriptException();
+		return sweph_reject_pending(env);
+	}
+	double datm [4];
+	if(!sweph_double_array_converter(datm, 4, info[2])) {
+		Napi::TypeError::New(env, args[3].second).ThrowAsJavaScriptException();
+		return sweph_reject_pending(env);
+	}
+	double dobs [6];
+	if(!sweph_double_array_converter(dobs, 6, info[3])) {
+		Napi::TypeError::New(env, args[4].second).ThrowAsJavaScriptException();
+		return sweph_reject_pending(env);
+	}
+	double tjd_ut = info[0].As<Napi::Number>().DoubleValue();
+	std::string object_name = info[4].As<Napi::String>().Utf8Value();
+	int32 event_type = info[5].As<Napi::Number>().Int32Value();
+	int32 hel_flag = info[6].As<Napi::Number>().Int32Value();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) mutable {
+		char name [AS_MAXCH] = "";
+		strncpy(name, object_name.c_str(), AS_MAXCH - 1);
+		w->flag = swe_heliacal_pheno_ut(tjd_ut, dgeo, datm, dobs, name, event_type, hel_flag, w->data, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		obj["data"] = sweph_js_array_converter(w->data, 30, env);
+		return obj;
+	});
+	return worker->Run();
+}
@@ -31,3 +31,25 @@ Napi::Value sweph_helio_cross_ut(const Napi::CallbackInfo& info) {
 	obj["error"] = serr;
 	return obj;
 }
+
+Napi::Value sweph_helio_cross_ut_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	int32 ipl = info[0].As<Napi::Number>().Int32Value();
+	double x2cross = info[1].As<Napi::Number>().DoubleValue();
+	double jd_ut = info[2].As<Napi::Number>().DoubleValue();
+	int32 flag = info[3].As<Napi::Number>().Int32Value();
+	int32 dir = info[4].As<Napi::Number>().Int32Value();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) {
+		w->flag = swe_helio_cross_ut(ipl, x2cross, jd_ut, flag, dir, &w->date, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["date"] = w->date;
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		return obj;
+	});
+	return worker->Run();
+}
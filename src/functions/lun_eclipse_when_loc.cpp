@@ -37,3 +37,29 @@ Napi::Value sweph_lun_eclipse_when_loc(const Napi::CallbackInfo& info) {
 	obj["attributes"] = sweph_js_array_converter(attr, 11, env);
 	return obj;
 }
+
+Napi::Value sweph_lun_eclipse_when_loc_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double geopos [3];
+	if(!sweph_double_array_converter(geopos, 3, info[2])) {
+		Napi::TypeError::New(env, args[3].second).ThrowAsJavaScriptException();
+		return sweph_reject_pending(env);
+	}
+	double tjd_start = info[0].As<Napi::Number>().DoubleValue();
+	int32 ifl = info[1].As<Napi::Number>().Int32Value();
+	bool backward = info[3].As<Napi::Boolean>();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) mutable {
+		w->flag = swe_lun_eclipse_when_loc(tjd_start, ifl, geopos, w->data, w->attr, backward, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		obj["data"] = sweph_js_array_converter(w->data, 10, env);
+		obj["attributes"] = sweph_js_array_converter(w->attr, 11, env);
+		return obj;
+	});
+	return worker->Run();
+}
@@ -24,3 +24,22 @@ Napi::Value sweph_mooncross_ut(const Napi::CallbackInfo& info) {
 	obj["error"] = serr;
 	return obj;
 }
+
+Napi::Value sweph_mooncross_ut_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double x2cross = info[0].As<Napi::Number>().DoubleValue();
+	double jd_ut = info[1].As<Napi::Number>().DoubleValue();
+	int32 flag = info[2].As<Napi::Number>().Int32Value();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) {
+		w->date = swe_mooncross_ut(x2cross, jd_ut, flag, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["date"] = w->date;
+		obj["error"] = w->serr;
+		return obj;
+	});
+	return worker->Run();
+}
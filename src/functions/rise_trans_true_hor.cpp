@@ -44,3 +44,36 @@ Napi::Value sweph_rise_trans_true_hor(const Napi::CallbackInfo& info) {
 	obj["data"] = ret;
 	return obj;
 }
+
+Napi::Value sweph_rise_trans_true_hor_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double geopos [3];
+	if(!sweph_double_array_converter(geopos, 3, info[5])) {
+		Napi::TypeError::New(env, args[6].second).ThrowAsJavaScriptException();
+		return sweph_reject_pending(env);
+	}
+	double tjd_ut = info[0].As<Napi::Number>().DoubleValue();
+	int32 ipl = info[1].As<Napi::Number>().Int32Value();
+	bool has_star = info[2].IsString();
+	std::string starname = has_star ? info[2].As<Napi::String>().Utf8Value() : "";
+	int32 epheflag = info[3].As<Napi::Number>().Int32Value();
+	int32 rsmi = info[4].As<Napi::Number>().Int32Value();
+	double atpress = info[6].As<Napi::Number>().DoubleValue();
+	double attemp = info[7].As<Napi::Number>().DoubleValue();
+	double horhgt = info[8].As<Napi::Number>().DoubleValue();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) mutable {
+		char star [AS_MAXCH] = "";
+		strncpy(star, starname.c_str(), AS_MAXCH - 1);
+		w->flag = swe_rise_trans_true_hor(tjd_ut, ipl, has_star ? star : NULL, epheflag, rsmi, geopos, atpress, attemp, horhgt, &w->date, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		obj["data"] = w->date;
+		return obj;
+	});
+	return worker->Run();
+}
@@ -29,3 +29,24 @@ Napi::Value sweph_sol_eclipse_when_glob(const Napi::CallbackInfo& info) {
 	obj["data"] = sweph_js_array_converter(ret, 10, env);
 	return obj;
 }
+
+Napi::Value sweph_sol_eclipse_when_glob_async(const Napi::CallbackInfo& info) {
+	Napi::Env env = info.Env();
+	if(!sweph_type_check(args, info)) {
+		return sweph_reject_pending(env);
+	}
+	double tjd_start = info[0].As<Napi::Number>().DoubleValue();
+	int32 ifl = info[1].As<Napi::Number>().Int32Value();
+	int32 ifltype = info[2].As<Napi::Number>().Int32Value();
+	bool backward = info[3].As<Napi::Boolean>();
+	SwephWorker* worker = new SwephWorker(env, [=](SwephWorker* w) {
+		w->flag = swe_sol_eclipse_when_glob(tjd_start, ifl, ifltype, w->data, backward, w->serr);
+	}, [](SwephWorker* w, Napi::Env env) {
+		Napi::Object obj = Napi::Object::New(env);
+		obj["flag"] = w->flag;
+		obj["error"] = w->serr;
+		obj["data"] = sweph_js_array_converter(w->data, 10, env);
+		return obj;
+	});
+	return worker->Run();
+}
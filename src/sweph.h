@@ -4,6 +4,12 @@
 
 #include <napi.h>
 #include <swephexp.h>
+#include <cstring>
+#include <functional>
+#include <memory>
+#include <mutex>
+#include <string>
+#include <vector>
 
 void sweph_close(const Napi::CallbackInfo& info);
 void sweph_set_delta_t_userdef(const Napi::CallbackInfo& info);
@@ -25,6 +31,7 @@ Napi::Value sweph_get_ayanamsa_ex_ut(const Napi::CallbackInfo& info);
 Napi::Value sweph_get_ayanamsa_name(const Napi::CallbackInfo& info);
 Napi::Value sweph_calc(const Napi::CallbackInfo& info);
 Napi::Value sweph_calc_ut(const Napi::CallbackInfo& info);
+Napi::Value sweph_calc_batch(const Napi::CallbackInfo& info);
 Napi::Value sweph_calc_pctr(const Napi::CallbackInfo& info);
 Napi::Value sweph_fixstar(const Napi::CallbackInfo& info);
 Napi::Value sweph_fixstar_ut(const Napi::CallbackInfo& info);
@@ -103,11 +110,56 @@ Napi::Value sweph_mooncross_node_ut(const Napi::CallbackInfo& info);
 Napi::Value sweph_helio_cross(const Napi::CallbackInfo& info);
 Napi::Value sweph_helio_cross_ut(const Napi::CallbackInfo& info);
 
+Napi::Value sweph_calc_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_calc_ut_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_calc_batch_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_sol_eclipse_when_loc_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_sol_eclipse_when_glob_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_lun_eclipse_when_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_lun_eclipse_when_loc_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_rise_trans_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_rise_trans_true_hor_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_heliacal_ut_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_heliacal_pheno_ut_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_solcross_ut_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_mooncross_ut_async(const Napi::CallbackInfo& info);
+Napi::Value sweph_helio_cross_ut_async(const Napi::CallbackInfo& info);
+
 bool sweph_is_type(int type, Napi::Value data);
 bool sweph_type_check(const std::pair<int, const char*> types[], const Napi::CallbackInfo& info);
 bool sweph_double_array_converter(double *target, int size, Napi::Value data);
 Napi::Array sweph_js_array_converter(double *src, int size, Napi::Env env);
 
+// the swiss ephemeris keeps global state, so only one worker may run it at a time
+extern std::mutex sweph_mutex;
+
+// synchronous exports take the same lock, so they never run while a worker is in flight
+template <auto F>
+auto sweph_locked(const Napi::CallbackInfo& info) {
+	std::lock_guard<std::mutex> lock(sweph_mutex);
+	return F(info);
+}
+
+Napi::Value sweph_reject_pending(Napi::Env env);
+
+class SwephWorker : public Napi::AsyncWorker {
+	public:
+		int32 flag = 0;
+		double date = 0;
+		double data [50] = {};
+		double attr [20] = {};
+		char serr [AS_MAXCH] = "";
+		SwephWorker(Napi::Env env, std::function<void(SwephWorker*)> task, std::function<Napi::Value(SwephWorker*, Napi::Env)> result);
+		Napi::Promise Run();
+	protected:
+		void Execute() override;
+		void OnOK() override;
+	private:
+		Napi::Promise::Deferred deferred;
+		std::function<void(SwephWorker*)> task;
+		std::function<Napi::Value(SwephWorker*, Napi::Env)> result;
+};
+
 enum TYPES {
 	NUMBER,
 	STRING,
@@ -0,0 +1,57 @@
+"use strict";
+
+const sweph = require("./build/Release/sweph.node");
+const constants = require("./constants.js");
+const { SwephCalculationError, SwephEphemerisFileError } = require("./errors.js");
+
+/*
+	In strict mode, results returned by the native functions are inspected before being returned.
+	Results with an ERR flag throw a SwephCalculationError, and results that silently fell back to another
+	ephemeris because a file was missing throw a SwephEphemerisFileError. Async functions reject instead.
+*/
+
+const excluded = new Set([
+	"createContext",
+	"setStrict"
+]);
+
+const fallback = /trying Swiss Eph|using Moshier/iu;
+
+let strict = false;
+
+const verify = (name, args, result) => {
+	if(!strict || !result || typeof result.flag !== "number") {
+		return result;
+	}
+	if(result.flag === constants.ERR) {
+		throw new SwephCalculationError(name, args, result.flag, result.error);
+	}
+	if(fallback.test(result.error)) {
+		throw new SwephEphemerisFileError(name, args, result.flag, result.error);
+	}
+	return result;
+};
+
+const wrap = (name, fn) => (...args) => verify(name, args, fn(...args));
+
+const wrapAsync = (name, fn) => (...args) => fn(...args).then(result => verify(name, args, result));
+
+for(const [name, fn] of Object.entries(sweph)) {
+	if(typeof fn === "function" && !excluded.has(name)) {
+		sweph[name] = wrap(name, fn);
+	}
+}
+
+for(const [name, fn] of Object.entries(sweph.async)) {
+	sweph.async[name] = wrapAsync(name, fn);
+}
+
+/**
+ * Enable or disable strict mode for all functions
+ * @param {boolean} enabled whether failed calculations and missing ephemeris files should throw
+ */
+const setStrict = enabled => {
+	strict = Boolean(enabled);
+};
+
+module.exports = setStrict;
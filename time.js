@@ -0,0 +1,116 @@
+"use strict";
+
+const sweph = require("./build/Release/sweph.node");
+const constants = require("./constants.js");
+const { SwephError } = require("./errors.js");
+
+/*
+	Conversions between javascript dates, ISO 8601 strings and julian days.
+	Julian days are computed with utc_to_jd and converted back with jdut1_to_utc or jdet_to_utc, which handle leap seconds
+	after 1972 and treat earlier UTC times as UT1. Javascript dates use the proleptic gregorian calendar, so SE_GREG_CAL is always used.
+*/
+
+const ISO = /^(?<year>[+-]?\d{4,6})-(?<month>\d{2})-(?<day>\d{2})(?:[T ](?<hour>\d{2}):(?<minute>\d{2})(?::(?<second>\d{2}(?:\.\d+)?))?(?<zone>Z|[+-]\d{2}(?::?\d{2})?)?)?$/u;
+
+const toJd = (fn, year, month, day, hour, minute, second) => {
+	const result = sweph.utc_to_jd(year, month, day, hour, minute, second, constants.SE_GREG_CAL);
+	if(result.flag === constants.ERR) {
+		throw new SwephError(result.error, fn, result.flag);
+	}
+	return {
+		et: result.data[0],
+		ut: result.data[1]
+	};
+};
+
+const offsetMinutes = zone => {
+	if(!zone || zone === "Z") {
+		return 0;
+	}
+	const sign = zone[0] === "-" ? -1 : 1;
+	const digits = zone.slice(1).replace(":", "");
+	const hourMinutes = Number(digits.slice(0, 2)) * 60;
+	const minutes = Number(digits.slice(2) || 0);
+	return sign * (hourMinutes + minutes);
+};
+
+/**
+ * Convert a javascript date to julian day in both ephemeris and universal time
+ * @param {Date} date javascript date
+ * @returns {{ et: number, ut: number }} julian days
+ */
+const jdFromDate = date => {
+	if(!(date instanceof Date) || Number.isNaN(date.getTime())) {
+		throw new TypeError("Argument 1 should be a valid Date");
+	}
+	const milliseconds = date.getUTCMilliseconds() / 1000;
+	return toJd(
+		"jdFromDate",
+		date.getUTCFullYear(),
+		date.getUTCMonth() + 1,
+		date.getUTCDate(),
+		date.getUTCHours(),
+		date.getUTCMinutes(),
+		date.getUTCSeconds() + milliseconds
+	);
+};
+
+/**
+ * Convert an ISO 8601 string to julian day in both ephemeris and universal time
+ * Leap seconds such as 23:59:60 are supported, strings without offset are interpreted as UTC
+ * @param {string} iso ISO 8601 date or date-time string, for example 1988-01-14T10:22:00-05:00
+ * @returns {{ et: number, ut: number }} julian days
+ */
+const jdFromISO = iso => {
+	const match = typeof iso === "string" ? ISO.exec(iso.trim()) : null;
+	if(!match) {
+		throw new TypeError("Argument 1 should be an ISO 8601 date string");
+	}
+	const { groups } = match;
+	const year = Number(groups.year);
+	const month = Number(groups.month);
+	const day = Number(groups.day);
+	const hour = Number(groups.hour || 0);
+	const minute = Number(groups.minute || 0);
+	const second = Number(groups.second || 0);
+	const date = new Date(0);
+	date.setUTCFullYear(year, month - 1, day);
+	if(date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59) {
+		throw new TypeError(`Invalid date: ${iso}`);
+	}
+	// shift by whole minutes only, so that leap seconds are passed through unchanged
+	date.setUTCHours(hour, minute - offsetMinutes(groups.zone), 0, 0);
+	return toJd(
+		"jdFromISO",
+		date.getUTCFullYear(),
+		date.getUTCMonth() + 1,
+		date.getUTCDate(),
+		date.getUTCHours(),
+		date.getUTCMinutes(),
+		second
+	);
+};
+
+/**
+ * Convert a julian day to a javascript date
+ * Leap seconds cannot be represented by javascript dates and roll over into the next minute
+ * @param {number} jd julian day
+ * @param {"ut" | "et"} [timescale] whether the julian day is in universal or ephemeris time, defaults to universal time
+ * @returns {Date} javascript date
+ */
+const dateFromJd = (jd, timescale = "ut") => {
+	if(typeof jd !== "number" || !Number.isFinite(jd)) {
+		throw new TypeError("Argument 1 should be a number - julian day");
+	}
+	const utc = timescale === "et" ? sweph.jdet_to_utc(jd, constants.SE_GREG_CAL) : sweph.jdut1_to_utc(jd, constants.SE_GREG_CAL);
+	const date = new Date(0);
+	date.setUTCFullYear(utc.year, utc.month - 1, utc.day);
+	date.setUTCHours(utc.hour, utc.minute, 0, 0);
+	return new Date(date.getTime() + Math.round(utc.second * 1000));
+};
+
+module.exports = {
+	jdFromDate,
+	jdFromISO,
+	dateFromJd
+};